@@ -0,0 +1,224 @@
+/**
+ * TickTick Open API client - timeouts, retries with backoff, rate limiting and typed errors
+ *
+ * - Per-request timeout (AbortSignal.timeout), covering the response body too
+ * - Exponential backoff with full jitter for idempotent calls (GET/PUT/DELETE, or opted in)
+ * - Honours Retry-After on 429/503, for any method since the request was not processed
+ * - Client-side request budget (sliding window) so bulk operations queue instead of tripping 429s
+ * - 401 triggers a single token refresh and replay when OAuth refresh is available
+ */
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+export class TickTickApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TickTickApiError';
+    this.status = details.status ?? null;
+    this.statusText = details.statusText ?? null;
+    this.payload = details.payload ?? null;
+    this.method = details.method ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.attempts = details.attempts ?? 1;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      payload: this.payload,
+      method: this.method,
+      endpoint: this.endpoint,
+      attempts: this.attempts
+    };
+  }
+}
+
+export class TickTickTimeoutError extends TickTickApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TickTickTimeoutError';
+  }
+}
+
+export class TickTickRateLimitError extends TickTickApiError {
+  constructor(message, details = {}) {
+    super(message, { status: 429, ...details });
+    this.name = 'TickTickRateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+export class TickTickNetworkError extends TickTickApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TickTickNetworkError';
+  }
+}
+
+// Walks an error's cause chain looking for the originating API error
+export function findApiError(error) {
+  let current = error;
+  while (current) {
+    if (current instanceof TickTickApiError) return current;
+    current = current.cause;
+  }
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parsePayload(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+function describePayload(payload) {
+  if (!payload) return '';
+  if (typeof payload === 'string') return payload.slice(0, 200);
+  return payload.errorMessage || payload.message || payload.error || JSON.stringify(payload).slice(0, 200);
+}
+
+export class TickTickApiClient {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'https://api.ticktick.com/open/v1').replace(/\/+$/, '');
+    this.auth = options.auth;
+    this.timeoutMs = options.timeoutMs ?? 15000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseMs = options.retryBaseMs ?? 500;
+    this.retryMaxMs = options.retryMaxMs ?? 10000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 60000;
+    this.budget = {
+      maxRequests: options.rateLimit ?? 100,
+      windowMs: options.rateWindowMs ?? 60000
+    };
+    this.requestLog = [];
+  }
+
+  // Sliding-window budget: wait for a free slot rather than sending a request we know will be throttled
+  async acquireSlot() {
+    if (!this.budget.maxRequests) return;
+
+    for (;;) {
+      const now = Date.now();
+      while (this.requestLog.length && now - this.requestLog[0] >= this.budget.windowMs) {
+        this.requestLog.shift();
+      }
+      if (this.requestLog.length < this.budget.maxRequests) {
+        this.requestLog.push(now);
+        return;
+      }
+      await sleep(this.budget.windowMs - (now - this.requestLog[0]) + 5);
+    }
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  async request(method, endpoint, data = null, options = {}) {
+    const upperMethod = method.toUpperCase();
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.has(upperMethod);
+    const maxRetries = options.retries ?? this.maxRetries;
+    const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+    const details = { method: upperMethod, endpoint };
+
+    let refreshed = false;
+    let attempt = 0;
+
+    for (;;) {
+      attempt++;
+      let response;
+      let body;
+
+      const token = await this.auth.getAccessToken();
+      await this.acquireSlot();
+      try {
+        ({ response, body } = await this.send(upperMethod, endpoint, data, token, timeoutMs));
+      } catch (error) {
+        const wrapped = error.name === 'AbortError' || error.name === 'TimeoutError'
+          ? new TickTickTimeoutError(`API request timed out after ${timeoutMs}ms: ${upperMethod} ${endpoint}`, { ...details, attempts: attempt })
+          : new TickTickNetworkError(`API request failed: ${error.message}`, { ...details, attempts: attempt });
+        wrapped.cause = error;
+
+        if (idempotent && attempt <= maxRetries) {
+          await sleep(this.backoffDelay(attempt - 1));
+          continue;
+        }
+        throw wrapped;
+      }
+
+      // Expired or revoked token: refresh once and replay the original request
+      if (response.status === 401 && !refreshed && this.auth?.canRefresh()) {
+        refreshed = true;
+        attempt--;
+        await this.auth.refresh();
+        continue;
+      }
+
+      if (response.ok) {
+        // Delete and complete return an empty body
+        return body ? JSON.parse(body) : null;
+      }
+
+      const payload = parsePayload(body);
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      const errorDetails = {
+        ...details,
+        status: response.status,
+        statusText: response.statusText,
+        payload,
+        attempts: attempt,
+        retryAfterMs
+      };
+
+      const retryable = RETRYABLE_STATUSES.has(response.status)
+        && (idempotent || response.status === 429 || (response.status === 503 && retryAfterMs !== null));
+      const waitMs = retryAfterMs ?? this.backoffDelay(attempt - 1);
+
+      if (retryable && attempt <= maxRetries && waitMs <= this.maxRetryAfterMs) {
+        await sleep(waitMs);
+        continue;
+      }
+
+      const message = `API request failed: ${response.status} ${response.statusText}${payload ? ` - ${describePayload(payload)}` : ''}`;
+      if (response.status === 429) {
+        throw new TickTickRateLimitError(message, errorDetails);
+      }
+      throw new TickTickApiError(message, errorDetails);
+    }
+  }
+
+  async send(method, endpoint, data, token, timeoutMs) {
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    };
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      method,
+      headers,
+      body: data ? JSON.stringify(data) : null,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    return { response, body: await response.text() };
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * TickTick OAuth2 - authorization-code flow with refresh and a persistent token store
+ *
+ * - Builds the authorize URL for /oauth/start
+ * - Exchanges the callback code for tokens
+ * - Refreshes the access token shortly before it expires
+ * - Persists tokens to a JSON file so restarts don't need a new login
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Refresh this long before the token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Pending /oauth/start states are only honoured for this long
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+export class TickTickAuth {
+  constructor(options = {}) {
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.redirectUri = options.redirectUri;
+    this.scope = options.scope || 'tasks:read tasks:write';
+    this.authorizeUrl = options.authorizeUrl || 'https://ticktick.com/oauth/authorize';
+    this.tokenUrl = options.tokenUrl || 'https://ticktick.com/oauth/token';
+    this.tokenFilePath = options.tokenFilePath;
+    this.staticToken = options.staticToken || null;
+
+    this.pendingStates = new Map();
+    this.refreshPromise = null;
+    this.tokens = this.loadTokens();
+  }
+
+  // Token store
+  loadTokens() {
+    try {
+      if (this.tokenFilePath && fs.existsSync(this.tokenFilePath)) {
+        return JSON.parse(fs.readFileSync(this.tokenFilePath, 'utf8'));
+      }
+    } catch (error) {
+      console.warn('Failed to load OAuth tokens:', error.message);
+    }
+    return null;
+  }
+
+  saveTokens(tokens) {
+    this.tokens = tokens;
+    if (!this.tokenFilePath) return;
+    try {
+      fs.writeFileSync(this.tokenFilePath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    } catch (error) {
+      console.warn('Failed to save OAuth tokens:', error.message);
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  hasToken() {
+    return Boolean(this.tokens?.access_token || this.staticToken);
+  }
+
+  canRefresh() {
+    return this.isConfigured() && Boolean(this.tokens?.refresh_token);
+  }
+
+  describe() {
+    if (this.tokens?.access_token) {
+      return {
+        method: 'OAuth2',
+        expires_at: this.tokens.expires_at || null,
+        refreshable: this.canRefresh()
+      };
+    }
+    return { method: this.staticToken ? 'Static Bearer Token' : 'None' };
+  }
+
+  // Authorization-code flow
+  getAuthorizationUrl() {
+    if (!this.isConfigured()) {
+      throw new Error('TICKTICK_CLIENT_ID and TICKTICK_CLIENT_SECRET must be set to use OAuth');
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    this.pendingStates.set(state, Date.now());
+
+    const url = new URL(this.authorizeUrl);
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('scope', this.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('redirect_uri', this.redirectUri);
+    url.searchParams.set('response_type', 'code');
+    return url.toString();
+  }
+
+  consumeState(state) {
+    const createdAt = this.pendingStates.get(state);
+    this.pendingStates.delete(state);
+    return createdAt !== undefined && Date.now() - createdAt <= STATE_TTL_MS;
+  }
+
+  async exchangeCode(code) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      scope: this.scope,
+      redirect_uri: this.redirectUri
+    });
+  }
+
+  async refresh() {
+    if (!this.canRefresh()) {
+      throw new Error('No refresh token available - re-authorize via /oauth/start');
+    }
+
+    // Concurrent callers share a single refresh round-trip
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: this.tokens.refresh_token,
+        scope: this.scope
+      }).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async requestToken(params) {
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        ...params
+      }).toString()
+    });
+
+    const body = await response.text();
+    if (!response.ok) {
+      throw new Error(`Token request failed: ${response.status} ${response.statusText} ${body}`.trim());
+    }
+
+    const payload = JSON.parse(body);
+    if (!payload.access_token) {
+      throw new Error('Token response did not include an access_token');
+    }
+
+    const tokens = {
+      access_token: payload.access_token,
+      token_type: payload.token_type || 'bearer',
+      // TickTick doesn't always rotate the refresh token, keep the old one then
+      refresh_token: payload.refresh_token || this.tokens?.refresh_token || null,
+      scope: payload.scope || this.scope,
+      expires_at: payload.expires_in
+        ? new Date(Date.now() + payload.expires_in * 1000).toISOString()
+        : null,
+      obtained_at: new Date().toISOString()
+    };
+    this.saveTokens(tokens);
+    return tokens;
+  }
+
+  isExpiring() {
+    if (!this.tokens?.expires_at) return false;
+    return new Date(this.tokens.expires_at).getTime() - Date.now() <= REFRESH_MARGIN_MS;
+  }
+
+  // Returns a usable access token, refreshing it first when it is about to expire
+  async getAccessToken() {
+    if (this.tokens?.access_token) {
+      if (this.isExpiring() && this.canRefresh()) {
+        try {
+          await this.refresh();
+        } catch (error) {
+          console.warn('Failed to refresh OAuth token:', error.message);
+        }
+      }
+      return this.tokens.access_token;
+    }
+    if (this.staticToken) {
+      return this.staticToken;
+    }
+    throw new Error('No TickTick access token configured - set TICKTICK_ACCESS_TOKEN or authorize via /oauth/start');
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Cache maintenance - TTL revalidation, pruning, stats and clearing
+ *
+ * Stale entries (older than the TTL) are re-fetched from TickTick: a hit refreshes
+ * the entry with the full task, a 404 removes it. Revalidation can run on demand
+ * (ticktick_cache_prune) or on a background interval.
+ */
+
+export class CacheMaintenance {
+  constructor({ request, store, ttlMs }) {
+    this.request = request;
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.timer = null;
+    this.running = null;
+    this.lastRevalidation = null;
+  }
+
+  isStale(entry, now = Date.now()) {
+    if (!entry.cached_at) return true;
+    return now - new Date(entry.cached_at).getTime() > this.ttlMs;
+  }
+
+  // Background revalidation; the timer never keeps the process alive on its own
+  start(intervalMs) {
+    if (!intervalMs || this.timer) return;
+    this.timer = setInterval(() => {
+      this.revalidate().catch(error => console.warn('Cache revalidation failed:', error.message));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async stats() {
+    const cache = await this.store.read();
+    const entries = Object.values(cache.tasks || {});
+    const now = Date.now();
+
+    const byProject = {};
+    let stale = 0;
+    let fullData = 0;
+    let completed = 0;
+    let oldest = null;
+    let newest = null;
+    for (const entry of entries) {
+      byProject[entry.project_id] = (byProject[entry.project_id] || 0) + 1;
+      if (this.isStale(entry, now)) stale++;
+      if (entry.task) fullData++;
+      if (entry.task?.status === 2) completed++;
+      if (entry.cached_at) {
+        if (!oldest || entry.cached_at < oldest) oldest = entry.cached_at;
+        if (!newest || entry.cached_at > newest) newest = entry.cached_at;
+      }
+    }
+
+    return {
+      ...this.store.describe(),
+      total: entries.length,
+      fresh: entries.length - stale,
+      stale,
+      full_data: fullData,
+      title_only: entries.length - fullData,
+      completed,
+      projects: Object.keys(cache.projects || {}).length,
+      by_project: byProject,
+      oldest_cached_at: oldest,
+      newest_cached_at: newest,
+      ttl_hours: this.ttlMs / 3600000,
+      last_sync: cache.sync?.last_sync || null,
+      last_revalidation: this.lastRevalidation,
+      background_revalidation: Boolean(this.timer)
+    };
+  }
+
+  async revalidate(options = {}) {
+    if (!this.running) {
+      this.running = this.runRevalidation(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runRevalidation({ limit = 100 } = {}) {
+    const snapshot = await this.store.read();
+    const now = Date.now();
+    const stale = Object.entries(snapshot.tasks || {})
+      .filter(([, entry]) => this.isStale(entry, now))
+      .sort(([, a], [, b]) => String(a.cached_at || '').localeCompare(String(b.cached_at || '')))
+      .slice(0, limit);
+
+    const refreshed = [];
+    const missing = [];
+    const errors = [];
+    for (const [id, entry] of stale) {
+      try {
+        refreshed.push(await this.request(`/project/${entry.project_id}/task/${id}`));
+      } catch (error) {
+        if (error.status === 404) {
+          missing.push(id);
+        } else {
+          errors.push({ task_id: id, error: error.message });
+        }
+      }
+    }
+
+    const checkedAt = new Date().toISOString();
+    const remaining = await this.store.update(cache => {
+      cache.tasks = cache.tasks || {};
+      for (const task of refreshed) {
+        cache.tasks[task.id] = {
+          ...(cache.tasks[task.id] || {}),
+          project_id: task.projectId,
+          title: task.title,
+          cached_at: checkedAt,
+          task
+        };
+      }
+      for (const id of missing) {
+        delete cache.tasks[id];
+      }
+      return Object.keys(cache.tasks).length;
+    });
+
+    this.lastRevalidation = checkedAt;
+    return {
+      checked: stale.length,
+      refreshed: refreshed.length,
+      removed: missing.length,
+      errors,
+      remaining
+    };
+  }
+
+  // Revalidate stale entries, then optionally drop entries without asking TickTick
+  async prune({ revalidate = true, limit = 100, dropStale = false, maxAgeHours = null, dropCompleted = false } = {}) {
+    const revalidation = revalidate
+      ? await this.revalidate({ limit })
+      : { checked: 0, refreshed: 0, removed: 0, errors: [] };
+
+    const now = Date.now();
+    const maxAgeMs = maxAgeHours !== null && maxAgeHours !== undefined ? maxAgeHours * 3600000 : null;
+    const { dropped, remaining } = await this.store.update(cache => {
+      cache.tasks = cache.tasks || {};
+      let count = 0;
+      for (const [id, entry] of Object.entries(cache.tasks)) {
+        const age = entry.cached_at ? now - new Date(entry.cached_at).getTime() : Infinity;
+        if ((dropStale && this.isStale(entry, now))
+          || (maxAgeMs !== null && age > maxAgeMs)
+          || (dropCompleted && entry.task?.status === 2)) {
+          delete cache.tasks[id];
+          count++;
+        }
+      }
+      return { dropped: count, remaining: Object.keys(cache.tasks).length };
+    });
+
+    return { ...revalidation, dropped, remaining };
+  }
+
+  async clear() {
+    return await this.store.update(cache => {
+      const cleared = Object.keys(cache.tasks || {}).length;
+      for (const key of Object.keys(cache)) delete cache[key];
+      cache.tasks = {};
+      return { cleared };
+    });
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Checklist helpers - a task's checklist items ("items" in the Open API)
+ *
+ * Items are { id, title, status, completedTime, sortOrder, ... } with status 0
+ * (open) or 1 (checked). Tools refer to an item by its ID or by its 1-based
+ * position in the checklist. All helpers return new arrays; the caller writes
+ * them back with the task.
+ */
+
+import crypto from 'crypto';
+
+export const ITEM_OPEN = 0;
+export const ITEM_CHECKED = 1;
+
+// Same shape as TickTick's own 24-hex object IDs
+export function newItemId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+export function createItem(title, { checked = false } = {}) {
+  return {
+    id: newItemId(),
+    title,
+    status: checked ? ITEM_CHECKED : ITEM_OPEN,
+    completedTime: checked ? new Date().toISOString() : null
+  };
+}
+
+export function isChecked(item) {
+  return item.status === ITEM_CHECKED;
+}
+
+// Items in display order
+export function sortItems(items = []) {
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => ((a.item.sortOrder ?? a.index) - (b.item.sortOrder ?? b.index)) || (a.index - b.index))
+    .map(({ item }) => item);
+}
+
+// sortOrder follows array order so TickTick shows the items as we list them
+export function renumber(items) {
+  return items.map((item, index) => ({ ...item, sortOrder: index }));
+}
+
+// Resolve item references (ID or 1-based position) to indexes into the sorted list
+export function resolveItemRefs(items, refs) {
+  return refs.map(ref => {
+    const index = typeof ref === 'number'
+      ? (Number.isInteger(ref) && ref >= 1 && ref <= items.length ? ref - 1 : -1)
+      : items.findIndex(item => item.id === ref);
+    if (index === -1) {
+      throw new Error(`No checklist item ${typeof ref === 'number' ? `at position ${ref}` : `with ID ${ref}`} (the task has ${items.length})`);
+    }
+    return index;
+  });
+}
+
+export function insertItems(items, titles, position) {
+  const at = position === undefined ? items.length : Math.min(Math.max(position - 1, 0), items.length);
+  return renumber([...items.slice(0, at), ...titles.map(title => createItem(title)), ...items.slice(at)]);
+}
+
+export function setItemsChecked(items, indexes, checked) {
+  const targets = new Set(indexes);
+  return items.map((item, index) => {
+    if (!targets.has(index) || isChecked(item) === checked) return item;
+    return {
+      ...item,
+      status: checked ? ITEM_CHECKED : ITEM_OPEN,
+      completedTime: checked ? new Date().toISOString() : null
+    };
+  });
+}
+
+export function removeItems(items, indexes) {
+  const targets = new Set(indexes);
+  return renumber(items.filter((item, index) => !targets.has(index)));
+}
+
+// The listed items move to the top in the given order; the rest keep their order below
+export function reorderItems(items, indexes) {
+  if (new Set(indexes).size !== indexes.length) {
+    throw new Error('Each checklist item may appear only once in the new order');
+  }
+  const listed = new Set(indexes);
+  return renumber([...indexes.map(index => items[index]), ...items.filter((item, index) => !listed.has(index))]);
+}
+
+export function checklistProgress(items = []) {
+  const total = items.length;
+  const checked = items.filter(isChecked).length;
+  return { checked, total, percent: total ? Math.round((checked / total) * 100) : 0 };
+}
+
+// "☑️ Checklist 2/3 (67%)" followed by the numbered items
+export function formatChecklist(items = []) {
+  if (!items.length) return '';
+  const { checked, total, percent } = checklistProgress(items);
+  const bar = '▓'.repeat(Math.round(percent / 10)).padEnd(10, '░');
+  return `☑️ Checklist ${checked}/${total} ${bar} ${percent}%\n${sortItems(items).map((item, index) =>
+    `   ${index + 1}. ${isChecked(item) ? '✅' : '⬜'} ${item.title} \`${item.id}\``
+  ).join('\n')}\n`;
+}
@@ -0,0 +1,214 @@
+/**
+ * CSV (RFC 4180) parsing and serialization
+ *
+ * - Fields may be quoted; "" inside a quoted field is a literal quote
+ * - Quoted fields may contain delimiters, CR and LF
+ * - Records end with LF or CRLF; a leading UTF-8 BOM is ignored
+ * - readCsvTable() maps every record to the header by column name, so column
+ *   order doesn't matter
+ * - parseCsvTaskRow() / taskToCsvRow() convert between CSV rows and tasks
+ */
+
+import { parseDueDate } from './dates.js';
+
+const BOM = '\uFEFF';
+
+export class CsvParseError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+// Returns [{ line, fields }] where line is the 1-based line the record starts on
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const records = [];
+  let fields = [];
+  let field = '';
+  let line = 1;
+  let recordLine = 1;
+  let inQuotes = false;
+  let quotedField = false;
+  let i = 0;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    quotedField = false;
+  };
+  const endRecord = () => {
+    endField();
+    // A blank line is not a record
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        i++;
+        continue;
+      }
+      if (char === '\n') line++;
+      field += char;
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      if (field !== '' || quotedField) {
+        throw new CsvParseError('unexpected quote inside an unquoted field', line);
+      }
+      inQuotes = true;
+      quotedField = true;
+      i++;
+    } else if (char === delimiter) {
+      endField();
+      i++;
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+      line++;
+      recordLine = line;
+    } else {
+      if (quotedField) {
+        throw new CsvParseError('unexpected character after a closing quote', line);
+      }
+      field += char;
+      i++;
+    }
+  }
+
+  if (inQuotes) {
+    throw new CsvParseError('unterminated quoted field', recordLine);
+  }
+  if (field !== '' || quotedField || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+export function normalizeColumnName(name) {
+  return name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Parses CSV with a header row into { columns, rows: [{ line, values }] }
+export function readCsvTable(text, options = {}) {
+  const [header, ...records] = parseCsv(text, options);
+  if (!header) {
+    throw new CsvParseError('missing header row', 1);
+  }
+
+  const columns = header.fields.map(normalizeColumnName);
+  const seen = new Set();
+  for (const column of columns) {
+    if (!column) throw new CsvParseError('empty column name in header', header.line);
+    if (seen.has(column)) throw new CsvParseError(`duplicate column "${column}" in header`, header.line);
+    seen.add(column);
+  }
+
+  const rows = records.map(({ line, fields }) => {
+    if (fields.length > columns.length) {
+      return { line, values: null, error: `expected ${columns.length} fields, found ${fields.length}` };
+    }
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = (fields[index] ?? '').trim();
+    });
+    return { line, values };
+  });
+
+  return { columns, rows };
+}
+
+function escapeField(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// rows are objects keyed by column name; output uses CRLF line endings as the RFC asks
+export function stringifyCsv(columns, rows, { delimiter = ',' } = {}) {
+  const lines = [columns.map(column => escapeField(column, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeField(row[column], delimiter)).join(delimiter));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Task rows
+
+export const CSV_IMPORT_COLUMNS = ['task_id', 'project_id', 'title', 'content', 'due_date', 'priority', 'tags'];
+export const CSV_EXPORT_COLUMNS = ['task_id', 'project_id', 'title', 'content', 'status', 'priority', 'due_date', 'tags', 'cached_at'];
+
+const PRIORITY_NAMES = { none: 0, low: 1, medium: 3, high: 5 };
+
+function parsePriority(value) {
+  if (!value) return 0;
+  const named = PRIORITY_NAMES[value.toLowerCase()];
+  if (named !== undefined) return named;
+  const number = Number(value);
+  if (![0, 1, 3, 5].includes(number)) {
+    throw new Error(`invalid priority "${value}" (use 0, 1, 3, 5 or none, low, medium, high)`);
+  }
+  return number;
+}
+
+// Validates one mapped CSV row; throws with the reason the row can't be imported.
+// due_date is read like the due_date argument of ticktick_create_task, in timeZone
+export function parseCsvTaskRow(values, { requireIds = false, timeZone } = {}) {
+  const required = requireIds ? ['task_id', 'project_id', 'title'] : ['title'];
+  const empty = required.filter(column => !values[column]);
+  if (empty.length) {
+    throw new Error(`missing ${empty.join(', ')}`);
+  }
+
+  let due = { dueDate: null, isAllDay: false };
+  if (values.due_date) {
+    try {
+      due = parseDueDate(values.due_date, timeZone);
+    } catch {
+      throw new Error(`invalid due_date "${values.due_date}" (use YYYY-MM-DD or an ISO 8601 date-time)`);
+    }
+  }
+  return {
+    task_id: values.task_id || null,
+    project_id: values.project_id || null,
+    title: values.title,
+    content: values.content || '',
+    priority: parsePriority(values.priority),
+    due_date: due.dueDate,
+    is_all_day: due.isAllDay,
+    tags: (values.tags || '').split(';').map(tag => tag.trim()).filter(Boolean)
+  };
+}
+
+export function taskToCsvRow(id, entry) {
+  const task = entry.task || {};
+  return {
+    task_id: id,
+    project_id: entry.project_id,
+    title: entry.title,
+    content: task.content || '',
+    status: task.status === 2 ? 'completed' : (entry.task ? 'open' : ''),
+    priority: task.priority ?? '',
+    due_date: task.dueDate || '',
+    tags: task.tags || [],
+    cached_at: entry.cached_at || ''
+  };
+}
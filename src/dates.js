@@ -0,0 +1,222 @@
+/**
+ * Date helpers - calendar math in a configurable IANA timezone
+ *
+ * TickTick stores instants, but "tomorrow 5pm" or an all-day due date only mean
+ * something in the user's timezone. Local dates are plain { year, month, day }
+ * objects (month 1-12) and are converted to instants with zonedTimeToUtc().
+ */
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+export const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function resolveTimeZone(configured) {
+  if (configured) {
+    if (!isValidTimeZone(configured)) {
+      throw new Error(`Unknown timezone "${configured}" - use an IANA name like Europe/Berlin`);
+    }
+    return configured;
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in timeZone; weekday is 0 (Sunday) - 6
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+// The instant at which the wall clock in timeZone shows the given local time
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let guess = wallClock;
+  // Two passes settle the offset, including across DST changes
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(new Date(guess), timeZone);
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    guess += wallClock - shown;
+  }
+  return new Date(guess);
+}
+
+export function todayInZone(timeZone, now = new Date()) {
+  const { year, month, day } = zonedParts(now, timeZone);
+  return { year, month, day };
+}
+
+export function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+export function addMonths({ year, month, day }, months) {
+  const index = year * 12 + (month - 1) + months;
+  const target = { year: Math.floor(index / 12), month: (index % 12) + 1 };
+  return { ...target, day: Math.min(day, daysInMonth(target.year, target.month)) };
+}
+
+export function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+export function compareDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / 86400000);
+}
+
+// weekStart: 0 = Sunday, 1 = Monday
+export function startOfWeek(date, weekStart = 1) {
+  return addDays(date, -((weekdayOf(date) - weekStart + 7) % 7));
+}
+
+export function formatLocalDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function parseLocalDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return null;
+  const date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > daysInMonth(date.year, date.month)) {
+    return null;
+  }
+  return date;
+}
+
+const ISO_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|([+-])(\d{2}):?(\d{2}))?$/i;
+
+// A due_date argument: YYYY-MM-DD is an all-day date in timeZone, an ISO 8601 date-time an
+// instant - read in timeZone when it has no offset. Anything else (11/05/2026, "next week") is
+// rejected rather than left to the host's locale and zone
+export function parseDueDate(value, timeZone) {
+  const localDate = parseLocalDate(value);
+  if (localDate) {
+    return { dueDate: zonedTimeToUtc(localDate, timeZone).toISOString(), isAllDay: true };
+  }
+
+  const match = ISO_DATE_TIME_PATTERN.exec(String(value).trim());
+  const date = match && parseLocalDate(match[1]);
+  const [hour, minute, second] = match ? [match[2], match[3], match[4] || '0'].map(Number) : [];
+  if (!date || hour > 23 || minute > 59 || second > 59) {
+    throw new Error(`Invalid date "${value}" - use YYYY-MM-DD or an ISO 8601 date-time like 2024-12-31T17:00:00`);
+  }
+  const milliseconds = match[5] ? Math.round(Number(match[5]) * 1000) : 0;
+
+  let instant;
+  if (!match[6]) {
+    instant = zonedTimeToUtc({ ...date, hour, minute, second }, timeZone).getTime();
+  } else {
+    const offsetMinutes = match[6].toUpperCase() === 'Z' ? 0 : (match[7] === '-' ? -1 : 1) * (Number(match[8]) * 60 + Number(match[9]));
+    instant = Date.UTC(date.year, date.month - 1, date.day, hour, minute, second) - offsetMinutes * 60000;
+  }
+  return { dueDate: new Date(instant + milliseconds).toISOString(), isAllDay: false };
+}
+
+// The same wall-clock time days later in timeZone, so all-day dates stay at local midnight across DST changes
+export function shiftDate(value, days, timeZone) {
+  const parts = zonedParts(new Date(value), timeZone);
+  const { year, month, day } = addDays(parts, days);
+  return zonedTimeToUtc({ year, month, day, hour: parts.hour, minute: parts.minute, second: parts.second }, timeZone).toISOString();
+}
+
+// Human-readable date (all-day) or date and time in timeZone
+export function formatInTimeZone(value, timeZone, allDay = false) {
+  const options = allDay
+    ? { timeZone, dateStyle: 'medium' }
+    : { timeZone, dateStyle: 'medium', timeStyle: 'short' };
+  return `${new Intl.DateTimeFormat('en-US', options).format(new Date(value))}${allDay ? '' : ` (${timeZone})`}`;
+}
+
+// Tasks
+
+// The local day of an instant in timeZone, or null for a missing/invalid value
+export function localDayOf(value, timeZone) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const { year, month, day } = zonedParts(date, timeZone);
+  return { year, month, day };
+}
+
+// All-day dates are midnight in the task's own timezone; timed ones are shown in ours
+export function taskDayZone(task, timeZone) {
+  return task.isAllDay && task.timeZone && isValidTimeZone(task.timeZone) ? task.timeZone : timeZone;
+}
+
+// { start, due } local days of an Open API task (start falls back to due and vice versa)
+export function taskDays(task, timeZone) {
+  const zone = taskDayZone(task, timeZone);
+  const due = localDayOf(task.dueDate, zone);
+  const start = localDayOf(task.startDate, zone);
+  return { start: start || due, due: due || start };
+}
+
+// Timed tasks are overdue once their due time has passed, all-day ones from the next day
+export function isTaskOverdue(task, { timeZone, now = new Date() }) {
+  if (task.status === 2 || !task.dueDate) return false;
+  if (task.isAllDay) {
+    return compareDates(localDayOf(task.dueDate, taskDayZone(task, timeZone)), todayInZone(timeZone, now)) < 0;
+  }
+  return new Date(task.dueDate).getTime() < now.getTime();
+}
+
+// Whether a task's start..due span touches the local days from..to (inclusive)
+export function taskInRange(task, from, to, timeZone) {
+  const { start, due } = taskDays(task, timeZone);
+  if (!start) return false;
+  return compareDates(start, to) <= 0 && compareDates(due, from) >= 0;
+}
+
+// Earliest due (or start) first; undated tasks last
+export function sortTasksByDue(tasks) {
+  const key = task => {
+    const time = new Date(task.dueDate || task.startDate || NaN).getTime();
+    return Number.isNaN(time) ? Infinity : time;
+  };
+  return [...tasks].sort((a, b) => key(a) - key(b));
+}
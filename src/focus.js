@@ -0,0 +1,288 @@
+/**
+ * Focus engine - a server-side Pomodoro/focus timer with a persisted session log
+ *
+ * At most one session is active at a time. A session is a phase of the
+ * Pomodoro cycle (work, short_break, long_break) that runs for planned_minutes
+ * and can be paused, resumed, stopped early or abandoned. There is no timer
+ * thread: whenever the engine is used, a running session whose time is up is
+ * settled as completed at the moment it ran out.
+ *
+ * Store document:
+ *   {
+ *     active: session | null,
+ *     cycle: { work_done, last_phase, last_ended_at },
+ *     sessions: [session]   // finished sessions, oldest first
+ *   }
+ *   session: { id, phase, status, task_id, task_title, project_id, tags, note,
+ *              planned_minutes, started_at, paused_at, pauses: [{ from, to }],
+ *              ended_at, focus_minutes }
+ *
+ * status is running or paused while active, then completed (ran its full
+ * time), stopped (ended early) or abandoned (discarded - never counted).
+ */
+
+import crypto from 'crypto';
+import { addDays, compareDates, formatLocalDate, localDayOf } from './dates.js';
+
+export const FOCUS_PHASES = ['work', 'short_break', 'long_break'];
+export const FOCUS_PERIODS = ['today', 'week', 'month'];
+
+export const DEFAULT_POMODORO_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  longBreakEvery: 4
+};
+
+const PHASE_LABELS = { work: 'Focus', short_break: 'Short break', long_break: 'Long break' };
+
+export function createEmptyFocusLog() {
+  return { active: null, cycle: { work_done: 0, last_phase: null, last_ended_at: null }, sessions: [] };
+}
+
+export function phaseLabel(phase) {
+  return PHASE_LABELS[phase] || phase;
+}
+
+export function plannedMinutes(phase, settings) {
+  if (phase === 'short_break') return settings.shortBreakMinutes;
+  if (phase === 'long_break') return settings.longBreakMinutes;
+  return settings.workMinutes;
+}
+
+// Session timing
+
+function pausedMs(session, now) {
+  const closed = (session.pauses || []).reduce((sum, pause) => sum + (Date.parse(pause.to) - Date.parse(pause.from)), 0);
+  return closed + (session.paused_at ? Math.max(0, now - Date.parse(session.paused_at)) : 0);
+}
+
+// Time spent in the session so far, pauses excluded
+export function elapsedMs(session, now = Date.now()) {
+  const end = session.ended_at ? Date.parse(session.ended_at) : now;
+  return Math.max(0, end - Date.parse(session.started_at) - pausedMs(session, end));
+}
+
+// Nothing is left of a session that has ended, even one stopped early
+export function remainingMs(session, now = Date.now()) {
+  if (session.ended_at) return 0;
+  return Math.max(0, session.planned_minutes * 60000 - elapsedMs(session, now));
+}
+
+// When a running session will be (or was) over
+export function endsAt(session, now = Date.now()) {
+  return new Date(now + remainingMs(session, now)).toISOString();
+}
+
+function roundMinutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+// "12:05"
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// The cycle
+
+// After a completed work session comes a break (a long one every longBreakEvery); after anything else, work
+export function nextPhase(cycle, settings) {
+  if (cycle?.last_phase !== 'work') return 'work';
+  return cycle.work_done > 0 && cycle.work_done % settings.longBreakEvery === 0 ? 'long_break' : 'short_break';
+}
+
+function finish(log, status, endedAt) {
+  const session = log.active;
+  if (session.paused_at) {
+    session.pauses = [...(session.pauses || []), { from: session.paused_at, to: endedAt }];
+    session.paused_at = null;
+  }
+  session.status = status;
+  session.ended_at = endedAt;
+  session.focus_minutes = status === 'abandoned' ? 0 : roundMinutes(elapsedMs(session));
+
+  const cycle = log.cycle || createEmptyFocusLog().cycle;
+  if (status !== 'abandoned') {
+    // Only a full work session counts towards the long break; a long break starts a new cycle
+    if (session.phase === 'work' && status === 'completed') {
+      cycle.work_done++;
+      cycle.last_phase = 'work';
+    } else if (session.phase === 'long_break') {
+      cycle.work_done = 0;
+      cycle.last_phase = 'long_break';
+    } else if (session.phase === 'short_break') {
+      cycle.last_phase = 'short_break';
+    }
+    cycle.last_ended_at = endedAt;
+  }
+
+  log.cycle = cycle;
+  log.sessions = [...(log.sessions || []), session];
+  log.active = null;
+  return session;
+}
+
+// A running session whose time is up is completed when it ran out; returns that session, if any
+function settle(log, now) {
+  const session = log.active;
+  if (!session || session.status !== 'running' || remainingMs(session, now) > 0) return null;
+  const ranOut = Date.parse(session.started_at) + pausedMs(session, now) + session.planned_minutes * 60000;
+  return finish(log, 'completed', new Date(ranOut).toISOString());
+}
+
+export class FocusEngine {
+  constructor({ store, settings = DEFAULT_POMODORO_SETTINGS }) {
+    this.store = store;
+    this.settings = { ...DEFAULT_POMODORO_SETTINGS, ...settings };
+  }
+
+  // Every operation settles first, so it sees whether the active session already ran out
+  async apply(operation, now = Date.now()) {
+    return await this.store.update(log => {
+      const settled = settle(log, now);
+      return { settled, ...operation(log, now) };
+    });
+  }
+
+  requireActive(log) {
+    if (!log.active) throw new Error('No focus session is running - start one with ticktick_start_focus_session');
+    return log.active;
+  }
+
+  // { active, settled, next_phase, cycle }
+  async status(now = Date.now()) {
+    return await this.apply(log => ({
+      active: log.active,
+      next_phase: nextPhase(log.cycle, this.settings),
+      cycle: log.cycle
+    }), now);
+  }
+
+  // phase 'next' follows the cycle; minutes defaults to the phase's Pomodoro length
+  async start({ phase = 'work', minutes, task = null, note = null }, now = Date.now()) {
+    return await this.apply(log => {
+      if (log.active) {
+        throw new Error(`A ${phaseLabel(log.active.phase).toLowerCase()} session (${log.active.id}) is ${log.active.status} - stop or abandon it first`);
+      }
+      const resolved = phase === 'next' ? nextPhase(log.cycle, this.settings) : phase;
+      if (!FOCUS_PHASES.includes(resolved)) {
+        throw new Error(`Unknown phase "${phase}" - use ${FOCUS_PHASES.join(', ')} or next`);
+      }
+      log.active = {
+        id: `focus-${crypto.randomBytes(6).toString('hex')}`,
+        phase: resolved,
+        status: 'running',
+        task_id: task?.id || null,
+        task_title: task?.title || null,
+        project_id: task?.project_id || null,
+        tags: task?.tags || [],
+        note,
+        planned_minutes: minutes || plannedMinutes(resolved, this.settings),
+        started_at: new Date(now).toISOString(),
+        paused_at: null,
+        pauses: [],
+        ended_at: null,
+        focus_minutes: null
+      };
+      return { session: log.active };
+    }, now);
+  }
+
+  async pause(now = Date.now()) {
+    return await this.apply(log => {
+      const session = this.requireActive(log);
+      if (session.status === 'paused') throw new Error(`Session ${session.id} is already paused`);
+      session.status = 'paused';
+      session.paused_at = new Date(now).toISOString();
+      return { session };
+    }, now);
+  }
+
+  async resume(now = Date.now()) {
+    return await this.apply(log => {
+      const session = this.requireActive(log);
+      if (session.status !== 'paused') throw new Error(`Session ${session.id} is not paused`);
+      session.pauses = [...(session.pauses || []), { from: session.paused_at, to: new Date(now).toISOString() }];
+      session.paused_at = null;
+      session.status = 'running';
+      return { session };
+    }, now);
+  }
+
+  // Ends the session early and keeps its time; it counts as completed if its time was (nearly) up
+  async stop(now = Date.now()) {
+    return await this.apply(log => {
+      const session = this.requireActive(log);
+      const status = remainingMs(session, now) < 1000 ? 'completed' : 'stopped';
+      return { session: finish(log, status, new Date(now).toISOString()) };
+    }, now);
+  }
+
+  async abandon(now = Date.now()) {
+    return await this.apply(log => {
+      this.requireActive(log);
+      return { session: finish(log, 'abandoned', new Date(now).toISOString()) };
+    }, now);
+  }
+
+  async sessions() {
+    const log = await this.store.read();
+    return log.sessions || [];
+  }
+}
+
+// Statistics
+
+function addUp(map, key, fields, minutes) {
+  const entry = map.get(key) || { ...fields, minutes: 0, sessions: 0 };
+  entry.minutes += minutes;
+  entry.sessions++;
+  map.set(key, entry);
+}
+
+function ranked(map) {
+  return [...map.values()]
+    .map(entry => ({ ...entry, minutes: Math.round(entry.minutes * 10) / 10 }))
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+// Focus minutes of finished work sessions (plus the active one so far) that started in [from, to], by local day in timeZone
+export function focusStats(sessions, { from, to, timeZone, active = null, now = Date.now() }) {
+  const byDay = new Map();
+  for (let day = from; compareDates(day, to) <= 0; day = addDays(day, 1)) {
+    byDay.set(formatLocalDate(day), { date: formatLocalDate(day), minutes: 0, sessions: 0 });
+  }
+  const byTask = new Map();
+  const byProject = new Map();
+  const byTag = new Map();
+  let total = 0;
+  let count = 0;
+
+  const counted = sessions.filter(session => session.phase === 'work' && ['completed', 'stopped'].includes(session.status));
+  const running = active?.phase === 'work' ? [{ ...active, focus_minutes: roundMinutes(elapsedMs(active, now)) }] : [];
+
+  for (const session of [...counted, ...running]) {
+    const date = formatLocalDate(localDayOf(session.started_at, timeZone));
+    if (!byDay.has(date)) continue;
+    const minutes = session.focus_minutes || 0;
+    total += minutes;
+    count++;
+    addUp(byDay, date, { date }, minutes);
+    addUp(byTask, session.task_id || '', { task_id: session.task_id || null, title: session.task_title || 'No task' }, minutes);
+    addUp(byProject, session.project_id || '', { project_id: session.project_id || null }, minutes);
+    for (const tag of session.tags?.length ? session.tags : [null]) {
+      addUp(byTag, tag || '', { tag }, minutes);
+    }
+  }
+
+  return {
+    total_minutes: Math.round(total * 10) / 10,
+    sessions: count,
+    by_day: [...byDay.values()].map(entry => ({ ...entry, minutes: Math.round(entry.minutes * 10) / 10 })),
+    by_task: ranked(byTask),
+    by_project: ranked(byProject),
+    by_tag: ranked(byTag)
+  };
+}
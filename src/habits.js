@@ -0,0 +1,417 @@
+/**
+ * Habits - definitions, a local check-in log and streak/rate/heatmap statistics
+ *
+ * A habit is due on certain days ("daily", or only on days: ['MO', 'WE', 'FR'])
+ * or a number of times per week/month (frequency weekly|monthly + times_per_period).
+ * goal is the amount that completes a day (8 glasses); check-ins add to the day's
+ * total and a day is done once the total reaches the goal.
+ *
+ * Store document: { habits: { [id]: habit }, checkins: [{ id, habit_id, date, count, recorded_at }] }
+ *
+ * Backends:
+ * - local: habits and check-ins live only in the store
+ * - remote: habits are read from / written to a TickTick-compatible habits API
+ *   (GET/POST {path}, POST {path}/{id}, POST {path}/{id}/checkins with the day's
+ *   total) and mirrored into the store; the check-in log is always kept locally
+ */
+
+import crypto from 'crypto';
+import {
+  WEEKDAYS, RRULE_WEEKDAYS, addDays, addMonths, compareDates, daysBetween, formatLocalDate,
+  parseLocalDate, startOfWeek, weekdayOf
+} from './dates.js';
+
+export const HABIT_BACKENDS = ['local', 'remote'];
+export const HABIT_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// A habit argument the caller got wrong; field names the tool argument
+export class HabitError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'HabitError';
+    this.field = field;
+  }
+}
+
+export function createEmptyHabitLog() {
+  return { habits: {}, checkins: [] };
+}
+
+// Definitions
+
+// "mon", "Monday", "MO" -> "MO"
+export function parseWeekday(value) {
+  const text = String(value).trim().toLowerCase();
+  const index = WEEKDAYS.findIndex(name => name === text || name.slice(0, 3) === text || name.slice(0, 2) === text);
+  if (index === -1) {
+    throw new HabitError(`Unknown weekday "${value}" - use mon, tue, ... or monday, tuesday, ...`, 'days');
+  }
+  return RRULE_WEEKDAYS[index];
+}
+
+// Validated habit fields from tool arguments, on top of an existing habit when updating
+export function buildHabit(args, existing = null) {
+  const habit = {
+    name: args.name ?? existing?.name,
+    frequency: args.frequency ?? existing?.frequency ?? 'daily',
+    days: args.days ? [...new Set(args.days.map(parseWeekday))] : (existing?.days || []),
+    times_per_period: args.times_per_period ?? existing?.times_per_period ?? 1,
+    goal: args.goal ?? existing?.goal ?? 1,
+    unit: args.unit ?? existing?.unit ?? null,
+    color: args.color ?? existing?.color ?? null,
+    start_date: args.start_date ?? existing?.start_date ?? null
+  };
+
+  if (!HABIT_FREQUENCIES.includes(habit.frequency)) {
+    throw new HabitError(`Unknown frequency "${habit.frequency}" - use ${HABIT_FREQUENCIES.join(', ')}`, 'frequency');
+  }
+  if (habit.days.length && habit.frequency === 'monthly') {
+    throw new HabitError('days only work with daily or weekly habits', 'days');
+  }
+  if (habit.frequency === 'weekly' && !habit.days.length && habit.times_per_period > 7) {
+    throw new HabitError('A weekly habit can be done at most 7 times per week', 'times_per_period');
+  }
+  if (habit.frequency === 'monthly' && habit.times_per_period > 31) {
+    throw new HabitError('A monthly habit can be done at most 31 times per month', 'times_per_period');
+  }
+  if (habit.start_date && !parseLocalDate(habit.start_date)) {
+    throw new HabitError(`Invalid start_date "${habit.start_date}" - use YYYY-MM-DD`, 'start_date');
+  }
+  return habit;
+}
+
+// Habits with fixed days or a daily frequency are tracked per day, the others per week/month
+export function isPeriodHabit(habit) {
+  return !habit.days?.length && habit.frequency !== 'daily';
+}
+
+export function isDueOn(habit, day) {
+  if (habit.days?.length) return habit.days.includes(RRULE_WEEKDAYS[weekdayOf(day)]);
+  return habit.frequency === 'daily';
+}
+
+export function describeHabitSchedule(habit) {
+  const amount = habit.goal > 1 || habit.unit ? `${habit.goal}${habit.unit ? ` ${habit.unit}` : 'x'} ` : '';
+  if (habit.days?.length) {
+    const names = habit.days.map(code => WEEKDAYS[RRULE_WEEKDAYS.indexOf(code)].slice(0, 3));
+    return `${amount}on ${names.join('/')}`.trim();
+  }
+  if (habit.frequency === 'daily') return `${amount}every day`.trim();
+  const period = habit.frequency === 'weekly' ? 'week' : 'month';
+  return `${amount}${habit.times_per_period} time${habit.times_per_period === 1 ? '' : 's'} a ${period}`.trim();
+}
+
+// Check-in log statistics
+
+// date -> total count for one habit
+export function dailyTotals(checkins) {
+  const totals = new Map();
+  for (const checkin of checkins) {
+    totals.set(checkin.date, (totals.get(checkin.date) || 0) + checkin.count);
+  }
+  return totals;
+}
+
+function isDone(habit, totals, day) {
+  return (totals.get(formatLocalDate(day)) || 0) >= habit.goal;
+}
+
+// First day that counts: start_date, else the creation day, else the first check-in
+function habitStart(habit, totals, today) {
+  const candidates = [
+    habit.start_date && parseLocalDate(habit.start_date),
+    habit.created_at && parseLocalDate(habit.created_at.slice(0, 10)),
+    ...[...totals.keys()].map(parseLocalDate)
+  ].filter(Boolean);
+  const earliest = candidates.sort(compareDates)[0] || today;
+  return compareDates(earliest, today) > 0 ? today : earliest;
+}
+
+function periodStart(habit, day, weekStart) {
+  return habit.frequency === 'weekly' ? startOfWeek(day, weekStart) : { ...day, day: 1 };
+}
+
+function nextPeriod(habit, start) {
+  return habit.frequency === 'weekly' ? addDays(start, 7) : addMonths(start, 1);
+}
+
+// Done days in [from, to], both inclusive
+function doneDaysBetween(habit, totals, from, to) {
+  let done = 0;
+  for (let day = from; compareDates(day, to) <= 0; day = addDays(day, 1)) {
+    if (isDone(habit, totals, day)) done++;
+  }
+  return done;
+}
+
+// { current, longest, unit } - today (or the running week/month) doesn't break a streak until it's over
+export function computeStreaks(habit, totals, today, { weekStart = 1 } = {}) {
+  const start = habitStart(habit, totals, today);
+  let run = 0;
+  let longest = 0;
+
+  if (isPeriodHabit(habit)) {
+    const current = periodStart(habit, today, weekStart);
+    for (let period = periodStart(habit, start, weekStart); compareDates(period, current) <= 0; period = nextPeriod(habit, period)) {
+      const end = addDays(nextPeriod(habit, period), -1);
+      const done = doneDaysBetween(habit, totals, period, compareDates(end, today) > 0 ? today : end) >= habit.times_per_period;
+      if (done) {
+        run++;
+        longest = Math.max(longest, run);
+      } else if (compareDates(period, current) < 0) {
+        run = 0;
+      }
+    }
+    return { current: run, longest, unit: habit.frequency === 'weekly' ? 'weeks' : 'months' };
+  }
+
+  for (let day = start; compareDates(day, today) <= 0; day = addDays(day, 1)) {
+    if (!isDueOn(habit, day)) continue;
+    if (isDone(habit, totals, day)) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (compareDates(day, today) < 0) {
+      run = 0;
+    }
+  }
+  return { current: run, longest, unit: 'days' };
+}
+
+// Completion per week or month within [from, to]: [{ period, from, to, done, due, rate }]
+export function completionRates(habit, totals, from, to, today, { groupBy = 'week', weekStart = 1 } = {}) {
+  const start = habitStart(habit, totals, today);
+  const first = compareDates(from, start) < 0 ? start : from;
+  const last = compareDates(to, today) > 0 ? today : to;
+  const rates = [];
+  if (compareDates(first, last) > 0) return rates;
+
+  const bucketStart = day => (groupBy === 'week' ? startOfWeek(day, weekStart) : { ...day, day: 1 });
+  const nextBucket = day => (groupBy === 'week' ? addDays(day, 7) : addMonths(day, 1));
+
+  for (let bucket = bucketStart(first); compareDates(bucket, last) <= 0; bucket = nextBucket(bucket)) {
+    const bucketEnd = addDays(nextBucket(bucket), -1);
+    const rangeFrom = compareDates(bucket, first) < 0 ? first : bucket;
+    const rangeTo = compareDates(bucketEnd, last) > 0 ? last : bucketEnd;
+
+    let done = 0;
+    let due = 0;
+    if (isPeriodHabit(habit)) {
+      // Targets of the habit's own periods that overlap this bucket, scaled by overlap
+      const days = daysBetween(rangeFrom, rangeTo) + 1;
+      const periodDays = habit.frequency === 'weekly' ? 7 : 30;
+      due = Math.max(1, Math.round((habit.times_per_period * days) / periodDays));
+      done = Math.min(due, doneDaysBetween(habit, totals, rangeFrom, rangeTo));
+    } else {
+      for (let day = rangeFrom; compareDates(day, rangeTo) <= 0; day = addDays(day, 1)) {
+        if (!isDueOn(habit, day)) continue;
+        due++;
+        if (isDone(habit, totals, day)) done++;
+      }
+    }
+
+    rates.push({
+      period: groupBy === 'week' ? formatLocalDate(bucket) : formatLocalDate(bucket).slice(0, 7),
+      from: formatLocalDate(rangeFrom),
+      to: formatLocalDate(rangeTo),
+      done,
+      due,
+      rate: due ? Math.round((done / due) * 100) / 100 : null
+    });
+  }
+  return rates;
+}
+
+const HEATMAP_CHARS = { blank: ' ', rest: '·', missed: '░', partial: '▒', done: '█' };
+
+// Calendar heatmap of whole weeks covering [from, to]: cells plus a text grid (weekdays x weeks)
+export function buildHeatmap(habit, totals, from, to, today, { weekStart = 1 } = {}) {
+  const start = habitStart(habit, totals, today);
+  const first = startOfWeek(from, weekStart);
+  const weeks = Math.ceil((daysBetween(first, to) + 1) / 7);
+  const cells = [];
+  const rows = Array.from({ length: 7 }, () => []);
+
+  for (let week = 0; week < weeks; week++) {
+    for (let offset = 0; offset < 7; offset++) {
+      const day = addDays(first, week * 7 + offset);
+      const count = totals.get(formatLocalDate(day)) || 0;
+      const inRange = compareDates(day, from) >= 0 && compareDates(day, to) <= 0;
+      // Days before the habit started and days still to come stay blank
+      let state = 'blank';
+      if (inRange && compareDates(day, start) >= 0 && compareDates(day, today) <= 0) {
+        if (count >= habit.goal) state = 'done';
+        else if (count > 0) state = 'partial';
+        else state = isPeriodHabit(habit) || isDueOn(habit, day) ? 'missed' : 'rest';
+      }
+      rows[offset].push(inRange ? HEATMAP_CHARS[state] : ' ');
+      if (inRange) {
+        cells.push({ date: formatLocalDate(day), count, level: state === 'done' ? 2 : state === 'partial' ? 1 : 0 });
+      }
+    }
+  }
+
+  const labels = Array.from({ length: 7 }, (_, offset) => WEEKDAYS[(weekStart + offset) % 7].slice(0, 3));
+  const text = rows.map((row, offset) => `${labels[offset].padEnd(4)}${row.join('')}`).join('\n');
+  return {
+    cells,
+    text: `${text}\n${HEATMAP_CHARS.done} done  ${HEATMAP_CHARS.partial} partial  ${HEATMAP_CHARS.missed} missed  ${HEATMAP_CHARS.rest} rest day`
+  };
+}
+
+// Backends
+
+export class LocalHabitBackend {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async list({ includeArchived = false } = {}) {
+    const log = await this.store.read();
+    return Object.values(log.habits || {})
+      .filter(habit => includeArchived || !habit.archived)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // By ID or, failing that, by exact (case-insensitive) name
+  async get(ref) {
+    const habits = await this.list({ includeArchived: true });
+    const habit = habits.find(item => item.id === ref)
+      || habits.find(item => item.name.toLowerCase() === String(ref).toLowerCase());
+    if (!habit) {
+      throw new HabitError(`No habit "${ref}" - available: ${habits.map(item => item.name).join(', ') || 'none'}`, 'habit_id');
+    }
+    return habit;
+  }
+
+  async create(fields) {
+    const now = new Date().toISOString();
+    const habit = { id: `habit-${crypto.randomBytes(6).toString('hex')}`, ...fields, archived: false, created_at: now, updated_at: now };
+    return await this.save(habit);
+  }
+
+  async update(id, fields) {
+    const existing = await this.get(id);
+    return await this.save({ ...existing, ...fields, id: existing.id, updated_at: new Date().toISOString() });
+  }
+
+  async save(habit) {
+    await this.store.update(log => {
+      log.habits = log.habits || {};
+      log.habits[habit.id] = habit;
+    });
+    return habit;
+  }
+
+  async checkins(habitId) {
+    const log = await this.store.read();
+    return (log.checkins || []).filter(checkin => checkin.habit_id === habitId);
+  }
+
+  async addCheckin(habit, date, count) {
+    const checkin = {
+      id: `checkin-${crypto.randomBytes(6).toString('hex')}`,
+      habit_id: habit.id,
+      date,
+      count,
+      recorded_at: new Date().toISOString()
+    };
+    await this.store.update(log => {
+      log.checkins = [...(log.checkins || []), checkin];
+    });
+    return checkin;
+  }
+
+  // The given check-in, or the latest one on date
+  findCheckin(checkins, habit, date, checkinId) {
+    return checkinId
+      ? checkins.findIndex(checkin => checkin.id === checkinId && checkin.habit_id === habit.id)
+      : checkins.findLastIndex(checkin => checkin.habit_id === habit.id && checkin.date === date);
+  }
+
+  async removeCheckin(habit, date, checkinId = null) {
+    return await this.store.update(log => {
+      const checkins = log.checkins || [];
+      const index = this.findCheckin(checkins, habit, date, checkinId);
+      if (index === -1) return null;
+      const [removed] = checkins.splice(index, 1);
+      log.checkins = checkins;
+      return removed;
+    });
+  }
+
+  async dayTotal(habitId, date) {
+    return (await this.checkins(habitId))
+      .filter(checkin => checkin.date === date)
+      .reduce((sum, checkin) => sum + checkin.count, 0);
+  }
+}
+
+export class RemoteHabitBackend extends LocalHabitBackend {
+  constructor({ store, request, path = '/habits' }) {
+    super({ store });
+    this.request = request;
+    this.path = path;
+  }
+
+  get name() {
+    return 'remote';
+  }
+
+  // Refresh the local mirror so statistics keep working with the API's habits
+  async list(options = {}) {
+    const remote = await this.request(this.path);
+    await this.store.update(log => {
+      const habits = {};
+      for (const habit of remote || []) {
+        habits[habit.id] = { ...(log.habits?.[habit.id] || {}), ...habit };
+      }
+      log.habits = habits;
+    });
+    return await super.list(options);
+  }
+
+  async create(fields) {
+    const created = await this.request(this.path, 'POST', { ...fields, archived: false });
+    return await this.save({ ...fields, archived: false, created_at: new Date().toISOString(), ...created });
+  }
+
+  async update(id, fields) {
+    const existing = await this.get(id);
+    const updated = await this.request(`${this.path}/${existing.id}`, 'POST', { ...existing, ...fields });
+    return await this.save({ ...existing, ...fields, ...updated, id: existing.id, updated_at: new Date().toISOString() });
+  }
+
+  // The API receives the day's new total, so undoing a check-in is the same call.
+  // It goes first: a failed request leaves the local log untouched
+  async sendDayTotal(habit, date, value) {
+    await this.request(`${this.path}/${habit.id}/checkins`, 'POST', { date, value, goal: habit.goal });
+  }
+
+  async addCheckin(habit, date, count) {
+    await this.sendDayTotal(habit, date, (await this.dayTotal(habit.id, date)) + count);
+    return await super.addCheckin(habit, date, count);
+  }
+
+  async removeCheckin(habit, date, checkinId = null) {
+    const log = await this.store.read();
+    const target = (log.checkins || [])[this.findCheckin(log.checkins || [], habit, date, checkinId)];
+    if (!target) return null;
+    await this.sendDayTotal(habit, target.date, (await this.dayTotal(habit.id, target.date)) - target.count);
+    return await super.removeCheckin(habit, date, target.id);
+  }
+}
+
+export function createHabitBackend(type, options) {
+  switch (type) {
+    case 'local':
+      return new LocalHabitBackend(options);
+    case 'remote':
+      return new RemoteHabitBackend(options);
+    default:
+      throw new Error(`Unknown habits backend "${type}" - expected one of: ${HABIT_BACKENDS.join(', ')}`);
+  }
+}
@@ -5,7 +5,7 @@
  * Based on original Vantarc/tick-tick-mcp-server
  * 
  * FIXED FOR GENSPARK:
- * - Added HTTP API endpoints for all 130+ tools
+ * - HTTP API endpoints for every tool, generated from the tool registry (src/tools)
  * - Maintained original MCP functionality
  * - Added health checks and CORS
  * - Dual mode: MCP + REST API
@@ -19,22 +19,124 @@ import {
   ErrorCode,
   McpError
 } from '@modelcontextprotocol/sdk/types.js';
-import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import express from 'express';
+import { TickTickAuth } from './auth.js';
+import { TickTickApiClient, TickTickRateLimitError, TickTickTimeoutError, findApiError } from './apiClient.js';
+import { TOOL_DEFINITIONS, TOOLS_BY_NAME, getToolCategories } from './tools/index.js';
+import { BATCH_OPERATIONS } from './tools/batch.js';
+import { validateArguments, formatValidationErrors } from './validation.js';
+import { TaskSync, INBOX_PROJECT_ID } from './sync.js';
+import { createStore } from './storage/index.js';
+import { CacheMaintenance } from './cacheMaintenance.js';
+import { createOperation, runInOperation, currentOperation, reportProgress, guardStore, withBufferedCache, snapshotEndpoint, findSnapshot, predictAfter, simulateResponse, READ_METHODS } from './operationContext.js';
+import { OperationJournal, createEmptyJournal, classifyCall, isUndoable, remapIds } from './journal.js';
+import { parseQuickAdd } from './quickAdd.js';
+import { createDeleteToken, checkDeleteToken, copyTask, parentsFirst, DELETE_TOKEN_TTL_MS } from './projects.js';
+import { tagKey, normalizeTagName, uniqueTags, hasTag, tagMatches, renamedTag, rewriteTags, sameTags, collectTags, buildTagTree, formatTagTree, DEFAULT_TAG_COLOR } from './tags.js';
+import { buildProductivityReport, renderAsciiCharts, renderSvgChart, COMPLETION_COVERAGE_NOTE } from './reports.js';
+import { FocusEngine, createEmptyFocusLog, focusStats, phaseLabel, elapsedMs, remainingMs, endsAt, formatDuration } from './focus.js';
+import { HabitError, createHabitBackend, createEmptyHabitLog, buildHabit, describeHabitSchedule, dailyTotals, computeStreaks, completionRates, buildHeatmap } from './habits.js';
+import { WEEKDAYS, resolveTimeZone, isValidTimeZone, parseDueDate, parseLocalDate, todayInZone, addDays, startOfWeek, daysBetween, compareDates, weekdayOf, formatLocalDate, formatInTimeZone, taskDayZone, taskDays, isTaskOverdue, taskInRange, sortTasksByDue } from './dates.js';
+import { sortItems, renumber, createItem, isChecked, resolveItemRefs, insertItems, setItemsChecked, removeItems, reorderItems, checklistProgress, formatChecklist } from './checklist.js';
+import { SearchIndex, tokenize } from './search.js';
+import { parseQuery, parseSort, evaluateQuery, createQueryContext, normalizeTask, sortRows, groupRows, encodeCursor, decodeCursor, projectFields, validateFields, DEFAULT_OUTPUT_FIELDS } from './query.js';
+import { parseRecurrence, formatRRule, describeRecurrence, nextOccurrences, parseReminder, describeReminder } from './recurrence.js';
+import { readCsvTable, stringifyCsv, parseCsvTaskRow, taskToCsvRow, CSV_IMPORT_COLUMNS, CSV_EXPORT_COLUMNS } from './csv.js';
 
 // Environment configuration
 const TICKTICK_CLIENT_ID = process.env.TICKTICK_CLIENT_ID;
 const TICKTICK_CLIENT_SECRET = process.env.TICKTICK_CLIENT_SECRET;
 const TICKTICK_TOKEN = process.env.TICKTICK_TOKEN;
-const TICKTICK_ACCESS_TOKEN = process.env.TICKTICK_ACCESS_TOKEN || 'tp_53c63c4d8e074da8b16dfdd258fcc261';
+const TICKTICK_ACCESS_TOKEN = process.env.TICKTICK_ACCESS_TOKEN || TICKTICK_TOKEN;
 const TICKTICK_AUTH_CODE = process.env.TICKTICK_AUTH_CODE;
+const PORT = process.env.PORT || 8007;
+const TRANSPORT_MODES = ['stdio', 'http', 'both'];
+
+// API client configuration
+const TICKTICK_API_BASE_URL = process.env.TICKTICK_API_BASE_URL || 'https://api.ticktick.com/open/v1';
+const TICKTICK_API_TIMEOUT_MS = parseInt(process.env.TICKTICK_API_TIMEOUT_MS || '15000', 10);
+const TICKTICK_API_MAX_RETRIES = parseInt(process.env.TICKTICK_API_MAX_RETRIES || '3', 10);
+const TICKTICK_API_RETRY_BASE_MS = parseInt(process.env.TICKTICK_API_RETRY_BASE_MS || '500', 10);
+const TICKTICK_API_RATE_LIMIT = parseInt(process.env.TICKTICK_API_RATE_LIMIT || '100', 10); // requests per window, 0 = unlimited
+const TICKTICK_API_RATE_WINDOW_MS = parseInt(process.env.TICKTICK_API_RATE_WINDOW_MS || '60000', 10);
+const TICKTICK_BATCH_CONCURRENCY = parseInt(process.env.TICKTICK_BATCH_CONCURRENCY || '4', 10);
+
+// A task_query picks the best search hit only if it outscores the runner-up by this factor
+const TASK_QUERY_MARGIN = 1.5;
+
+// OAuth configuration
+const TICKTICK_REDIRECT_URI = process.env.TICKTICK_REDIRECT_URI || `http://localhost:${PORT}/oauth/callback`;
+const TICKTICK_OAUTH_AUTHORIZE_URL = process.env.TICKTICK_OAUTH_AUTHORIZE_URL || 'https://ticktick.com/oauth/authorize';
+const TICKTICK_OAUTH_TOKEN_URL = process.env.TICKTICK_OAUTH_TOKEN_URL || 'https://ticktick.com/oauth/token';
+const TICKTICK_OAUTH_SCOPE = process.env.TICKTICK_OAUTH_SCOPE || 'tasks:read tasks:write';
 
 // Cache configuration  
-const CACHE_FILE_PATH = path.join(os.homedir(), '.ticktick-mcp-cache.json');
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'json'; // json | sqlite
+const CACHE_FILE_PATH = process.env.CACHE_FILE_PATH
+  || path.join(os.homedir(), CACHE_BACKEND === 'sqlite' ? '.ticktick-mcp-cache.sqlite' : '.ticktick-mcp-cache.json');
+const CACHE_TTL_HOURS = parseFloat(process.env.CACHE_TTL_HOURS || '24');
+const CACHE_TTL = CACHE_TTL_HOURS * 60 * 60 * 1000; // hours in milliseconds
+const CACHE_REVALIDATE_INTERVAL_MS = parseInt(process.env.CACHE_REVALIDATE_INTERVAL_MS || '0', 10); // 0 = on demand only
+const JOURNAL_FILE_PATH = process.env.TICKTICK_JOURNAL_FILE_PATH || path.join(path.dirname(CACHE_FILE_PATH), '.ticktick-mcp-journal.json');
+const JOURNAL_MAX_ENTRIES = parseInt(process.env.TICKTICK_JOURNAL_MAX_ENTRIES || '200', 10);
+// Focus: a local Pomodoro engine with its session log
+const FOCUS_FILE_PATH = process.env.TICKTICK_FOCUS_FILE_PATH || path.join(path.dirname(CACHE_FILE_PATH), '.ticktick-mcp-focus.json');
+const TICKTICK_POMODORO_SETTINGS = {
+  workMinutes: parseInt(process.env.TICKTICK_POMODORO_WORK_MINUTES || '25', 10),
+  shortBreakMinutes: parseInt(process.env.TICKTICK_POMODORO_SHORT_BREAK_MINUTES || '5', 10),
+  longBreakMinutes: parseInt(process.env.TICKTICK_POMODORO_LONG_BREAK_MINUTES || '15', 10),
+  longBreakEvery: parseInt(process.env.TICKTICK_POMODORO_LONG_BREAK_EVERY || '4', 10)
+};
+// Habits: definitions in the local store (local) or a habits API (remote); the check-in log is always local
+const TICKTICK_HABITS_BACKEND = process.env.TICKTICK_HABITS_BACKEND || 'local';
+const HABITS_FILE_PATH = process.env.TICKTICK_HABITS_FILE_PATH || path.join(path.dirname(CACHE_FILE_PATH), '.ticktick-mcp-habits.json');
+const TICKTICK_HABITS_API_PATH = process.env.TICKTICK_HABITS_API_PATH || '/habits';
+const TOKEN_FILE_PATH = process.env.TICKTICK_TOKEN_FILE_PATH || path.join(path.dirname(CACHE_FILE_PATH), '.ticktick-mcp-tokens.json');
+
+// IANA timezone for quick add, all-day dates and "today" (defaults to the system timezone)
+const TICKTICK_TIMEZONE = resolveTimeZone(process.env.TICKTICK_TIMEZONE);
+
+// First day of "this week" for ticktick_get_upcoming_tasks: monday (default) or sunday
+const TICKTICK_WEEK_START = process.env.TICKTICK_WEEK_START?.toLowerCase() === 'sunday' ? 0 : 1;
+
+// Force dry-run for every mutating tool call (dry_run: false can't override it)
+const TICKTICK_DRY_RUN = ['1', 'true', 'yes'].includes(String(process.env.TICKTICK_DRY_RUN || '').toLowerCase());
+
+function createEmptyCache() {
+  return { tasks: {} };
+}
+
+// A parser rejected one argument: that is the caller's fault, so report it as InvalidParams
+// (HTTP 400) with the character position when the parser knows it
+function invalidArgument(field, error) {
+  const position = Number.isInteger(error.position) ? error.position : undefined;
+  return new McpError(ErrorCode.InvalidParams, `Invalid ${field}: ${error.message}`, {
+    errors: [{ field, message: error.message, ...(position === undefined ? {} : { position }) }]
+  });
+}
+
+// Run a parser (query, date, recurrence, reminder ...) on one argument; whatever it rejects is the caller's fault
+function parseArgument(field, parse) {
+  try {
+    return parse();
+  } catch (error) {
+    throw invalidArgument(field, error);
+  }
+}
+
+// Handlers wrap failures in "Failed to ..." errors; an InvalidParams error underneath still means bad arguments
+function findInvalidParams(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof McpError && current.code === ErrorCode.InvalidParams) return current;
+  }
+  return null;
+}
+
+// REST routes answer with the full MCP result unless ?format= (or body.format) asks for one view
+const REST_FORMATS = ['json', 'markdown'];
 
 class TickTickMCPServer {
   constructor() {
@@ -50,554 +152,344 @@ class TickTickMCPServer {
       }
     );
 
-    this.initializeCache();
+    this.auth = new TickTickAuth({
+      clientId: TICKTICK_CLIENT_ID,
+      clientSecret: TICKTICK_CLIENT_SECRET,
+      redirectUri: TICKTICK_REDIRECT_URI,
+      scope: TICKTICK_OAUTH_SCOPE,
+      authorizeUrl: TICKTICK_OAUTH_AUTHORIZE_URL,
+      tokenUrl: TICKTICK_OAUTH_TOKEN_URL,
+      tokenFilePath: TOKEN_FILE_PATH,
+      staticToken: TICKTICK_ACCESS_TOKEN
+    });
+
+    this.api = new TickTickApiClient({
+      baseUrl: TICKTICK_API_BASE_URL,
+      auth: this.auth,
+      timeoutMs: TICKTICK_API_TIMEOUT_MS,
+      maxRetries: TICKTICK_API_MAX_RETRIES,
+      retryBaseMs: TICKTICK_API_RETRY_BASE_MS,
+      rateLimit: TICKTICK_API_RATE_LIMIT,
+      rateWindowMs: TICKTICK_API_RATE_WINDOW_MS
+    });
+
+    // Guarded so dry-run operations never write the cache
+    this.cache = guardStore(createStore(CACHE_BACKEND, CACHE_FILE_PATH, { createDefault: createEmptyCache }));
+
+    this.taskSync = new TaskSync({
+      request: (endpoint, method, data) => this.makeApiRequest(endpoint, method, data),
+      store: this.cache
+    });
+
+    this.cacheMaintenance = new CacheMaintenance({
+      request: (endpoint, method, data) => this.makeApiRequest(endpoint, method, data),
+      store: this.cache,
+      ttlMs: CACHE_TTL
+    });
+
+    this.focus = new FocusEngine({
+      store: guardStore(createStore('json', FOCUS_FILE_PATH, { createDefault: createEmptyFocusLog })),
+      settings: TICKTICK_POMODORO_SETTINGS
+    });
+
+    // Guarded like the cache, so dry runs don't record check-ins
+    this.habits = createHabitBackend(TICKTICK_HABITS_BACKEND, {
+      store: guardStore(createStore('json', HABITS_FILE_PATH, { createDefault: createEmptyHabitLog })),
+      request: (endpoint, method, data) => this.makeApiRequest(endpoint, method, data),
+      path: TICKTICK_HABITS_API_PATH
+    });
+
+    // Built lazily from the cache by getSearchIndex()
+    this.searchIndex = null;
+
+    // Not guarded: undo bookkeeping lives outside the dry-run sandbox
+    this.journal = new OperationJournal({
+      store: createStore('json', JOURNAL_FILE_PATH, { createDefault: createEmptyJournal }),
+      maxEntries: JOURNAL_MAX_ENTRIES
+    });
+
     this.setupHandlers();
   }
 
-  // Cache management methods
-  initializeCache() {
+  // Exchange TICKTICK_AUTH_CODE once when no stored OAuth token exists yet
+  async initializeAuth() {
+    if (!TICKTICK_AUTH_CODE || this.auth.tokens?.access_token || !this.auth.isConfigured()) {
+      return;
+    }
     try {
-      if (!fs.existsSync(CACHE_FILE_PATH)) {
-        this.saveCache({ tasks: {} });
-      }
+      await this.auth.exchangeCode(TICKTICK_AUTH_CODE);
+      console.log('🔑 Exchanged TICKTICK_AUTH_CODE for an OAuth token');
     } catch (error) {
-      console.warn('Failed to initialize cache:', error.message);
+      console.warn('Failed to exchange TICKTICK_AUTH_CODE:', error.message);
     }
   }
 
-  loadCache() {
+  // Cache management methods
+  async initializeCache() {
+    await this.cache.open();
+    await this.journal.store.open();
+    await this.habits.store.open();
+    await this.focus.store.open();
+    this.cacheMaintenance.start(CACHE_REVALIDATE_INTERVAL_MS);
+  }
+
+  async loadCache() {
     try {
-      if (fs.existsSync(CACHE_FILE_PATH)) {
-        const data = fs.readFileSync(CACHE_FILE_PATH, 'utf8');
-        return JSON.parse(data);
-      }
+      return await this.cache.read();
     } catch (error) {
       console.warn('Failed to load cache:', error.message);
     }
-    return { tasks: {} };
+    return createEmptyCache();
+  }
+
+  // Serialized read-modify-write; mutator(cache) edits the cache in place
+  async updateCache(mutator) {
+    return await this.cache.update(cache => {
+      cache.tasks = cache.tasks || {};
+      return mutator(cache);
+    });
   }
 
-  saveCache(data) {
+  isTaskStale(task) {
+    return this.cacheMaintenance.isStale(task);
+  }
+
+  // Pass the full API task when available so the local mirror stays current
+  async addTaskToCache(taskId, projectId, title, task = null) {
     try {
-      fs.writeFileSync(CACHE_FILE_PATH, JSON.stringify(data, null, 2));
+      await this.updateCache(cache => {
+        const existing = cache.tasks[taskId];
+        cache.tasks[taskId] = {
+          ...(existing || {}),
+          project_id: projectId,
+          title: title,
+          cached_at: new Date().toISOString(),
+          ...(task ? { task } : {})
+        };
+        // A title-only registration must not leave a mirror copy from another project behind
+        if (!task && existing?.task && existing.task.projectId !== projectId) {
+          delete cache.tasks[taskId].task;
+        }
+      });
     } catch (error) {
-      console.warn('Failed to save cache:', error.message);
+      console.warn('Failed to add task to cache:', error.message);
     }
   }
 
-  isTaskStale(task) {
-    if (!task.cached_at) return true;
-    return Date.now() - new Date(task.cached_at) > CACHE_TTL;
+  async markTaskCompletedInCache(taskId) {
+    try {
+      await this.updateCache(cache => {
+        const entry = cache.tasks[taskId];
+        if (entry?.task) {
+          entry.task = { ...entry.task, status: 2, completedTime: new Date().toISOString() };
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to update task in cache:', error.message);
+    }
   }
 
-  addTaskToCache(taskId, projectId, title) {
+  async removeTaskFromCache(taskId) {
     try {
-      const cache = this.loadCache();
-      cache.tasks[taskId] = {
-        project_id: projectId,
-        title: title,
-        cached_at: new Date().toISOString()
-      };
-      this.saveCache(cache);
+      await this.updateCache(cache => {
+        delete cache.tasks[taskId];
+      });
     } catch (error) {
-      console.warn('Failed to add task to cache:', error.message);
+      console.warn('Failed to remove task from cache:', error.message);
     }
   }
 
+  // Task endpoints are project-scoped: use the explicit project_id or look it up in the cache
+  async resolveProjectId(args) {
+    if (args.project_id) return args.project_id;
+
+    const cached = (await this.loadCache()).tasks?.[args.task_id];
+    if (cached?.project_id) return cached.project_id;
+
+    throw invalidArgument('task_id', new Error(`Task ${args.task_id} is not in the cache - pass project_id or register it with ticktick_register_task_id`));
+  }
+
   setupHandlers() {
     // List available tools
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
-        tools: [
-          // Core Task Management (24 operations)
-          {
-            name: 'ticktick_get_projects',
-            description: 'Get all projects from TickTick',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                include_archived: {
-                  type: 'boolean',
-                  description: 'Include archived projects',
-                  default: false
-                }
-              }
-            }
-          },
-          {
-            name: 'ticktick_create_project',
-            description: 'Create a new project in TickTick',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: {
-                  type: 'string',
-                  description: 'Name of the project'
-                },
-                color: {
-                  type: 'string',
-                  description: 'Project color (hex code)',
-                  default: '#3498db'
-                }
-              },
-              required: ['name']
-            }
-          },
-          {
-            name: 'ticktick_create_task',
-            description: 'Create a new task in TickTick',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                title: {
-                  type: 'string',
-                  description: 'Task title'
-                },
-                content: {
-                  type: 'string',
-                  description: 'Task description/content'
-                },
-                project_id: {
-                  type: 'string',
-                  description: 'Project ID to add task to'
-                },
-                priority: {
-                  type: 'number',
-                  description: 'Task priority (0=None, 1=Low, 3=Medium, 5=High)',
-                  default: 0
-                },
-                due_date: {
-                  type: 'string',
-                  description: 'Due date in ISO format'
-                },
-                tags: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'Tags for the task'
-                }
-              },
-              required: ['title']
-            }
-          },
-          {
-            name: 'ticktick_update_task',
-            description: 'Update an existing task',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task to update' },
-                title: { type: 'string', description: 'New task title' },
-                content: { type: 'string', description: 'New task description' },
-                priority: { type: 'number', description: 'New priority level' },
-                completed: { type: 'boolean', description: 'Mark as completed/incomplete' }
-              },
-              required: ['task_id']
-            }
-          },
-          {
-            name: 'ticktick_delete_task',
-            description: 'Delete a task from TickTick',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task to delete' }
-              },
-              required: ['task_id']
-            }
-          },
-          {
-            name: 'ticktick_complete_task',
-            description: 'Mark a task as completed',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task to complete' }
-              },
-              required: ['task_id']
-            }
-          },
-          {
-            name: 'ticktick_get_task_details',
-            description: 'Get detailed information about a specific task',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task' }
-              },
-              required: ['task_id']
-            }
-          },
-          {
-            name: 'ticktick_get_cached_tasks',
-            description: 'Get all cached tasks (BREAKTHROUGH FEATURE)',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                project_id: { type: 'string', description: 'Filter by project ID' },
-                include_stale: { type: 'boolean', description: 'Include stale tasks', default: true }
-              }
-            }
-          },
-          {
-            name: 'ticktick_register_task_id',
-            description: 'Register existing task ID to cache',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'Task ID to register' },
-                project_id: { type: 'string', description: 'Project ID' },
-                title: { type: 'string', description: 'Task title' }
-              },
-              required: ['task_id', 'project_id', 'title']
-            }
-          },
-          {
-            name: 'ticktick_import_from_csv',
-            description: 'Import tasks from CSV data',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                csv_data: { type: 'string', description: 'CSV data with task_id,project_id,title format' }
-              },
-              required: ['csv_data']
-            }
-          },
-          // Habits & Tracking (20+ operations)
-          {
-            name: 'ticktick_get_habits',
-            description: 'Get all habits from TickTick',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                include_archived: { type: 'boolean', description: 'Include archived habits', default: false }
-              }
-            }
-          },
-          {
-            name: 'ticktick_create_habit',
-            description: 'Create a new habit',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: { type: 'string', description: 'Name of the habit' },
-                frequency: { type: 'string', description: 'Frequency: daily, weekly, or custom', default: 'daily' },
-                goal: { type: 'number', description: 'Target count per frequency period', default: 1 }
-              },
-              required: ['name']
-            }
-          },
-          {
-            name: 'ticktick_checkin_habit',
-            description: 'Check in a habit for today',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                habit_id: { type: 'string', description: 'ID of the habit' },
-                date: { type: 'string', description: 'Date for check-in (YYYY-MM-DD), defaults to today' },
-                count: { type: 'number', description: 'Number of times completed', default: 1 }
-              },
-              required: ['habit_id']
-            }
-          },
-          // Focus Time & Productivity (15+ operations)
-          {
-            name: 'ticktick_start_focus_session',
-            description: 'Start a focus/Pomodoro session',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task to focus on' },
-                duration: { type: 'number', description: 'Focus duration in minutes', default: 25 }
-              }
-            }
-          },
-          {
-            name: 'ticktick_get_focus_stats',
-            description: 'Get focus time statistics',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                period: { type: 'string', description: 'Time period: today, week, month', default: 'today' }
-              }
-            }
-          },
-          // Tags & Organization (10+ operations)
-          {
-            name: 'ticktick_get_tags',
-            description: 'Get all tags from TickTick',
-            inputSchema: { type: 'object', properties: {} }
-          },
-          {
-            name: 'ticktick_create_tag',
-            description: 'Create a new tag',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                name: { type: 'string', description: 'Name of the tag' },
-                color: { type: 'string', description: 'Color of the tag', default: '#3498db' }
-              },
-              required: ['name']
-            }
-          },
-          {
-            name: 'ticktick_add_tag_to_task',
-            description: 'Add a tag to a specific task',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task' },
-                tag_name: { type: 'string', description: 'Name of the tag to add' }
-              },
-              required: ['task_id', 'tag_name']
-            }
-          },
-          // Project Management (30+ operations)  
-          {
-            name: 'ticktick_archive_project',
-            description: 'Archive a completed project',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                project_id: { type: 'string', description: 'ID of the project to archive' }
-              },
-              required: ['project_id']
-            }
-          },
-          {
-            name: 'ticktick_duplicate_project',
-            description: 'Create a copy of an existing project',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                project_id: { type: 'string', description: 'ID of the project to duplicate' },
-                new_name: { type: 'string', description: 'Name for the duplicated project' },
-                include_tasks: { type: 'boolean', description: 'Include tasks in duplicate', default: true }
-              },
-              required: ['project_id', 'new_name']
-            }
-          },
-          // Calendar Integration (8+ operations)
-          {
-            name: 'ticktick_get_calendar_events',
-            description: 'List calendar events',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                start_date: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
-                end_date: { type: 'string', description: 'End date (YYYY-MM-DD)' }
-              }
-            }
-          },
-          {
-            name: 'ticktick_create_calendar_event',
-            description: 'Create calendar event',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                title: { type: 'string', description: 'Event title' },
-                start_time: { type: 'string', description: 'Event start time (ISO format)' },
-                end_time: { type: 'string', description: 'Event end time (ISO format)' }
-              },
-              required: ['title', 'start_time', 'end_time']
-            }
-          },
-          // Analytics & Reporting (10+ operations)
-          {
-            name: 'ticktick_get_productivity_report',
-            description: 'Generate productivity reports',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                period: { type: 'string', description: 'Report period: week, month, quarter', default: 'week' },
-                include_charts: { type: 'boolean', description: 'Include chart data', default: false }
-              }
-            }
-          },
-          {
-            name: 'ticktick_get_today_tasks',
-            description: 'Get tasks scheduled for today',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                include_overdue: { type: 'boolean', description: 'Include overdue tasks', default: true }
-              }
-            }
-          },
-          {
-            name: 'ticktick_get_overdue_tasks',
-            description: 'Get all overdue tasks',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                limit: { type: 'number', description: 'Maximum number of results', default: 50 }
-              }
-            }
-          },
-          // Collaboration & Team (15+ operations)
-          {
-            name: 'ticktick_share_project',
-            description: 'Share project with others',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                project_id: { type: 'string', description: 'ID of the project to share' },
-                emails: { type: 'array', items: { type: 'string' }, description: 'Email addresses to share with' },
-                permission_level: { type: 'string', enum: ['view', 'edit', 'admin'], default: 'edit' }
-              },
-              required: ['project_id', 'emails']
-            }
-          },
-          // Notes & Attachments (8+ operations)
-          {
-            name: 'ticktick_add_task_note',
-            description: 'Add note to task',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task_id: { type: 'string', description: 'ID of the task' },
-                note_content: { type: 'string', description: 'Note content' }
-              },
-              required: ['task_id', 'note_content']
-            }
-          }
-          // NOTE: This is a representative sample. The full server supports 130+ tools
-          // All tools from original server are preserved and functional
-        ]
+        tools: TOOL_DEFINITIONS.map(({ name, description, inputSchema, outputSchema }) => ({
+          name,
+          description,
+          inputSchema,
+          outputSchema
+        }))
       };
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
-      
-      try {
-        switch (name) {
-          // Core Task Management
-          case 'ticktick_get_projects':
-            return await this.getProjects(args);
-          case 'ticktick_create_project':
-            return await this.createProject(args);
-          case 'ticktick_create_task':
-            return await this.createTask(args);
-          case 'ticktick_update_task':
-            return await this.updateTask(args);
-          case 'ticktick_delete_task':
-            return await this.deleteTask(args);
-          case 'ticktick_complete_task':
-            return await this.completeTask(args);
-          case 'ticktick_get_task_details':
-            return await this.getTaskDetails(args);
-          
-          // Cache System (BREAKTHROUGH FEATURE)
-          case 'ticktick_get_cached_tasks':
-            return await this.getCachedTasks(args);
-          case 'ticktick_register_task_id':
-            return await this.registerTaskId(args);
-          case 'ticktick_import_from_csv':
-            return await this.importFromCsv(args);
-          
-          // Habits & Tracking
-          case 'ticktick_get_habits':
-            return await this.getHabits(args);
-          case 'ticktick_create_habit':
-            return await this.createHabit(args);
-          case 'ticktick_checkin_habit':
-            return await this.checkinHabit(args);
-          
-          // Focus & Productivity
-          case 'ticktick_start_focus_session':
-            return await this.startFocusSession(args);
-          case 'ticktick_get_focus_stats':
-            return await this.getFocusStats(args);
-          
-          // Tags & Organization
-          case 'ticktick_get_tags':
-            return await this.getTags(args);
-          case 'ticktick_create_tag':
-            return await this.createTag(args);
-          case 'ticktick_add_tag_to_task':
-            return await this.addTagToTask(args);
-          
-          // Project Management
-          case 'ticktick_archive_project':
-            return await this.archiveProject(args);
-          case 'ticktick_duplicate_project':
-            return await this.duplicateProject(args);
-          
-          // Calendar Integration
-          case 'ticktick_get_calendar_events':
-            return await this.getCalendarEvents(args);
-          case 'ticktick_create_calendar_event':
-            return await this.createCalendarEvent(args);
-          
-          // Analytics & Reporting
-          case 'ticktick_get_productivity_report':
-            return await this.getProductivityReport(args);
-          case 'ticktick_get_today_tasks':
-            return await this.getTodayTasks(args);
-          case 'ticktick_get_overdue_tasks':
-            return await this.getOverdueTasks(args);
-          
-          // Collaboration
-          case 'ticktick_share_project':
-            return await this.shareProject(args);
-          
-          // Notes & Attachments
-          case 'ticktick_add_task_note':
-            return await this.addTaskNote(args);
-            
-          default:
-            throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-        }
-      } catch (error) {
-        console.error(`Error in ${name}:`, error);
-        throw new McpError(ErrorCode.InternalError, error.message);
-      }
+      const progressToken = request.params._meta?.progressToken;
+      const progress = progressToken === undefined ? null
+        : (done, total, message) => extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, progress: done, total, message }
+        });
+      return await this.callTool(name, args, { progress });
     });
   }
 
-  // API Helper Method
-  async makeApiRequest(endpoint, method = 'GET', data = null) {
-    const baseURL = 'https://api.ticktick.com/open/v1';
-    const url = `${baseURL}${endpoint}`;
-    
-    const headers = {
-      'Authorization': `Bearer ${TICKTICK_ACCESS_TOKEN}`,
-      'Content-Type': 'application/json'
-    };
+  // Shared dispatch for MCP and REST callers; progress is set when an MCP caller passed a progressToken
+  async callTool(name, args = {}, { progress = null } = {}) {
+    const tool = TOOLS_BY_NAME.get(name);
+    if (!tool) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+
+    const errors = validateArguments(tool.inputSchema, args || {});
+    if (errors.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: ${formatValidationErrors(errors)}`, { errors });
+    }
+    if (args.task_query && !args.task_id && tool.inputSchema.properties?.task_query) {
+      args = await this.resolveTaskQuery(args);
+    }
 
     try {
-      const response = await fetch(url, {
-        method,
-        headers,
-        body: data ? JSON.stringify(data) : null
-      });
+      if (!tool.mutating) {
+        return await this[tool.handler](args || {});
+      }
+      return await this.runMutatingTool(tool, args || {}, { progress });
+    } catch (error) {
+      if (error instanceof McpError) throw error;
+      const invalid = findInvalidParams(error);
+      if (invalid) throw invalid;
+      console.error(`Error in ${name}:`, error);
+      // Keep the upstream status and TickTick error payload for callers
+      const apiError = findApiError(error);
+      throw new McpError(ErrorCode.InternalError, error.message, apiError ? { api_error: apiError.toJSON() } : undefined);
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  // Mutating tools run inside an operation: dry runs turn into a report, real runs are
+  // journaled (also when they fail halfway) so ticktick_undo can reverse them
+  async runMutatingTool(tool, args, { progress = null } = {}) {
+    const operation = createOperation(tool.name, { dryRun: TICKTICK_DRY_RUN || args.dry_run === true, progress });
+    const journaled = !operation.dryRun && tool.journal !== false;
+
+    let result;
+    try {
+      result = await runInOperation(operation, () => this[tool.handler](args));
+    } catch (error) {
+      if (journaled && operation.calls.length > 0) {
+        await this.recordOperation(operation, args, error);
       }
+      throw error;
+    }
+
+    if (operation.dryRun) {
+      return this.createDryRunResult(operation, result);
+    }
+    // Nothing was sent to TickTick (a preview, a local-only change): there is nothing to undo
+    if (!journaled || operation.calls.length === 0) {
+      return result;
+    }
+
+    const entry = await this.recordOperation(operation, args);
+    if (!entry || !isUndoable(entry)) {
+      return result;
+    }
+    return {
+      content: [...result.content, { type: 'text', text: `↩️ Operation ID: ${entry.id} (reverse it with \`ticktick_undo\`)` }],
+      structuredContent: { ...result.structuredContent, operation_id: entry.id }
+    };
+  }
+
+  // A journal failure must never fail the change that already happened
+  async recordOperation(operation, args, error = null) {
+    try {
+      return await this.journal.record(operation, args, error);
+    } catch (journalError) {
+      console.warn('Failed to write operation journal:', journalError.message);
+      return null;
+    }
+  }
 
-      return await response.json();
+  // API Helper Method
+  // options: { timeoutMs, retries, idempotent } - see TickTickApiClient.request
+  async makeApiRequest(endpoint, method = 'GET', data = null, options = {}) {
+    const operation = currentOperation();
+    try {
+      if (operation && !READ_METHODS.includes(method)) {
+        return await this.recordWrite(operation, endpoint, method, data, options);
+      }
+      const result = await this.api.request(method, endpoint, data, options);
+      if (operation && method === 'GET') operation.reads.set(endpoint, result);
+      return result;
     } catch (error) {
-      console.error(`API request error for ${endpoint}:`, error);
+      console.error(`API request error for ${endpoint}:`, error.message);
       throw error;
     }
   }
 
+  // Writes inside an operation are recorded with the target's state from before the call.
+  // A dry run stops there; fetching the target also proves it exists, so it fails where
+  // the real call would
+  async recordWrite(operation, endpoint, method, data, options) {
+    const call = { method, endpoint, body: data, before: null };
+
+    const target = snapshotEndpoint(method, endpoint, data);
+    const known = target ? findSnapshot(operation, target) : undefined;
+    if (known !== undefined) {
+      call.before = known;
+    } else if (target) {
+      try {
+        call.before = await this.makeApiRequest(target);
+      } catch (error) {
+        if (operation.dryRun) throw error;
+        console.warn(`Could not snapshot ${target} before ${method} ${endpoint}:`, error.message);
+      }
+    }
+    call.after = predictAfter(method, endpoint, call.before, data);
+
+    if (operation.dryRun) {
+      operation.calls.push(call);
+      return simulateResponse(operation, call);
+    }
+
+    const result = await this.api.request(method, endpoint, data, options);
+    operation.calls.push({ ...call, result });
+    return result;
+  }
+
+  createDryRunResult(operation, result) {
+    const plan = {
+      tool: operation.tool,
+      calls: operation.calls,
+      cache_writes: operation.cacheWrites
+    };
+    const calls = operation.calls.map((call, index) =>
+      `${index + 1}. \`${call.method} ${call.endpoint}\`${call.body ? `\n   Body: \`${JSON.stringify(call.body)}\`` : ''}\n   Before: ${call.before ? `\`${JSON.stringify(call.before)}\`` : '(none)'}\n   After: ${call.after ? `\`${JSON.stringify(call.after)}\`` : '(deleted)'}`
+    ).join('\n');
+
+    return {
+      content: [{
+        type: 'text',
+        text: `🧪 **Dry Run - nothing was changed**\n\n🔧 Tool: ${operation.tool}\n📡 API calls that would be made: ${operation.calls.length}\n💾 Cache updates skipped: ${operation.cacheWrites}${calls ? `\n\n${calls}` : ''}\n\n---\n*Simulated result:*\n\n${result.content.map(item => item.text).join('\n\n')}`
+      }],
+      structuredContent: { ...result.structuredContent, dry_run: plan }
+    };
+  }
+
   // Tool Implementation Methods
   async getProjects(args) {
     try {
-      const projects = await this.makeApiRequest('/project');
-      return {
-        content: [{
-          type: 'text',
-          text: `📁 **TickTick Projects** (${projects.length} total)\n\n${projects.map(p => 
-            `• **${p.name}** (${p.id})\n  📊 ${p.taskCount || 0} tasks${p.color ? ` • ${p.color}` : ''}`
-          ).join('\n\n')}`
-        }]
-      };
+      const all = await this.makeApiRequest('/project');
+      const projects = args.include_archived ? all : all.filter(project => !project.closed);
+      const archived = all.length - all.filter(project => !project.closed).length;
+      return this.createToolResult(
+        `📁 **TickTick Projects** (${projects.length} total)\n\n${projects.map(p => 
+            `• **${p.name}** (${p.id})${p.closed ? ' 🗄️ archived' : ''}\n  📊 ${p.taskCount || 0} tasks${p.color ? ` • ${p.color}` : ''}`
+          ).join('\n\n')}${!args.include_archived && archived ? `\n\n🗄️ ${archived} archived project(s) hidden - pass include_archived: true` : ''}`,
+        { projects, count: projects.length }
+      );
     } catch (error) {
-      throw new Error(`Failed to get projects: ${error.message}`);
+      throw new Error(`Failed to get projects: ${error.message}`, { cause: error });
     }
   }
 
@@ -610,206 +502,2103 @@ class TickTickMCPServer {
       
       const project = await this.makeApiRequest('/project', 'POST', projectData);
       
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ **Project Created Successfully!**\n\n📁 **${project.name}**\n🆔 ID: ${project.id}\n🎨 Color: ${project.color}\n\nYou can now add tasks to this project! 🚀`
-        }]
-      };
+      return this.createToolResult(
+        `✅ **Project Created Successfully!**\n\n📁 **${project.name}**\n🆔 ID: ${project.id}\n🎨 Color: ${project.color}\n\nYou can now add tasks to this project! 🚀`,
+        { project }
+      );
+    } catch (error) {
+      throw new Error(`Failed to create project: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Keep the synced project mirror in step: update an entry that is already there, or
+  // drop it and its tasks when project is null
+  async updateCachedProject(projectId, project) {
+    try {
+      await this.updateCache(cache => {
+        if (project) {
+          if (cache.projects?.[projectId]) cache.projects[projectId] = { ...cache.projects[projectId], ...project };
+          return;
+        }
+        if (cache.projects) delete cache.projects[projectId];
+        for (const [id, entry] of Object.entries(cache.tasks)) {
+          if ((entry.task?.projectId ?? entry.project_id) === projectId) delete cache.tasks[id];
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to update project in cache:', error.message);
+    }
+  }
+
+  async updateProject(args) {
+    try {
+      const current = await this.makeApiRequest(`/project/${args.project_id}`);
+      const changes = {};
+      if (args.name !== undefined) changes.name = args.name;
+      if (args.color !== undefined) changes.color = args.color;
+      if (args.view_mode !== undefined) changes.viewMode = args.view_mode;
+      if (args.kind !== undefined) changes.kind = args.kind;
+
+      const project = await this.makeApiRequest(`/project/${args.project_id}`, 'POST', { ...current, ...changes });
+      await this.updateCachedProject(project.id, project);
+
+      return this.createToolResult(
+        `✏️ **Project Updated**\n\n📁 **${project.name}**\n🆔 ID: ${project.id}${project.color ? `\n🎨 Color: ${project.color}` : ''}${project.viewMode ? `\n👁️ View: ${project.viewMode}` : ''}${project.kind ? `\n📦 Kind: ${project.kind}` : ''}`,
+        { project }
+      );
+    } catch (error) {
+      throw new Error(`Failed to update project: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Two steps: without confirm_token this only reports what would be lost and returns a token
+  async deleteProject(args) {
+    try {
+      const data = await this.makeApiRequest(`/project/${args.project_id}/data`);
+      const project = data.project || await this.makeApiRequest(`/project/${args.project_id}`);
+      const taskIds = (data.tasks || []).map(task => task.id);
+      const unrecoverable = await this.cachedCompletedTasks(args.project_id);
+
+      if (!args.confirm_token) {
+        const token = createDeleteToken(args.project_id, taskIds);
+        const expiresAt = new Date(Date.now() + DELETE_TOKEN_TTL_MS).toISOString();
+        return this.createToolResult(
+          `⚠️ **Confirm Project Deletion**\n\n📁 **${project.name}** (${project.id})\n📝 ${taskIds.length} open task(s) will be deleted with it${taskIds.length ? `:\n${(data.tasks || []).slice(0, 10).map(task => `• ${task.title}`).join('\n')}${taskIds.length > 10 ? `\n• … and ${taskIds.length - 10} more` : ''}` : ''}\n\n${this.formatUnrecoverableTasks(unrecoverable)}\n\nTo delete it, call ticktick_delete_project again with confirm_token: \`${token}\` (valid for ${DELETE_TOKEN_TTL_MS / 60000} minutes)`,
+          { deleted: false, project, task_count: taskIds.length, unrecoverable_tasks: unrecoverable, confirm_token: token, expires_at: expiresAt }
+        );
+      }
+
+      const problem = checkDeleteToken(args.confirm_token, args.project_id, taskIds);
+      if (problem) {
+        throw invalidArgument('confirm_token', new Error(`${problem} - call again without confirm_token for a new one`));
+      }
+      await this.makeApiRequest(`/project/${args.project_id}`, 'DELETE');
+      await this.updateCachedProject(args.project_id, null);
+
+      return this.createToolResult(
+        `🗑️ **Project Deleted**\n\n📁 **${project.name}** (${project.id})\n📝 ${taskIds.length} task(s) deleted with it\n\nticktick_undo can recreate it and its open tasks (with new IDs).\n${this.formatUnrecoverableTasks(unrecoverable)}`,
+        { deleted: true, project, task_count: taskIds.length, unrecoverable_tasks: unrecoverable }
+      );
+    } catch (error) {
+      throw new Error(`Failed to delete project: ${error.message}`, { cause: error });
+    }
+  }
+
+  // /project/{id}/data only lists open tasks, so completed ones can't be snapshotted for undo.
+  // These are the ones the cache has seen; there may be more
+  async cachedCompletedTasks(projectId) {
+    const cache = await this.loadCache();
+    return Object.entries(cache.tasks || {})
+      .filter(([, entry]) => entry.project_id === projectId && entry.task?.status === 2)
+      .map(([id, entry]) => ({ id, title: entry.title }));
+  }
+
+  formatUnrecoverableTasks(tasks) {
+    return `⚠️ Completed tasks are deleted too and ticktick_undo can't bring them back (the Open API doesn't list them)${tasks.length ? `. Known ones:\n${tasks.map(task => `• ${task.title} (${task.id})`).join('\n')}` : ''}`;
+  }
+
+  async archiveProject(args) {
+    try {
+      const archived = args.archived ?? true;
+      const current = await this.makeApiRequest(`/project/${args.project_id}`);
+      if (Boolean(current.closed) === archived) {
+        throw new Error(`Project "${current.name}" is already ${archived ? 'archived' : 'active'}`);
+      }
+
+      const project = await this.makeApiRequest(`/project/${args.project_id}`, 'POST', { ...current, closed: archived });
+      await this.updateCachedProject(project.id, project);
+
+      return this.createToolResult(
+        `${archived ? '🗄️ **Project Archived**' : '♻️ **Project Restored**'}\n\n📁 **${project.name}** (${project.id})${archived ? '\n\nIt is hidden from ticktick_get_projects unless include_archived is set; archived: false brings it back.' : ''}`,
+        { project, archived }
+      );
     } catch (error) {
-      throw new Error(`Failed to create project: ${error.message}`);
+      throw new Error(`Failed to archive project: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Tasks are created one by one, parents first, so subtasks can point at their new parent
+  async duplicateProject(args) {
+    try {
+      const data = await this.makeApiRequest(`/project/${args.project_id}/data`);
+      const source = data.project || await this.makeApiRequest(`/project/${args.project_id}`);
+      const project = await this.makeApiRequest('/project', 'POST', {
+        name: args.new_name,
+        color: source.color,
+        viewMode: source.viewMode,
+        kind: source.kind
+      });
+
+      const idMap = { [source.id]: project.id };
+      const results = [];
+      const tasks = args.include_tasks === false ? [] : parentsFirst(data.tasks || []);
+      await withBufferedCache(this.cache, async () => {
+        for (const [index, task] of tasks.entries()) {
+          try {
+            const body = copyTask(task, project.id, { shiftDays: args.shift_days || 0, timeZone: TICKTICK_TIMEZONE });
+            if (task.parentId) {
+              if (idMap[task.parentId]) body.parentId = idMap[task.parentId];
+              else delete body.parentId;
+            }
+            const created = await this.makeApiRequest('/task', 'POST', body);
+            await this.addTaskToCache(created.id, created.projectId, created.title, created);
+            idMap[task.id] = created.id;
+            results.push({ old_id: task.id, new_id: created.id, title: task.title, items: body.items.length, status: 'created' });
+          } catch (error) {
+            results.push({ old_id: task.id, new_id: null, title: task.title, items: 0, status: 'error', error: error.message });
+          }
+          await reportProgress(index + 1, tasks.length, task.title);
+        }
+      });
+
+      const copied = results.filter(result => result.status === 'created').length;
+      const failed = results.length - copied;
+      return this.createToolResult(
+        `📋 **Project Duplicated!**\n\n📁 **${source.name}** (${source.id}) → **${project.name}** (${project.id})\n📝 ${copied} task(s) copied${failed ? `, ❌ ${failed} failed` : ''}${args.shift_days ? `\n📅 Dates shifted by ${args.shift_days} day(s)` : ''}${results.length ? `\n\n${results.map(result =>
+            `${result.status === 'created' ? '✅' : '❌'} ${result.title}: ${result.old_id} → ${result.new_id || result.error}${result.items ? ` (${result.items} checklist item(s))` : ''}`
+          ).join('\n')}` : ''}`,
+        { project, source_project_id: source.id, id_map: idMap, tasks: results, copied, failed }
+      );
+    } catch (error) {
+      throw new Error(`Failed to duplicate project: ${error.message}`, { cause: error });
     }
   }
 
   async createTask(args) {
     try {
+      const parsed = args.quick_add ? parseArgument('quick_add', () => parseQuickAdd(args.quick_add, { timeZone: TICKTICK_TIMEZONE })) : null;
+      const projectId = args.project_id
+        || (parsed?.project ? await this.resolveProjectByName(parsed.project) : null)
+        || await this.inboxProjectId();
+
       const taskData = {
-        title: args.title,
+        title: args.title || parsed.title,
         content: args.content || '',
-        projectId: args.project_id || 'inbox119467736', // Default inbox
-        priority: args.priority || 0,
-        dueDate: args.due_date ? new Date(args.due_date).toISOString() : null,
-        tags: args.tags || []
+        projectId,
+        priority: args.priority ?? parsed?.priority ?? 0,
+        dueDate: parsed?.due_date || null,
+        tags: [...new Set([...(parsed?.tags || []), ...(args.tags || [])])]
       };
+      if (parsed?.due_date) {
+        taskData.isAllDay = parsed.is_all_day;
+        taskData.timeZone = TICKTICK_TIMEZONE;
+      }
+      if (parsed?.recurrence) {
+        taskData.repeatFlag = parsed.recurrence;
+      }
+      // Explicit arguments win over what quick_add parsed
+      this.applySchedule(taskData, args);
       
       const task = await this.makeApiRequest('/task', 'POST', taskData);
       
       // Auto-cache the new task
-      this.addTaskToCache(task.id, task.projectId, task.title);
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      const quickAdd = parsed
+        ? `\n🪄 **Parsed from quick add:**\n${parsed.parsed.map(p => `• \`${p.token}\` → ${p.meaning}`).join('\n') || '• (title only)'}\n`
+        : '';
       
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ **Task Created Successfully!**\n\n📝 **${task.title}**\n🆔 ID: ${task.id}\n📁 Project: ${task.projectId}\n${task.content ? `📄 Description: ${task.content}\n` : ''}${task.dueDate ? `📅 Due: ${new Date(task.dueDate).toLocaleString()}\n` : ''}🎯 Priority: ${task.priority}\n\n*Task automatically cached for easy discovery!* 💾`
-        }]
-      };
+      return this.createToolResult(
+        `✅ **Task Created Successfully!**\n\n📝 **${task.title}**\n🆔 ID: ${task.id}\n📁 Project: ${task.projectId}\n${task.content ? `📄 Description: ${task.content}\n` : ''}${this.formatSchedule(task)}🎯 Priority: ${task.priority}\n${task.tags?.length ? `🏷️ Tags: ${task.tags.join(', ')}\n` : ''}${quickAdd}\n*Task automatically cached for easy discovery!* 💾`,
+        parsed ? { task, parsed: { ...parsed, project_id: projectId } } : { task }
+      );
+    } catch (error) {
+      throw new Error(`Failed to create task: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Schedule arguments shared by create and update, applied on top of taskData:
+  // start_date/due_date (YYYY-MM-DD = all-day), is_all_day, time_zone, reminders, recurrence
+  applySchedule(taskData, args) {
+    if (args.time_zone && !isValidTimeZone(args.time_zone)) {
+      throw invalidArgument('time_zone', new Error(`Unknown timezone "${args.time_zone}" - use an IANA name like Europe/Berlin`));
+    }
+    const timeZone = args.time_zone || taskData.timeZone || TICKTICK_TIMEZONE;
+    // null or "" clears a date, the reminders or the recurrence
+    const cleared = value => value === null || value === '';
+
+    const allDay = [];
+    for (const [field, key] of [['start_date', 'startDate'], ['due_date', 'dueDate']]) {
+      if (args[field] === undefined) continue;
+      if (cleared(args[field])) {
+        taskData[key] = null;
+        continue;
+      }
+      const { dueDate, isAllDay } = parseArgument(field, () => parseDueDate(args[field], timeZone));
+      taskData[key] = dueDate;
+      allDay.push(isAllDay);
+    }
+    if (args.is_all_day !== undefined) {
+      taskData.isAllDay = args.is_all_day;
+    } else if (allDay.length) {
+      taskData.isAllDay = allDay.every(Boolean);
+    }
+    if (allDay.length || args.time_zone) {
+      taskData.timeZone = timeZone;
+    }
+
+    if (args.reminders !== undefined) {
+      taskData.reminders = cleared(args.reminders) ? [] : args.reminders.map((reminder, index) => parseArgument(`reminders[${index}]`, () => parseReminder(reminder)));
+    }
+    if (args.recurrence !== undefined) {
+      taskData.repeatFlag = cleared(args.recurrence) || args.recurrence.trim().toLowerCase() === 'none'
+        ? ''
+        : parseArgument('recurrence', () => formatRRule(parseRecurrence(args.recurrence)));
+    }
+
+    const hasDate = Boolean(taskData.startDate || taskData.dueDate);
+    if (taskData.startDate && taskData.dueDate && new Date(taskData.startDate) > new Date(taskData.dueDate)) {
+      throw invalidArgument('start_date', new Error('must not be after due_date'));
+    }
+    if (taskData.repeatFlag && !hasDate) {
+      throw invalidArgument('recurrence', new Error('a recurring task needs a start_date or due_date'));
+    }
+    if (taskData.reminders?.length && !hasDate) {
+      throw invalidArgument('reminders', new Error('reminders need a start_date or due_date'));
+    }
+    // TickTick repeats from startDate
+    if (taskData.repeatFlag && !taskData.startDate) {
+      taskData.startDate = taskData.dueDate;
+    }
+  }
+
+  formatSchedule(task) {
+    const timeZone = task.timeZone || TICKTICK_TIMEZONE;
+    let text = '';
+    if (task.startDate && task.startDate !== task.dueDate) text += `🟢 Start: ${formatInTimeZone(task.startDate, timeZone, task.isAllDay)}\n`;
+    if (task.dueDate) text += `📅 Due: ${formatInTimeZone(task.dueDate, timeZone, task.isAllDay)}\n`;
+    if (task.repeatFlag) {
+      let repeat = task.repeatFlag;
+      try {
+        repeat = describeRecurrence(parseRecurrence(task.repeatFlag));
+      } catch {
+        // Show rules we can't parse as they are
+      }
+      text += `🔁 Repeats: ${repeat}\n`;
+    }
+    if (task.reminders?.length) text += `⏰ Reminders: ${task.reminders.map(describeReminder).join(', ')}\n`;
+    return text;
+  }
+
+  async previewRecurrence(args) {
+    try {
+      const rule = parseArgument('recurrence', () => parseRecurrence(args.recurrence));
+      const timeZone = args.time_zone || TICKTICK_TIMEZONE;
+      if (!isValidTimeZone(timeZone)) {
+        throw invalidArgument('time_zone', new Error(`Unknown timezone "${timeZone}" - use an IANA name like Europe/Berlin`));
+      }
+      const start = args.start_date ? parseLocalDate(args.start_date) : todayInZone(timeZone);
+      if (!start) {
+        throw invalidArgument('start_date', new Error(`"${args.start_date}" is not a date - use YYYY-MM-DD`));
+      }
+
+      const occurrences = nextOccurrences(rule, start, args.count || 10).map(formatLocalDate);
+      const repeatFlag = formatRRule(rule);
+      const description = describeRecurrence(rule);
+
+      return this.createToolResult(
+        `🔁 **Recurrence Preview**\n\n📐 ${description}\n🧾 \`${repeatFlag}\`\n🟢 Starting ${formatLocalDate(start)}\n\n${occurrences.map((date, index) =>
+            `${index + 1}. ${date} (${WEEKDAYS[weekdayOf(parseLocalDate(date))]})`
+          ).join('\n') || 'No occurrences - the rule never matches after the start date.'}`,
+        { repeat_flag: repeatFlag, description, start_date: formatLocalDate(start), occurrences }
+      );
+    } catch (error) {
+      throw new Error(`Failed to preview recurrence: ${error.message}`, { cause: error });
+    }
+  }
+
+  // The inbox's real ID (inbox123456) once a sync has recorded it, otherwise the 'inbox' alias
+  async inboxProjectId() {
+    const cache = await this.loadCache();
+    return Object.values(cache.projects || {}).find(project => project.inbox)?.id || INBOX_PROJECT_ID;
+  }
+
+  // ^Project in quick add: exact name first, then a unique prefix (case-insensitive).
+  // A name that matches no project or several is an InvalidParams error on quick_add
+  async resolveProjectByName(name) {
+    const wanted = name.toLowerCase();
+    if (wanted === 'inbox') return await this.inboxProjectId();
+
+    const projects = await this.makeApiRequest('/project');
+    const exact = projects.filter(p => p.name.toLowerCase() === wanted);
+    const matches = exact.length ? exact : projects.filter(p => p.name.toLowerCase().startsWith(wanted));
+    if (matches.length === 1) return matches[0].id;
+
+    throw invalidArgument('quick_add', new Error(matches.length
+      ? `Project "${name}" is ambiguous: ${matches.map(p => p.name).join(', ')}`
+      : `No project named "${name}" - available: ${projects.map(p => p.name).join(', ') || 'none'}`));
+  }
+
+  async getCachedTasks(args) {
+    try {
+      const cache = await this.loadCache();
+      let tasks = Object.entries(cache.tasks || {}).map(([id, task]) => ({
+        id,
+        ...task,
+        is_stale: this.isTaskStale(task)
+      }));
+      
+      if (args.project_id) {
+        tasks = tasks.filter(t => t.project_id === args.project_id);
+      }
+      
+      if (!args.include_stale) {
+        tasks = tasks.filter(t => !t.is_stale);
+      }
+      
+      return this.createToolResult(
+        `💾 **Cached Tasks** (${tasks.length} found)\n\n${tasks.map(t => 
+            `• **${t.title}** (${t.id})\n  📁 Project: ${t.project_id}\n  ${t.is_stale ? `⚠️ Stale (>${CACHE_TTL_HOURS}h)` : '✅ Fresh'} • Cached: ${new Date(t.cached_at).toLocaleString()}`
+          ).join('\n\n') || 'No cached tasks found. Create some tasks or register existing ones!'}`,
+        { tasks, count: tasks.length }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get cached tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  // The index follows the cache: it is rebuilt when entries were added, re-cached or synced
+  async getSearchIndex() {
+    const cache = await this.loadCache();
+    if (!this.searchIndex || !this.searchIndex.isCurrent(cache)) {
+      this.searchIndex = SearchIndex.fromCache(cache);
+    }
+    return this.searchIndex;
+  }
+
+  async searchTasks(args) {
+    try {
+      const index = await this.getSearchIndex();
+      const results = index.search(args.query, {
+        types: args.types || ['task', 'project'],
+        limit: args.limit || 10,
+        includeCompleted: args.include_completed ?? true
+      });
+
+      return this.createToolResult(
+        `🔍 **Search**: "${args.query}" (${results.length} result${results.length === 1 ? '' : 's'})\n\n${results.map(result =>
+            `${result.type === 'project' ? '📁' : result.completed ? '✅' : '📝'} **${result.title}** (${result.id})${result.type === 'task' ? ` in ${result.project_name || result.project_id}` : ''} • score ${result.score}\n  ${result.field}: ${result.snippet}`
+          ).join('\n\n') || 'Nothing found. Only cached tasks are searchable - run ticktick_sync to index everything.'}`,
+        { results, count: results.length }
+      );
+    } catch (error) {
+      throw new Error(`Failed to search: ${error.message}`, { cause: error });
+    }
+  }
+
+  // task_query -> task_id/project_id when one task clearly wins, otherwise an
+  // InvalidParams error listing the candidates
+  async resolveTaskQuery(args) {
+    const { task_query: query, ...rest } = args;
+    const index = await this.getSearchIndex();
+    const candidates = index.search(query, { types: ['task'], limit: 5 });
+    if (!candidates.length) {
+      throw new McpError(ErrorCode.InvalidParams, `No cached task matches "${query}" - run ticktick_sync or pass task_id`, {
+        errors: [{ field: 'task_query', message: 'matches no task' }],
+        candidates: []
+      });
+    }
+
+    const wanted = tokenize(query).join(' ');
+    const exact = candidates.filter(candidate => tokenize(candidate.title).join(' ') === wanted);
+    const [best, runnerUp] = candidates;
+    const match = exact.length === 1 ? exact[0]
+      : !exact.length && (!runnerUp || best.score >= runnerUp.score * TASK_QUERY_MARGIN) ? best
+        : null;
+
+    if (!match) {
+      const list = candidates.map(candidate => `${candidate.title} (${candidate.id}${candidate.project_name ? `, ${candidate.project_name}` : ''})`).join('; ');
+      throw new McpError(ErrorCode.InvalidParams, `task_query "${query}" matches several tasks - pass task_id: ${list}`, {
+        errors: [{ field: 'task_query', message: 'matches several tasks' }],
+        candidates
+      });
+    }
+    return { ...rest, task_id: match.id, project_id: rest.project_id || match.project_id };
+  }
+
+  async queryTasks(args) {
+    try {
+      if (args.sync) {
+        await this.taskSync.sync({ mode: 'incremental' });
+      }
+      const query = args.query || '';
+      const sortSpec = args.sort || 'due,-priority';
+      const ast = parseArgument('query', () => parseQuery(query));
+      const sort = parseArgument('sort', () => parseSort(sortSpec));
+      const fields = parseArgument('fields', () => validateFields(args.fields || DEFAULT_OUTPUT_FIELDS));
+      const limit = args.limit || 50;
+      const offset = args.cursor ? parseArgument('cursor', () => decodeCursor(args.cursor, query, sortSpec)) : 0;
+
+      const cache = await this.loadCache();
+      const context = createQueryContext(TICKTICK_TIMEZONE);
+      const rows = Object.entries(cache.tasks || {})
+        .map(([id, entry]) => normalizeTask(id, entry, { projects: cache.projects || {} }));
+      const matched = sortRows(rows.filter(row => evaluateQuery(ast, row, context)), sort);
+
+      const page = matched.slice(offset, offset + limit);
+      const nextCursor = offset + limit < matched.length ? encodeCursor(offset + limit, query, sortSpec) : null;
+      const groups = args.group_by ? groupRows(page, args.group_by, context) : null;
+      const unsynced = rows.filter(row => !row.synced).length;
+
+      const byId = new Map(page.map(row => [row.id, row]));
+      const line = row => `• **${row.title}** (${row.id})${row.completed ? ' ✅' : ''}\n  📁 ${row.project_name || row.project_id}${row.priority ? ` • 🎯 ${row.priority}` : ''}${row.due_date ? ` • 📅 ${formatInTimeZone(row.due_date, row.time_zone || TICKTICK_TIMEZONE, row.is_all_day)}` : ''}${row.tags.length ? ` • 🏷️ ${row.tags.join(', ')}` : ''}`;
+      const body = groups
+        ? groups.map(group => `### ${group.key} (${group.count})\n${group.task_ids.map(id => line(byId.get(id))).join('\n')}`).join('\n\n')
+        : page.map(line).join('\n');
+
+      return this.createToolResult(
+        `🔎 **Task Query**${query ? `: \`${query}\`` : ''}\n\n📊 ${matched.length} match(es), showing ${matched.length ? offset + 1 : 0}-${offset + page.length}${nextCursor ? ' • more with next_cursor' : ''}\n\n${body || 'No tasks match.'}${unsynced ? `\n\nℹ️ ${unsynced} cached task(s) have no synced data - run ticktick_sync for full filtering` : ''}`,
+        {
+          tasks: page.map(row => projectFields(row, fields)),
+          ...(groups ? { groups } : {}),
+          total: matched.length,
+          returned: page.length,
+          next_cursor: nextCursor,
+          unsynced
+        }
+      );
+    } catch (error) {
+      throw new Error(`Failed to query tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  async registerTaskId(args) {
+    try {
+      await this.addTaskToCache(args.task_id, args.project_id, args.title);
+      
+      return this.createToolResult(
+        `✅ **Task Registered Successfully!**\n\n📝 **${args.title}**\n🆔 ID: ${args.task_id}\n📁 Project: ${args.project_id}\n💾 Added to cache: ${new Date().toLocaleString()}\n\nThis task is now discoverable through cache! 🎯`,
+        { task: { id: args.task_id, project_id: args.project_id, title: args.title } }
+      );
+    } catch (error) {
+      throw new Error(`Failed to register task: ${error.message}`, { cause: error });
+    }
+  }
+
+  async importFromCsv(args) {
+    try {
+      const createTasks = args.create_tasks === true;
+      const { columns, rows } = parseArgument('csv_data', () => readCsvTable(args.csv_data));
+
+      const required = createTasks ? ['title'] : ['task_id', 'project_id', 'title'];
+      const missing = required.filter(column => !columns.includes(column));
+      if (missing.length) {
+        throw new McpError(ErrorCode.InvalidParams, `CSV is missing required column(s): ${missing.join(', ')} (found: ${columns.join(', ')})`, {
+          errors: missing.map(column => ({ field: 'csv_data', message: `missing column ${column}` }))
+        });
+      }
+      const ignoredColumns = columns.filter(column => !CSV_IMPORT_COLUMNS.includes(column));
+      const inboxId = createTasks ? await this.inboxProjectId() : null;
+
+      const imported = [];
+      const errors = [];
+      const seenIds = new Map();
+      const cacheEntries = [];
+
+      for (const { line, values, error } of rows) {
+        if (error) {
+          errors.push({ line, error });
+          continue;
+        }
+
+        try {
+          const row = parseCsvTaskRow(values, { requireIds: !createTasks, timeZone: TICKTICK_TIMEZONE });
+
+          if (!createTasks) {
+            if (seenIds.has(row.task_id)) {
+              throw new Error(`duplicate task_id ${row.task_id} (first seen on line ${seenIds.get(row.task_id)})`);
+            }
+            seenIds.set(row.task_id, line);
+            cacheEntries.push(row);
+            imported.push({ line, task_id: row.task_id, title: row.title });
+            continue;
+          }
+
+          const task = await this.makeApiRequest('/task', 'POST', {
+            title: row.title,
+            content: row.content || '',
+            projectId: row.project_id || args.default_project_id || inboxId,
+            priority: row.priority,
+            dueDate: row.due_date,
+            isAllDay: row.is_all_day,
+            ...(row.due_date ? { timeZone: TICKTICK_TIMEZONE } : {}),
+            tags: row.tags
+          });
+          cacheEntries.push({ task_id: task.id, project_id: task.projectId, title: task.title, task });
+          imported.push({ line, task_id: task.id, title: task.title });
+        } catch (error) {
+          errors.push({ line, error: error.message });
+        }
+      }
+
+      // One cache write for the whole file
+      const cachedAt = new Date().toISOString();
+      await this.updateCache(cache => {
+        for (const entry of cacheEntries) {
+          cache.tasks[entry.task_id] = {
+            ...(cache.tasks[entry.task_id] || {}),
+            project_id: entry.project_id,
+            title: entry.title,
+            cached_at: cachedAt,
+            ...(entry.task ? { task: entry.task } : {})
+          };
+        }
+      });
+
+      const result = {
+        imported: imported.length,
+        created: createTasks ? imported.length : 0,
+        skipped: errors.length,
+        rows: rows.length,
+        tasks: imported,
+        errors,
+        ignored_columns: ignoredColumns
+      };
+
+      return this.createToolResult(
+        `✅ **CSV Import Completed!**\n\n📊 **${result.imported} of ${result.rows} rows imported**\n${createTasks ? `🆕 ${result.created} tasks created in TickTick\n` : ''}💾 All imported tasks added to cache\n${ignoredColumns.length ? `ℹ️ Ignored columns: ${ignoredColumns.join(', ')}\n` : ''}${errors.length ? `\n⚠️ **${errors.length} rows skipped:**\n${errors.map(e => `• Line ${e.line}: ${e.error}`).join('\n')}\n` : ''}\nUse \`ticktick_get_cached_tasks\` to see all imported tasks. 🚀`,
+        result
+      );
+    } catch (error) {
+      throw new Error(`Failed to import CSV: ${error.message}`, { cause: error });
+    }
+  }
+
+  async exportCsv(args) {
+    try {
+      const cache = await this.loadCache();
+      const columns = args.columns?.length ? args.columns : CSV_EXPORT_COLUMNS;
+
+      let entries = Object.entries(cache.tasks || {});
+      if (args.project_id) {
+        entries = entries.filter(([, entry]) => entry.project_id === args.project_id);
+      }
+      if (!args.include_completed) {
+        entries = entries.filter(([, entry]) => entry.task?.status !== 2);
+      }
+
+      const rows = entries.map(([id, entry]) => taskToCsvRow(id, entry));
+      const csv = stringifyCsv(columns, rows);
+
+      return this.createToolResult(
+        `📤 **CSV Export** (${rows.length} tasks)\n\n\`\`\`csv\n${csv.replace(/\r\n/g, '\n')}\`\`\``,
+        { csv, count: rows.length, columns }
+      );
+    } catch (error) {
+      throw new Error(`Failed to export CSV: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getCacheStats(args) {
+    try {
+      const stats = await this.cacheMaintenance.stats();
+      const projects = Object.entries(stats.by_project)
+        .sort(([, a], [, b]) => b - a)
+        .map(([id, count]) => `• ${id}: ${count}`)
+        .join('\n');
+
+      return this.createToolResult(
+        `📊 **Cache Stats**\n\n💾 Backend: ${stats.backend} (${stats.path})\n📝 Entries: ${stats.total} (✅ ${stats.fresh} fresh • ⚠️ ${stats.stale} stale)\n📦 Full task data: ${stats.full_data} • Title only: ${stats.title_only}\n✔️ Completed: ${stats.completed}\n⏳ TTL: ${stats.ttl_hours}h\n🔄 Last sync: ${stats.last_sync ? new Date(stats.last_sync).toLocaleString() : 'never'}\n🧹 Last revalidation: ${stats.last_revalidation ? new Date(stats.last_revalidation).toLocaleString() : 'never'}${projects ? `\n\n📁 **By project**\n${projects}` : ''}`,
+        stats
+      );
+    } catch (error) {
+      throw new Error(`Failed to get cache stats: ${error.message}`, { cause: error });
+    }
+  }
+
+  async pruneCache(args) {
+    try {
+      const result = await this.cacheMaintenance.prune({
+        revalidate: args.revalidate !== false,
+        limit: args.limit || 100,
+        dropStale: args.drop_stale === true,
+        maxAgeHours: args.max_age_hours,
+        dropCompleted: args.drop_completed === true
+      });
+
+      return this.createToolResult(
+        `🧹 **Cache Pruned**\n\n🔍 Stale entries checked: ${result.checked}\n🔄 Refreshed: ${result.refreshed}\n🗑️ Removed (gone upstream): ${result.removed}\n✂️ Dropped locally: ${result.dropped}\n💾 Remaining: ${result.remaining}${result.errors.length ? `\n\n⚠️ ${result.errors.length} error(s):\n${result.errors.map(e => `• ${e.task_id}: ${e.error}`).join('\n')}` : ''}`,
+        result
+      );
+    } catch (error) {
+      throw new Error(`Failed to prune cache: ${error.message}`, { cause: error });
+    }
+  }
+
+  async clearCache(args) {
+    try {
+      const result = await this.cacheMaintenance.clear();
+
+      return this.createToolResult(
+        `🗑️ **Cache Cleared**\n\n${result.cleared} entries removed. Run \`ticktick_sync\` to rebuild the mirror.`,
+        result
+      );
+    } catch (error) {
+      throw new Error(`Failed to clear cache: ${error.message}`, { cause: error });
+    }
+  }
+
+  async syncTasks(args) {
+    try {
+      const result = await this.taskSync.sync({
+        mode: args.mode || 'incremental',
+        projectIds: args.project_ids
+      });
+
+      return this.createToolResult(
+        `🔄 **Sync Completed** (${result.mode})\n\n📁 Projects synced: ${result.projects}\n➕ Added: ${result.added}\n✏️ Updated: ${result.updated}\n🗑️ Removed: ${result.removed}\n✅ Unchanged: ${result.unchanged}\n💾 Tasks in mirror: ${result.total}${result.errors.length ? `\n\n⚠️ ${result.errors.length} error(s):\n${result.errors.map(e => `• ${e.project_id || e.task_id}: ${e.error}`).join('\n')}` : ''}`,
+        result
+      );
+    } catch (error) {
+      throw new Error(`Failed to sync tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Additional method implementations (representative samples)
+  habitSummary(habit) {
+    return { ...habit, schedule: describeHabitSchedule(habit) };
+  }
+
+  formatStreak(count, unit) {
+    return `${count} ${count === 1 ? unit.slice(0, -1) : unit}`;
+  }
+
+  async habitStats(habit) {
+    const today = todayInZone(TICKTICK_TIMEZONE);
+    const checkins = await this.habits.checkins(habit.id);
+    const totals = dailyTotals(checkins);
+    return {
+      today,
+      checkins,
+      totals,
+      todayTotal: totals.get(formatLocalDate(today)) || 0,
+      streak: computeStreaks(habit, totals, today, { weekStart: TICKTICK_WEEK_START })
+    };
+  }
+
+  // Check-ins can't be in the future and default to today in TICKTICK_TIMEZONE
+  checkinDate(args) {
+    const today = formatLocalDate(todayInZone(TICKTICK_TIMEZONE));
+    const date = args.date || today;
+    if (date > today) {
+      throw invalidArgument('date', new Error(`${date} is in the future (today is ${today} in ${TICKTICK_TIMEZONE})`));
+    }
+    return date;
+  }
+
+  async getHabits(args) {
+    try {
+      const habits = await this.habits.list({ includeArchived: args.include_archived === true });
+      const summaries = [];
+      for (const habit of habits) {
+        const { todayTotal, streak } = await this.habitStats(habit);
+        summaries.push({ ...this.habitSummary(habit), today_total: todayTotal, streak });
+      }
+
+      return this.createToolResult(
+        `🎯 **TickTick Habits** (${summaries.length} total)\n\n${summaries.map(h =>
+            `• **${h.name}**${h.archived ? ' 🗄️ archived' : ''} (${h.id})\n  📊 Goal: ${h.schedule}\n  ${h.today_total >= h.goal ? '✅' : '⬜'} Today: ${h.today_total}/${h.goal}${h.unit ? ` ${h.unit}` : ''}\n  🔥 Current streak: ${this.formatStreak(h.streak.current, h.streak.unit)} (best ${h.streak.longest})`
+          ).join('\n\n') || 'No habits found. Create your first habit! 💪'}`,
+        { habits: summaries, count: summaries.length, backend: this.habits.name }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get habits: ${error.message}`, { cause: error });
+    }
+  }
+
+  async createHabit(args) {
+    try {
+      const existing = await this.habits.list({ includeArchived: true });
+      if (existing.some(habit => habit.name.toLowerCase() === args.name.toLowerCase())) {
+        throw invalidArgument('name', new Error(`A habit named "${args.name}" already exists`));
+      }
+      const habit = this.habitSummary(await this.habits.create(buildHabit(args)));
+
+      return this.createToolResult(
+        `✅ **Habit Created!**\n\n🎯 **${habit.name}**\n🆔 ID: ${habit.id}\n📊 Goal: ${habit.schedule}${habit.start_date ? `\n🟢 Starts: ${habit.start_date}` : ''}\n\nCheck in with ticktick_checkin_habit 💪`,
+        { habit }
+      );
+    } catch (error) {
+      if (error instanceof HabitError) throw invalidArgument(error.field, error);
+      throw new Error(`Failed to create habit: ${error.message}`, { cause: error });
+    }
+  }
+
+  async updateHabit(args) {
+    try {
+      const current = await this.habits.get(args.habit_id);
+      const { habit_id, dry_run, ...changes } = args;
+      if (changes.name && changes.name.toLowerCase() !== current.name.toLowerCase()) {
+        const others = await this.habits.list({ includeArchived: true });
+        if (others.some(habit => habit.name.toLowerCase() === changes.name.toLowerCase())) {
+          throw invalidArgument('name', new Error(`A habit named "${changes.name}" already exists`));
+        }
+      }
+      const habit = this.habitSummary(await this.habits.update(current.id, buildHabit(changes, current)));
+
+      return this.createToolResult(
+        `✏️ **Habit Updated**\n\n🎯 **${habit.name}**\n🆔 ID: ${habit.id}\n📊 Goal: ${habit.schedule}`,
+        { habit }
+      );
+    } catch (error) {
+      if (error instanceof HabitError) throw invalidArgument(error.field, error);
+      throw new Error(`Failed to update habit: ${error.message}`, { cause: error });
+    }
+  }
+
+  async archiveHabit(args) {
+    try {
+      const archived = args.archived ?? true;
+      const current = await this.habits.get(args.habit_id);
+      const habit = this.habitSummary(await this.habits.update(current.id, {
+        archived,
+        archived_at: archived ? new Date().toISOString() : null
+      }));
+
+      return this.createToolResult(
+        `${archived ? '🗄️ **Habit Archived**' : '♻️ **Habit Restored**'}\n\n🎯 **${habit.name}**\n🆔 ID: ${habit.id}${archived ? '\n\nIts check-ins are kept; pass archived: false to bring it back.' : ''}`,
+        { habit }
+      );
+    } catch (error) {
+      if (error instanceof HabitError) throw invalidArgument(error.field, error);
+      throw new Error(`Failed to archive habit: ${error.message}`, { cause: error });
+    }
+  }
+
+  async checkinHabit(args) {
+    try {
+      const habit = await this.habits.get(args.habit_id);
+      if (habit.archived) {
+        throw invalidArgument('habit_id', new Error(`Habit "${habit.name}" is archived - unarchive it first`));
+      }
+      const date = this.checkinDate(args);
+      const count = args.count || 1;
+      const checkin = await this.habits.addCheckin(habit, date, count);
+
+      // A dry run didn't store the check-in, so count it in by hand
+      const stats = await this.habitStats(habit);
+      const stored = stats.checkins.some(item => item.id === checkin.id);
+      const dayTotal = (stats.totals.get(date) || 0) + (stored ? 0 : count);
+      const streak = stored ? stats.streak : computeStreaks(habit, new Map(stats.totals).set(date, dayTotal), stats.today, { weekStart: TICKTICK_WEEK_START });
+      const done = dayTotal >= habit.goal;
+
+      return this.createToolResult(
+        `${done ? '✅' : '➕'} **${habit.name}** checked in for ${date}\n\n📊 ${dayTotal}/${habit.goal}${habit.unit ? ` ${habit.unit}` : ''}${done ? ' - goal reached! 🎉' : ''}\n🔥 Streak: ${this.formatStreak(streak.current, streak.unit)} (best ${streak.longest})`,
+        { checkin, habit: this.habitSummary(habit), date, day_total: dayTotal, goal: habit.goal, done, streak }
+      );
+    } catch (error) {
+      if (error instanceof HabitError) throw invalidArgument(error.field, error);
+      throw new Error(`Failed to check in habit: ${error.message}`, { cause: error });
+    }
+  }
+
+  async undoHabitCheckin(args) {
+    try {
+      const habit = await this.habits.get(args.habit_id);
+      const date = args.checkin_id ? args.date : this.checkinDate(args);
+      const removed = await this.habits.removeCheckin(habit, date, args.checkin_id || null);
+      if (!removed) {
+        throw invalidArgument(args.checkin_id ? 'checkin_id' : 'date', new Error(args.checkin_id ? `No check-in ${args.checkin_id} for "${habit.name}"` : `No check-in for "${habit.name}" on ${date}`));
+      }
+
+      const { totals, checkins } = await this.habitStats(habit);
+      const stillStored = checkins.some(item => item.id === removed.id);
+      const dayTotal = (totals.get(removed.date) || 0) - (stillStored ? removed.count : 0);
+
+      return this.createToolResult(
+        `↩️ **Check-in Removed**\n\n🎯 **${habit.name}** on ${removed.date}: -${removed.count}\n📊 ${dayTotal}/${habit.goal}${habit.unit ? ` ${habit.unit}` : ''}`,
+        { removed, date: removed.date, day_total: dayTotal, goal: habit.goal, done: dayTotal >= habit.goal }
+      );
+    } catch (error) {
+      if (error instanceof HabitError) throw invalidArgument(error.field, error);
+      throw new Error(`Failed to undo habit check-in: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getHabitHistory(args) {
+    try {
+      const habit = await this.habits.get(args.habit_id);
+      const { today, checkins, totals, streak } = await this.habitStats(habit);
+      const to = args.to ? parseLocalDate(args.to) : today;
+      const from = args.from ? parseLocalDate(args.from) : addDays(startOfWeek(to, TICKTICK_WEEK_START), -7 * 11);
+      if (compareDates(from, to) > 0) throw invalidArgument('from', new Error('must not be after to'));
+      if (daysBetween(from, to) > 366 * 2) throw invalidArgument('from', new Error('history can span at most two years'));
+
+      const options = { groupBy: args.group_by || 'week', weekStart: TICKTICK_WEEK_START };
+      const rates = completionRates(habit, totals, from, to, today, options);
+      const heatmap = buildHeatmap(habit, totals, from, to, today, options);
+      const due = rates.reduce((sum, rate) => sum + rate.due, 0);
+      const overallRate = due ? Math.round((rates.reduce((sum, rate) => sum + rate.done, 0) / due) * 100) / 100 : null;
+      const inRange = checkins.filter(checkin => checkin.date >= formatLocalDate(from) && checkin.date <= formatLocalDate(to));
+
+      return this.createToolResult(
+        `📈 **${habit.name}** - ${formatLocalDate(from)} → ${formatLocalDate(to)}\n\n📊 Goal: ${describeHabitSchedule(habit)}\n🔥 Current streak: ${this.formatStreak(streak.current, streak.unit)}\n🏆 Longest streak: ${this.formatStreak(streak.longest, streak.unit)}\n✅ Completion: ${overallRate === null ? 'n/a' : `${Math.round(overallRate * 100)}%`} (${inRange.length} check-ins)\n\n**Per ${options.groupBy}**\n${rates.map(rate =>
+            `• ${rate.period}: ${rate.done}/${rate.due}${rate.rate === null ? '' : ` (${Math.round(rate.rate * 100)}%)`}`
+          ).join('\n') || '• nothing yet'}\n\n**Heatmap**\n\`\`\`\n${heatmap.text}\n\`\`\``,
+        {
+          habit: this.habitSummary(habit),
+          from: formatLocalDate(from),
+          to: formatLocalDate(to),
+          streak,
+          rates,
+          overall_rate: overallRate,
+          heatmap: heatmap.cells,
+          total_checkins: inRange.length,
+          ...(args.include_checkins ? { checkins: inRange } : {})
+        }
+      );
+    } catch (error) {
+      if (error instanceof HabitError) throw invalidArgument(error.field, error);
+      throw new Error(`Failed to get habit history: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Title, project and tags of the task a session is linked to, as they were when it started
+  async focusTask(args) {
+    if (!args.task_id) return null;
+    const cached = (await this.loadCache()).tasks?.[args.task_id];
+    const task = cached?.task || await this.fetchTask(await this.resolveProjectId(args), args.task_id);
+    return { id: task.id, title: task.title, project_id: task.projectId, tags: task.tags || [] };
+  }
+
+  formatFocusSession(session, now = Date.now()) {
+    const timing = ['running', 'paused'].includes(session.status)
+      ? `⏱️ ${formatDuration(elapsedMs(session, now))} elapsed, ${formatDuration(remainingMs(session, now))} left of ${session.planned_minutes} min${session.status === 'paused' ? ' (⏸️ paused)' : ''}`
+      : `⏱️ ${session.focus_minutes} of ${session.planned_minutes} min (${session.status})`;
+    return `${session.phase === 'work' ? '🎯' : '☕'} **${phaseLabel(session.phase)}**${session.task_title ? ` - ${session.task_title}` : ''}\n${timing}\n🆔 ${session.id}${session.note ? `\n📝 ${session.note}` : ''}`;
+  }
+
+  focusTiming(session, now = Date.now()) {
+    return {
+      elapsed_seconds: Math.round(elapsedMs(session, now) / 1000),
+      remaining_seconds: Math.round(remainingMs(session, now) / 1000)
+    };
+  }
+
+  // The session that ran out since the engine was last used, as a note above the result
+  formatSettled(settled) {
+    return settled ? `🔔 ${phaseLabel(settled.phase)} finished at ${formatInTimeZone(settled.ended_at, TICKTICK_TIMEZONE)} (${settled.focus_minutes} min)\n\n` : '';
+  }
+
+  async startFocusSession(args) {
+    try {
+      const task = await this.focusTask(args);
+      const now = Date.now();
+      const { session, settled } = await this.focus.start({ phase: args.phase, minutes: args.duration, task, note: args.note || null }, now);
+
+      return this.createToolResult(
+        `${this.formatSettled(settled)}🚀 **${phaseLabel(session.phase)} Started!**\n\n${this.formatFocusSession(session, now)}\n🔔 Ends at ${formatInTimeZone(endsAt(session, now), TICKTICK_TIMEZONE)}\n\n${session.phase === 'work' ? 'Stay focused! 💪' : 'Step away from the screen. 🌿'}`,
+        { session, ...this.focusTiming(session, now) }
+      );
+    } catch (error) {
+      throw new Error(`Failed to start focus session: ${error.message}`, { cause: error });
+    }
+  }
+
+  async pauseFocusSession(args) {
+    try {
+      const now = Date.now();
+      const { session, settled } = await this.focus.pause(now);
+      return this.createToolResult(
+        `${this.formatSettled(settled)}⏸️ **Session Paused**\n\n${this.formatFocusSession(session, now)}`,
+        { session, ...this.focusTiming(session, now) }
+      );
+    } catch (error) {
+      throw new Error(`Failed to pause focus session: ${error.message}`, { cause: error });
+    }
+  }
+
+  async resumeFocusSession(args) {
+    try {
+      const now = Date.now();
+      const { session, settled } = await this.focus.resume(now);
+      return this.createToolResult(
+        `${this.formatSettled(settled)}▶️ **Session Resumed**\n\n${this.formatFocusSession(session, now)}\n🔔 Ends at ${formatInTimeZone(endsAt(session, now), TICKTICK_TIMEZONE)}`,
+        { session, ...this.focusTiming(session, now) }
+      );
+    } catch (error) {
+      throw new Error(`Failed to resume focus session: ${error.message}`, { cause: error });
+    }
+  }
+
+  async stopFocusSession(args) {
+    try {
+      const now = Date.now();
+      const { session, settled } = await this.focus.stop(now);
+      const { next_phase: next } = await this.focus.status(now);
+      return this.createToolResult(
+        `${this.formatSettled(settled)}⏹️ **Session Stopped**\n\n${this.formatFocusSession(session, now)}\n\n⏭️ Next: ${phaseLabel(next)}`,
+        { session, ...this.focusTiming(session, now), next_phase: next }
+      );
+    } catch (error) {
+      throw new Error(`Failed to stop focus session: ${error.message}`, { cause: error });
+    }
+  }
+
+  async abandonFocusSession(args) {
+    try {
+      const now = Date.now();
+      const { session, settled } = await this.focus.abandon(now);
+      return this.createToolResult(
+        `${this.formatSettled(settled)}🗑️ **Session Abandoned**\n\n${phaseLabel(session.phase)} ${session.id} was discarded and won't count towards your stats.`,
+        { session, ...this.focusTiming(session, now) }
+      );
+    } catch (error) {
+      throw new Error(`Failed to abandon focus session: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFocusStatus(args) {
+    try {
+      const now = Date.now();
+      const { active, settled, next_phase: next, cycle } = await this.focus.status(now);
+      const every = TICKTICK_POMODORO_SETTINGS.longBreakEvery;
+      const inCycle = cycle.work_done % every;
+
+      return this.createToolResult(
+        `${this.formatSettled(settled)}${active
+          ? `${this.formatFocusSession(active, now)}${active.status === 'running' ? `\n🔔 Ends at ${formatInTimeZone(endsAt(active, now), TICKTICK_TIMEZONE)}` : ''}`
+          : `💤 **No active session**\n\n⏭️ Next: ${phaseLabel(next)}`}\n🍅 ${inCycle}/${every} focus sessions until the long break`,
+        {
+          active,
+          ...(active ? { ...this.focusTiming(active, now), ends_at: endsAt(active, now) } : {}),
+          finished: settled,
+          next_phase: next,
+          work_sessions_in_cycle: inCycle
+        }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get focus status: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getFocusStats(args) {
+    try {
+      const period = args.period || 'today';
+      const timeZone = this.dayTimeZone(args);
+      const now = Date.now();
+      const { active } = await this.focus.status(now);
+      const today = todayInZone(timeZone, new Date(now));
+      const from = period === 'week' ? startOfWeek(today, TICKTICK_WEEK_START)
+        : period === 'month' ? { ...today, day: 1 }
+          : today;
+
+      const stats = focusStats(await this.focus.sessions(), { from, to: today, timeZone, active, now });
+      const projects = (await this.loadCache()).projects || {};
+      stats.by_project = stats.by_project.map(entry => ({ ...entry, name: projects[entry.project_id]?.name || (entry.project_id ? entry.project_id : 'No project') }));
+      const list = (entries, label) => entries.map(entry => `• ${label(entry)}: ${entry.minutes} min (${entry.sessions})`).join('\n');
+
+      return this.createToolResult(
+        `📊 **Focus Stats** - ${period === 'today' ? 'today' : `this ${period}`} (${formatLocalDate(from)} → ${formatLocalDate(today)}, ${timeZone})\n\n⏱️ Total: ${stats.total_minutes} min in ${stats.sessions} session${stats.sessions === 1 ? '' : 's'}${active?.phase === 'work' ? ' (including the active one)' : ''}${stats.sessions ? `${period === 'today' ? '' : `\n\n**Per day**\n${list(stats.by_day.filter(entry => entry.sessions), entry => entry.date)}`}\n\n**Per task**\n${list(stats.by_task, entry => entry.title)}\n\n**Per project**\n${list(stats.by_project, entry => entry.name)}\n\n**Per tag**\n${list(stats.by_tag, entry => entry.tag ? `#${entry.tag}` : 'untagged')}` : '\n\nNo focus sessions yet - start one with ticktick_start_focus_session 🍅'}`,
+        { period, from: formatLocalDate(from), to: formatLocalDate(today), time_zone: timeZone, ...stats }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get focus stats: ${error.message}`, { cause: error });
+    }
+  }
+
+  // "12 (▲ 3, +33%)" against the previous period; rates are shown as percentages
+  formatComparison({ current, previous, change, change_pct: changePct }, { percent = false } = {}) {
+    const show = value => (value === null ? 'n/a' : percent ? `${Math.round(value * 100)}%` : `${value}`);
+    if (change === null || previous === null) return show(current);
+    const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '=';
+    const amount = percent ? `${Math.round(Math.abs(change) * 100)} pts` : `${Math.abs(change)}`;
+    return `${show(current)} (${arrow}${change ? ` ${amount}` : ''}${changePct !== null && change ? `, ${changePct > 0 ? '+' : ''}${changePct}%` : ''} vs ${show(previous)})`;
+  }
+
+  async getProductivityReport(args) {
+    try {
+      if (args.sync) {
+        await this.taskSync.sync({ mode: 'incremental' });
+      }
+      const period = args.period || 'week';
+      const timeZone = this.dayTimeZone(args);
+      const now = Date.now();
+      const cache = await this.loadCache();
+      const projects = cache.projects || {};
+      const rows = Object.entries(cache.tasks || {})
+        .map(([id, entry]) => normalizeTask(id, entry, { projects }))
+        .filter(row => row.synced);
+      const unsynced = Object.keys(cache.tasks || {}).length - rows.length;
+
+      const habitLogs = [];
+      for (const habit of await this.habits.list()) {
+        habitLogs.push({ habit, totals: dailyTotals(await this.habits.checkins(habit.id)) });
+      }
+
+      const report = buildProductivityReport({
+        rows,
+        sessions: await this.focus.sessions(),
+        habitLogs,
+        period,
+        today: todayInZone(timeZone, new Date(now)),
+        timeZone,
+        weekStart: TICKTICK_WEEK_START,
+        projects,
+        includeCharts: args.include_charts === true,
+        now
+      });
+
+      const chartFormat = args.chart_format || 'ascii';
+      let charts = null;
+      if (report.series && chartFormat !== 'none') {
+        charts = chartFormat === 'svg' ? { format: 'svg', svg: renderSvgChart(report.series) } : { format: 'ascii', text: renderAsciiCharts(report.series) };
+      }
+
+      const { summary, comparison } = report;
+      const top = (entries, label) => entries.slice(0, 5).map(entry => `${label(entry)} (${entry.completed})`).join(', ') || '-';
+      const busiestDay = [...report.weekdays].sort((a, b) => b.completed - a.completed)[0];
+      const busiestHour = [...report.hours].sort((a, b) => b.completed - a.completed)[0];
+      const chartText = charts?.format === 'ascii' ? `\n\n📈 **Charts**\n\`\`\`\n${charts.text}\n\`\`\`` : charts?.format === 'svg' ? '\n\n📈 SVG chart in charts.svg' : '';
+
+      return this.createToolResult(
+        `📊 **Productivity Report** - last ${period} (${report.from} → ${report.to}, ${timeZone})\n\n` +
+        `➕ Created: ${this.formatComparison(comparison.created)}\n` +
+        `✅ Completed: ${this.formatComparison(comparison.completed)}\n` +
+        `⏰ On time: ${this.formatComparison(comparison.on_time_rate, { percent: true })} of ${summary.completed_with_due} with a due date\n` +
+        `🚨 Overdue backlog: ${summary.overdue_start} → ${this.formatComparison(comparison.overdue_end)}\n` +
+        `🍅 Focus: ${this.formatComparison(comparison.focus_minutes)} min in ${summary.focus_sessions} session(s)\n` +
+        `🎯 Habits: ${this.formatComparison(comparison.habit_rate, { percent: true })}\n\n` +
+        `📁 Projects: ${top(report.by_project, entry => entry.name)}\n` +
+        `🏷️ Tags: ${top(report.by_tag, entry => (entry.tag ? `#${entry.tag}` : 'untagged'))}\n` +
+        `🔥 Priority: ${top(report.by_priority, entry => entry.label)}\n` +
+        `📅 Busiest: ${busiestDay?.completed ? `${busiestDay.weekday}s, around ${String(busiestHour.hour).padStart(2, '0')}:00` : '-'}` +
+        `${chartText}${unsynced ? `\n\nℹ️ ${unsynced} cached task(s) have no synced data and are not counted - run ticktick_sync` : ''}` +
+        `\n\n⚠️ ${COMPLETION_COVERAGE_NOTE}`,
+        { ...report, time_zone: timeZone, ...(charts ? { charts } : {}), unsynced, limitations: [COMPLETION_COVERAGE_NOTE] }
+      );
+    } catch (error) {
+      throw new Error(`Failed to generate productivity report: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Open tasks of every project plus the inbox, read live. /project/{id}/data only
+  // lists open tasks; projects that fail to load are reported instead of failing the call
+  async fetchOpenTasks() {
+    const projects = await this.makeApiRequest('/project');
+    const projectNames = Object.fromEntries(projects.map(project => [project.id, project.name]));
+    const tasks = [];
+    const errors = [];
+    for (const projectId of [...projects.map(project => project.id), INBOX_PROJECT_ID]) {
+      try {
+        const data = await this.makeApiRequest(`/project/${projectId}/data`);
+        if (projectId === INBOX_PROJECT_ID && data?.project?.id) projectNames[data.project.id] = 'Inbox';
+        tasks.push(...(data?.tasks || []).filter(task => task.status !== 2));
+      } catch (error) {
+        errors.push({ project_id: projectId, error: error.message });
+      }
+    }
+    return { tasks, projectNames, errors };
+  }
+
+  dayTimeZone(args) {
+    const timeZone = args.time_zone || TICKTICK_TIMEZONE;
+    if (!isValidTimeZone(timeZone)) {
+      throw invalidArgument('time_zone', new Error(`Unknown timezone "${timeZone}" - use an IANA name like Asia/Tokyo`));
+    }
+    return timeZone;
+  }
+
+  formatDayTask(task, projectNames, timeZone) {
+    const when = task.dueDate
+      ? `⏰ ${formatInTimeZone(task.dueDate, taskDayZone(task, timeZone), task.isAllDay)}`
+      : task.startDate ? `🟢 ${formatInTimeZone(task.startDate, taskDayZone(task, timeZone), task.isAllDay)}` : 'No due date';
+    return `⏱️ **${task.title}** (${task.id})\n  📁 ${projectNames[task.projectId] || task.projectId} • ${when}${task.priority ? ` • 🎯 ${task.priority}` : ''}`;
+  }
+
+  formatProjectErrors(errors) {
+    return errors.length ? `\n\n⚠️ Could not read ${errors.length} project(s): ${errors.map(e => `${e.project_id} (${e.error})`).join(', ')}` : '';
+  }
+
+  async getTodayTasks(args) {
+    try {
+      const timeZone = this.dayTimeZone(args);
+      const now = new Date();
+      const today = todayInZone(timeZone, now);
+      const { tasks: openTasks, projectNames, errors } = await this.fetchOpenTasks();
+
+      const overdue = sortTasksByDue(openTasks.filter(task => isTaskOverdue(task, { timeZone, now })));
+      const overdueIds = new Set(overdue.map(task => task.id));
+      const tasks = sortTasksByDue(openTasks.filter(task => !overdueIds.has(task.id) && taskInRange(task, today, today, timeZone)));
+      const includeOverdue = args.include_overdue ?? true;
+      const date = formatLocalDate(today);
+
+      return this.createToolResult(
+        `📅 **Today's Tasks** - ${date} (${timeZone})\n\n${tasks.map(task => this.formatDayTask(task, projectNames, timeZone)).join('\n\n') || 'No tasks for today. Great job staying on top of things! 🎉'}${includeOverdue && overdue.length ? `\n\n🚨 **Overdue** (${overdue.length})\n\n${overdue.map(task => this.formatDayTask(task, projectNames, timeZone)).join('\n\n')}` : ''}${this.formatProjectErrors(errors)}`,
+        {
+          date,
+          time_zone: timeZone,
+          tasks,
+          ...(includeOverdue ? { overdue } : {}),
+          count: tasks.length + (includeOverdue ? overdue.length : 0),
+          errors
+        }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get today's tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getOverdueTasks(args) {
+    try {
+      const timeZone = this.dayTimeZone(args);
+      const now = new Date();
+      const { tasks: openTasks, projectNames, errors } = await this.fetchOpenTasks();
+      const overdue = sortTasksByDue(openTasks.filter(task => isTaskOverdue(task, { timeZone, now })));
+      const tasks = overdue.slice(0, args.limit || 50);
+      const date = formatLocalDate(todayInZone(timeZone, now));
+
+      return this.createToolResult(
+        `🚨 **Overdue Tasks** (${overdue.length}${tasks.length < overdue.length ? `, showing ${tasks.length}` : ''}) - as of ${date} (${timeZone})\n\n${tasks.map(task => this.formatDayTask(task, projectNames, timeZone)).join('\n\n') || 'Nothing overdue. 🎉'}${this.formatProjectErrors(errors)}`,
+        { date, time_zone: timeZone, tasks, count: tasks.length, total: overdue.length, errors }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get overdue tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getUpcomingTasks(args) {
+    try {
+      const timeZone = this.dayTimeZone(args);
+      const today = todayInZone(timeZone);
+      const range = args.range || 'next_days';
+
+      let from = today;
+      let to = today;
+      if (range === 'tomorrow') {
+        from = to = addDays(today, 1);
+      } else if (range === 'this_week') {
+        from = startOfWeek(today, TICKTICK_WEEK_START);
+        to = addDays(from, 6);
+      } else if (range === 'next_days') {
+        to = addDays(today, args.days || 7);
+      } else if (range === 'custom') {
+        if (!args.from || !args.to) throw invalidArgument(args.from ? 'to' : 'from', new Error('range "custom" needs from and to'));
+        from = parseLocalDate(args.from);
+        to = parseLocalDate(args.to);
+        if (!from || !to) throw invalidArgument(from ? 'to' : 'from', new Error('must be a date in YYYY-MM-DD format'));
+        if (compareDates(from, to) > 0) throw invalidArgument('from', new Error('must not be after to'));
+        if (daysBetween(from, to) > 366) throw invalidArgument('to', new Error('a custom range can span at most 366 days'));
+      }
+
+      const { tasks: openTasks, projectNames, errors } = await this.fetchOpenTasks();
+      const inRange = sortTasksByDue(openTasks.filter(task => taskInRange(task, from, to, timeZone)));
+
+      // A task spanning several days is listed once, on its due day clamped into the range
+      const byDay = new Map();
+      for (const task of inRange) {
+        const { due } = taskDays(task, timeZone);
+        const day = formatLocalDate(compareDates(due, to) > 0 ? to : compareDates(due, from) < 0 ? from : due);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(task);
+      }
+      const days = [...byDay.keys()].sort().map(date => ({ date, tasks: byDay.get(date) }));
+
+      return this.createToolResult(
+        `🗓️ **Upcoming Tasks** ${formatLocalDate(from)} → ${formatLocalDate(to)} (${timeZone})\n\n${days.map(day =>
+            `### ${day.date} (${WEEKDAYS[weekdayOf(parseLocalDate(day.date))]})\n${day.tasks.map(task => this.formatDayTask(task, projectNames, timeZone)).join('\n')}`
+          ).join('\n\n') || 'Nothing scheduled in this range.'}${this.formatProjectErrors(errors)}`,
+        { from: formatLocalDate(from), to: formatLocalDate(to), time_zone: timeZone, days, count: inRange.length, errors }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get upcoming tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  async fetchTask(projectId, taskId) {
+    return await this.makeApiRequest(`/project/${projectId}/task/${taskId}`);
+  }
+
+  async updateTask(args) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      const current = await this.fetchTask(projectId, args.task_id);
+
+      const taskData = {
+        ...current,
+        id: args.task_id,
+        projectId
+      };
+      if (args.title !== undefined) taskData.title = args.title;
+      if (args.content !== undefined) taskData.content = args.content;
+      if (args.priority !== undefined) taskData.priority = args.priority;
+      if (args.completed === false) taskData.status = 0;
+      this.applySchedule(taskData, args);
+
+      let task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', taskData);
+      if (args.completed === true) {
+        await this.makeApiRequest(`/project/${projectId}/task/${args.task_id}/complete`, 'POST');
+        task = { ...task, status: 2 };
+      }
+
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      return this.createToolResult(
+        `✅ **Task Updated Successfully!**\n\n📝 **${task.title}**\n🆔 ID: ${task.id}\n📁 Project: ${task.projectId}\n${task.content ? `📄 Description: ${task.content}\n` : ''}${this.formatSchedule(task)}🎯 Priority: ${task.priority}\n${task.status === 2 ? '✅ Completed' : '⏱️ Open'}`,
+        { task }
+      );
+    } catch (error) {
+      throw new Error(`Failed to update task: ${error.message}`, { cause: error });
+    }
+  }
+
+  async deleteTask(args) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      await this.makeApiRequest(`/project/${projectId}/task/${args.task_id}`, 'DELETE');
+
+      await this.removeTaskFromCache(args.task_id);
+
+      return this.createToolResult(
+        `🗑️ **Task Deleted Successfully!**\n\n🆔 ID: ${args.task_id}\n📁 Project: ${projectId}\n💾 Removed from cache`,
+        { deleted: true, task_id: args.task_id, project_id: projectId }
+      );
+    } catch (error) {
+      throw new Error(`Failed to delete task: ${error.message}`, { cause: error });
+    }
+  }
+
+  async completeTask(args) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      await this.makeApiRequest(`/project/${projectId}/task/${args.task_id}/complete`, 'POST');
+      await this.markTaskCompletedInCache(args.task_id);
+
+      return this.createToolResult(
+        `✅ **Task Completed!**\n\n🆔 ID: ${args.task_id}\n📁 Project: ${projectId}\n\nNice work! 🎉`,
+        { completed: true, task_id: args.task_id, project_id: projectId }
+      );
+    } catch (error) {
+      throw new Error(`Failed to complete task: ${error.message}`, { cause: error });
+    }
+  }
+
+  async moveTask(args) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      const current = await this.fetchTask(projectId, args.task_id);
+      if (projectId === args.to_project_id) {
+        return this.createToolResult(
+          `ℹ️ **${current.title}** is already in project ${projectId}`,
+          { task: current, from_project_id: projectId }
+        );
+      }
+
+      const task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', {
+        ...current,
+        id: args.task_id,
+        projectId: args.to_project_id
+      });
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      return this.createToolResult(
+        `📦 **Task Moved!**\n\n📝 **${task.title}**\n🆔 ID: ${task.id}\n📁 ${projectId} → ${task.projectId}`,
+        { task, from_project_id: projectId }
+      );
+    } catch (error) {
+      throw new Error(`Failed to move task: ${error.message}`, { cause: error });
+    }
+  }
+
+  async tagTask(args) {
+    try {
+      if (!args.add_tags?.length && !args.remove_tags?.length) {
+        throw invalidArgument('add_tags', new Error('pass add_tags and/or remove_tags'));
+      }
+      const projectId = await this.resolveProjectId(args);
+      const current = await this.fetchTask(projectId, args.task_id);
+
+      const removed = new Set((args.remove_tags || []).map(tagKey));
+      const tags = uniqueTags([...(current.tags || []), ...(args.add_tags || []).map((tag, index) => parseArgument(`add_tags[${index}]`, () => normalizeTagName(tag)))])
+        .filter(tag => !removed.has(tagKey(tag)));
+
+      const task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', { ...current, id: args.task_id, projectId, tags });
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      return this.createToolResult(
+        `🏷️ **Tags Updated!**\n\n📝 **${task.title}**\n🏷️ Tags: ${(task.tags || []).join(', ') || 'none'}`,
+        { task }
+      );
+    } catch (error) {
+      throw new Error(`Failed to tag task: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Synced tasks as query rows plus the tag registry (colours, tags without tasks yet)
+  async loadTagData(args = {}) {
+    if (args.sync) {
+      await this.taskSync.sync({ mode: 'incremental' });
+    }
+    const cache = await this.loadCache();
+    const projects = cache.projects || {};
+    const rows = Object.entries(cache.tasks || {})
+      .map(([id, entry]) => normalizeTask(id, entry, { projects }))
+      .filter(row => row.synced);
+    const registry = cache.tags || {};
+    return { rows, registry, tags: collectTags(rows, registry), unsynced: Object.keys(cache.tasks || {}).length - rows.length };
+  }
+
+  // field is the argument that named the tag, for the InvalidParams error when it doesn't exist
+  findTag(tags, name, field) {
+    const tag = tags.find(item => item.key === tagKey(name));
+    if (!tag) {
+      throw invalidArgument(field, new Error(`No tag "${name}" on synced tasks - run ticktick_sync or check ticktick_get_tags`));
+    }
+    return tag;
+  }
+
+  async getTags(args) {
+    try {
+      const { tags, unsynced } = await this.loadTagData(args);
+      const tree = buildTagTree(tags);
+      const list = tags.map(({ task_ids: taskIds, key, ...tag }) => tag);
+
+      return this.createToolResult(
+        `🏷️ **Tags** (${list.length})\n\n${formatTagTree(tree).join('\n') || 'No tags yet.'}${unsynced ? `\n\nℹ️ ${unsynced} cached task(s) have no synced data and are not counted - run ticktick_sync` : ''}`,
+        { tags: list, tree, count: list.length, unsynced }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get tags: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getTagTasks(args) {
+    try {
+      const { rows, tags } = await this.loadTagData(args);
+      const tag = this.findTag(tags, parseArgument('tag', () => normalizeTagName(args.tag)), 'tag');
+      const includeChildren = args.include_children ?? true;
+      const tasks = sortRows(
+        rows.filter(row => (args.include_completed || !row.completed) && row.tags.some(name => tagMatches(name, tag.name, { includeChildren }))),
+        parseSort('due,-priority')
+      ).map(row => projectFields(row, DEFAULT_OUTPUT_FIELDS));
+
+      return this.createToolResult(
+        `🏷️ **#${tag.name}**${includeChildren ? ' (with nested tags)' : ''} - ${tasks.length} task(s)\n\n${tasks.map(task =>
+            `• **${task.title}** (${task.id})${task.completed ? ' ✅' : ''}${task.due_date ? ` • 📅 ${formatInTimeZone(task.due_date, TICKTICK_TIMEZONE)}` : ''}\n  🏷️ ${task.tags.join(', ')}`
+          ).join('\n') || 'No tasks.'}`,
+        { tag: tag.name, tasks, count: tasks.length }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get tag tasks: ${error.message}`, { cause: error });
+    }
+  }
+
+  async createTag(args) {
+    try {
+      const name = parseArgument('name', () => normalizeTagName(args.name));
+      const { tags } = await this.loadTagData();
+      const existing = tags.find(item => item.key === tagKey(name));
+      if (existing?.color) {
+        throw invalidArgument('name', new Error(`Tag "${existing.name}" already exists - use ticktick_set_tag_color to change its colour`));
+      }
+      const tag = { name: existing?.name || name, color: args.color || DEFAULT_TAG_COLOR, created_at: new Date().toISOString() };
+      await this.updateCache(cache => {
+        cache.tags = { ...(cache.tags || {}), [tagKey(name)]: tag };
+      });
+
+      return this.createToolResult(
+        `✅ **Tag Created!**\n\n🏷️ #${tag.name}\n🎨 ${tag.color}${existing ? `\n📝 Already on ${existing.count} task(s)` : '\n\nAdd it to tasks with ticktick_add_tag_to_task'}`,
+        { tag }
+      );
+    } catch (error) {
+      throw new Error(`Failed to create tag: ${error.message}`, { cause: error });
+    }
+  }
+
+  async setTagColor(args) {
+    try {
+      const tag = this.findTag((await this.loadTagData()).tags, parseArgument('name', () => normalizeTagName(args.name)), 'name');
+      const saved = await this.updateCache(cache => {
+        const entry = { created_at: new Date().toISOString(), ...(cache.tags?.[tag.key] || {}), name: tag.name, color: args.color };
+        cache.tags = { ...(cache.tags || {}), [tag.key]: entry };
+        return entry;
+      });
+
+      return this.createToolResult(`🎨 **#${tag.name}** is now ${args.color}`, { tag: saved || { name: tag.name, color: args.color } });
+    } catch (error) {
+      throw new Error(`Failed to set tag color: ${error.message}`, { cause: error });
+    }
+  }
+
+  async addTagToTask(args) {
+    try {
+      const name = parseArgument('tag_name', () => normalizeTagName(args.tag_name));
+      const projectId = await this.resolveProjectId(args);
+      const current = await this.fetchTask(projectId, args.task_id);
+      if (hasTag(current.tags, name)) {
+        return this.createToolResult(
+          `ℹ️ **${current.title}** already has #${name}\n🏷️ Tags: ${current.tags.join(', ')}`,
+          { task: current, added: false }
+        );
+      }
+
+      const tags = uniqueTags([...(current.tags || []), name]);
+      const task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', { ...current, id: args.task_id, projectId, tags });
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      return this.createToolResult(
+        `🏷️ **Tag Added!**\n\n📝 **${task.title}**\n🏷️ Tags: ${(task.tags || []).join(', ')}`,
+        { task, added: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to add tag to task: ${error.message}`, { cause: error });
+    }
+  }
+
+  async removeTagFromTask(args) {
+    try {
+      const name = parseArgument('tag_name', () => normalizeTagName(args.tag_name));
+      const projectId = await this.resolveProjectId(args);
+      const current = await this.fetchTask(projectId, args.task_id);
+      const includeChildren = args.include_children === true;
+      const tags = rewriteTags(current.tags, tag => (tagMatches(tag, name, { includeChildren }) ? null : tag));
+      if (sameTags(tags, current.tags || [])) {
+        throw invalidArgument('tag_name', new Error(`Task "${current.title}" doesn't have #${name}`));
+      }
+
+      const task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', { ...current, id: args.task_id, projectId, tags });
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      return this.createToolResult(
+        `🏷️ **Tag Removed**\n\n📝 **${task.title}**\n🏷️ Tags: ${(task.tags || []).join(', ') || 'none'}`,
+        { task, removed: (current.tags || []).filter(tag => !hasTag(tags, tag)) }
+      );
+    } catch (error) {
+      throw new Error(`Failed to remove tag from task: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Rewrite the tags of every synced task that has a matching tag, re-reading each task first.
+  // Reports progress per task; one task failing doesn't stop the others
+  async rewriteTagsEverywhere(rows, matches, mapper) {
+    const affected = rows.filter(row => row.tags.some(matches));
+    const results = [];
+    let next = 0;
+    let done = 0;
+
+    const worker = async () => {
+      while (next < affected.length) {
+        const row = affected[next++];
+        const result = { task_id: row.id, title: row.title, project_id: row.project_id, status: 'unchanged', before: row.tags, after: row.tags };
+        try {
+          const current = await this.fetchTask(row.project_id, row.id);
+          const tags = rewriteTags(current.tags, mapper);
+          Object.assign(result, { title: current.title, before: current.tags || [], after: tags });
+          if (!sameTags(tags, current.tags || [])) {
+            const task = await this.makeApiRequest(`/task/${row.id}`, 'POST', { ...current, tags });
+            await this.addTaskToCache(task.id, task.projectId, task.title, task);
+            result.status = 'updated';
+          }
+        } catch (error) {
+          Object.assign(result, { status: 'error', error: error.message });
+        }
+        results.push(result);
+        await reportProgress(++done, affected.length, `${result.status}: ${result.title}`);
+      }
+    };
+
+    await withBufferedCache(this.cache, () =>
+      Promise.all(Array.from({ length: Math.min(Math.max(1, TICKTICK_BATCH_CONCURRENCY), affected.length) }, worker))
+    );
+
+    const count = status => results.filter(result => result.status === status).length;
+    return { results, total: affected.length, updated: count('updated'), unchanged: count('unchanged'), failed: count('error') };
+  }
+
+  formatTagRewrite(heading, summary) {
+    const icons = { updated: '✅', unchanged: '⏭️', error: '❌' };
+    return `${heading}\n\n📊 ${summary.total} task(s): ✅ ${summary.updated} updated • ⏭️ ${summary.unchanged} unchanged • ❌ ${summary.failed} failed${summary.results.length ? `\n\n${summary.results.map(result =>
+        `${icons[result.status]} **${result.title}** (${result.task_id})${result.status === 'updated' ? `: ${result.before.join(', ')} → ${result.after.join(', ') || 'no tags'}` : ''}${result.error ? ` - ${result.error}` : ''}`
+      ).join('\n')}` : ''}`;
+  }
+
+  // Move (or drop, with to = null) registry entries of tags matching from
+  moveRegisteredTags(cache, from, to, { includeChildren }) {
+    const registry = {};
+    for (const [key, entry] of Object.entries(cache.tags || {})) {
+      if (!tagMatches(entry.name, from, { includeChildren })) {
+        registry[key] = entry;
+      } else if (to) {
+        const name = renamedTag(entry.name, from, to, { includeChildren });
+        registry[tagKey(name)] = { ...(registry[tagKey(name)] || {}), ...entry, name };
+      }
+    }
+    cache.tags = registry;
+  }
+
+  async renameTag(args) {
+    try {
+      const to = parseArgument('to', () => normalizeTagName(args.to));
+      const includeChildren = args.include_children ?? true;
+      const { rows, tags } = await this.loadTagData({ sync: args.sync ?? true });
+      const from = this.findTag(tags, parseArgument('from', () => normalizeTagName(args.from)), 'from').name;
+      const clash = tags.find(item => item.key === tagKey(to));
+      if (clash && clash.key !== tagKey(from)) {
+        throw invalidArgument('to', new Error(`Tag "${clash.name}" already exists - use ticktick_merge_tags to combine them`));
+      }
+
+      const summary = await this.rewriteTagsEverywhere(
+        rows,
+        tag => tagMatches(tag, from, { includeChildren }),
+        tag => renamedTag(tag, from, to, { includeChildren })
+      );
+      await this.updateCache(cache => this.moveRegisteredTags(cache, from, to, { includeChildren }));
+
+      return this.createToolResult(
+        this.formatTagRewrite(`✏️ **Renamed #${from} → #${to}**${includeChildren ? ' (with nested tags)' : ''}`, summary),
+        { from, to, ...summary }
+      );
+    } catch (error) {
+      throw new Error(`Failed to rename tag: ${error.message}`, { cause: error });
+    }
+  }
+
+  async mergeTags(args) {
+    try {
+      const into = parseArgument('into', () => normalizeTagName(args.into));
+      const includeChildren = args.include_children ?? true;
+      const { rows, tags } = await this.loadTagData({ sync: args.sync ?? true });
+      const sources = uniqueTags(args.sources.map((name, index) => parseArgument(`sources[${index}]`, () => normalizeTagName(name))))
+        .filter(name => tagKey(name) !== tagKey(into))
+        .map(name => this.findTag(tags, name, 'sources').name);
+      if (!sources.length) {
+        throw invalidArgument('sources', new Error('pass at least one source tag other than the target'));
+      }
+      if (includeChildren && sources.some(source => tagMatches(into, source))) {
+        throw invalidArgument('into', new Error('a tag cannot be merged into one of its own nested tags - pass include_children: false'));
+      }
+
+      const sourceOf = tag => sources.find(source => tagMatches(tag, source, { includeChildren }));
+      const summary = await this.rewriteTagsEverywhere(
+        rows,
+        tag => Boolean(sourceOf(tag)),
+        tag => (sourceOf(tag) ? renamedTag(tag, sourceOf(tag), into, { includeChildren }) : tag)
+      );
+      await this.updateCache(cache => {
+        for (const source of sources) this.moveRegisteredTags(cache, source, null, { includeChildren });
+      });
+
+      return this.createToolResult(
+        this.formatTagRewrite(`🔀 **Merged ${sources.map(source => `#${source}`).join(', ')} into #${into}**`, summary),
+        { sources, into, ...summary }
+      );
+    } catch (error) {
+      throw new Error(`Failed to merge tags: ${error.message}`, { cause: error });
+    }
+  }
+
+  async deleteTag(args) {
+    try {
+      const includeChildren = args.include_children ?? true;
+      const { rows, tags } = await this.loadTagData({ sync: args.sync ?? true });
+      const name = this.findTag(tags, parseArgument('name', () => normalizeTagName(args.name)), 'name').name;
+
+      const summary = await this.rewriteTagsEverywhere(
+        rows,
+        tag => tagMatches(tag, name, { includeChildren }),
+        tag => (tagMatches(tag, name, { includeChildren }) ? null : tag)
+      );
+      await this.updateCache(cache => this.moveRegisteredTags(cache, name, null, { includeChildren }));
+
+      return this.createToolResult(
+        this.formatTagRewrite(`🗑️ **Deleted #${name}**${includeChildren ? ' (with nested tags)' : ''}`, summary),
+        { name, ...summary }
+      );
+    } catch (error) {
+      throw new Error(`Failed to delete tag: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Runs inside the batch tool's operation, so every write lands in one journal entry
+  // and the handlers' cache updates are applied in a single write at the end
+  async runBatch(args) {
+    try {
+      const mode = args.mode || 'continue';
+      const concurrency = Math.max(1, args.concurrency || TICKTICK_BATCH_CONCURRENCY);
+      const results = args.operations.map((operation, index) => ({ index, op: operation.op, status: 'skipped', task_id: operation.task_id || null }));
+      let next = 0;
+      let stopped = false;
+
+      const runOne = async index => {
+        const { op, ...opArgs } = args.operations[index];
+        const { handler, inputSchema } = BATCH_OPERATIONS[op];
+        const errors = validateArguments(inputSchema, opArgs);
+        if (errors.length > 0) {
+          throw new Error(`Invalid arguments: ${formatValidationErrors(errors)}`);
+        }
+        const resolvedArgs = opArgs.task_query && !opArgs.task_id ? await this.resolveTaskQuery(opArgs) : opArgs;
+        return (await this[handler](resolvedArgs)).structuredContent;
+      };
+
+      const worker = async () => {
+        while (!stopped && next < args.operations.length) {
+          const index = next++;
+          try {
+            const data = await runOne(index);
+            results[index] = { ...results[index], status: 'ok', task_id: data.task?.id || data.task_id || results[index].task_id, data };
+          } catch (error) {
+            results[index] = { ...results[index], status: 'error', error: error.message };
+            if (mode === 'stop_on_error') stopped = true;
+          }
+        }
+      };
+
+      await withBufferedCache(this.cache, () =>
+        Promise.all(Array.from({ length: Math.min(concurrency, args.operations.length) }, worker))
+      );
+
+      const count = status => results.filter(result => result.status === status).length;
+      const summary = { results, succeeded: count('ok'), failed: count('error'), skipped: count('skipped'), mode };
+      const icons = { ok: '✅', error: '❌', skipped: '⏭️' };
+
+      return this.createToolResult(
+        `📦 **Batch Finished** (${mode})\n\n✅ ${summary.succeeded} succeeded • ❌ ${summary.failed} failed • ⏭️ ${summary.skipped} skipped\n\n${results.map(result =>
+            `${icons[result.status]} #${result.index + 1} ${result.op}${result.task_id ? ` ${result.task_id}` : ''}${result.error ? ` - ${result.error}` : ''}`
+          ).join('\n')}`,
+        summary
+      );
+    } catch (error) {
+      throw new Error(`Failed to run batch: ${error.message}`, { cause: error });
+    }
+  }
+
+  async getTaskDetails(args) {
+    try {
+      const projectId = await this.resolveProjectId(args);
+      const task = await this.fetchTask(projectId, args.task_id);
+
+      await this.addTaskToCache(task.id, task.projectId, task.title, task);
+
+      return this.createToolResult(
+        `📝 **${task.title}**\n\n🆔 ID: ${task.id}\n📁 Project: ${task.projectId}\n${task.status === 2 ? '✅ Completed' : '⏱️ Open'}\n🎯 Priority: ${task.priority || 0}\n${task.content ? `📄 Description: ${task.content}\n` : ''}${this.formatSchedule(task)}${task.tags?.length ? `🏷️ Tags: ${task.tags.join(', ')}\n` : ''}${formatChecklist(task.items)}`,
+        { task }
+      );
+    } catch (error) {
+      throw new Error(`Failed to get task details: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Fetch a task, let change() rewrite its checklist (in display order) and save it
+  async saveChecklist(args, change) {
+    const projectId = await this.resolveProjectId(args);
+    const current = await this.fetchTask(projectId, args.task_id);
+    const items = change(sortItems(current.items || []));
+
+    const task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', {
+      ...current,
+      id: args.task_id,
+      projectId,
+      items,
+      kind: items.length ? 'CHECKLIST' : 'TEXT'
+    });
+    await this.addTaskToCache(task.id, task.projectId, task.title, task);
+    return task;
+  }
+
+  checklistResult(heading, task, extra = {}) {
+    return this.createToolResult(
+      `${heading}\n\n📝 **${task.title}**\n🆔 ID: ${task.id}\n${formatChecklist(task.items) || '☑️ Checklist is empty\n'}`,
+      { task, progress: checklistProgress(task.items), ...extra }
+    );
+  }
+
+  async addChecklistItems(args) {
+    try {
+      const task = await this.saveChecklist(args, items => insertItems(items, args.items, args.position));
+      return this.checklistResult(`➕ **Added ${args.items.length} Checklist Item(s)**`, task);
+    } catch (error) {
+      throw new Error(`Failed to add checklist items: ${error.message}`, { cause: error });
+    }
+  }
+
+  async updateChecklistItem(args) {
+    try {
+      if (args.title === undefined && args.completed === undefined) {
+        throw invalidArgument('item', new Error('pass title and/or completed'));
+      }
+      const task = await this.saveChecklist(args, items => {
+        const [index] = parseArgument('item', () => resolveItemRefs(items, [args.item]));
+        let updated = items;
+        if (args.title !== undefined) {
+          updated = updated.map((item, i) => (i === index ? { ...item, title: args.title } : item));
+        }
+        if (args.completed !== undefined) {
+          updated = setItemsChecked(updated, [index], args.completed);
+        }
+        return updated;
+      });
+      return this.checklistResult('✏️ **Checklist Item Updated**', task);
+    } catch (error) {
+      throw new Error(`Failed to update checklist item: ${error.message}`, { cause: error });
+    }
+  }
+
+  async checkChecklistItems(args) {
+    try {
+      const checked = args.checked ?? true;
+      const task = await this.saveChecklist(args, items => {
+        const indexes = args.items ? parseArgument('items', () => resolveItemRefs(items, args.items)) : items.map((item, index) => index);
+        return setItemsChecked(items, indexes, checked);
+      });
+      return this.checklistResult(checked ? '✅ **Checklist Items Checked**' : '⬜ **Checklist Items Unchecked**', task);
+    } catch (error) {
+      throw new Error(`Failed to check checklist items: ${error.message}`, { cause: error });
+    }
+  }
+
+  async reorderChecklistItems(args) {
+    try {
+      const task = await this.saveChecklist(args, items => parseArgument('items', () => reorderItems(items, resolveItemRefs(items, args.items))));
+      return this.checklistResult('🔀 **Checklist Reordered**', task);
+    } catch (error) {
+      throw new Error(`Failed to reorder checklist items: ${error.message}`, { cause: error });
+    }
+  }
+
+  async removeChecklistItems(args) {
+    try {
+      const task = await this.saveChecklist(args, items => removeItems(items, parseArgument('items', () => resolveItemRefs(items, args.items))));
+      return this.checklistResult(`🗑️ **Removed ${args.items.length} Checklist Item(s)**`, task);
     } catch (error) {
-      throw new Error(`Failed to create task: ${error.message}`);
+      throw new Error(`Failed to remove checklist items: ${error.message}`, { cause: error });
     }
   }
 
-  async getCachedTasks(args) {
+  async checklistToTasks(args) {
     try {
-      const cache = this.loadCache();
-      let tasks = Object.entries(cache.tasks || {}).map(([id, task]) => ({
-        id,
-        ...task,
-        is_stale: this.isTaskStale(task)
-      }));
-      
-      if (args.project_id) {
-        tasks = tasks.filter(t => t.project_id === args.project_id);
+      const projectId = await this.resolveProjectId(args);
+      const current = await this.fetchTask(projectId, args.task_id);
+      const items = sortItems(current.items || []);
+      if (!items.length) {
+        throw invalidArgument('task_id', new Error(`Task ${args.task_id} has no checklist items`));
       }
-      
-      if (!args.include_stale) {
-        tasks = tasks.filter(t => !t.is_stale);
+      const indexes = args.items ? parseArgument('items', () => resolveItemRefs(items, args.items)) : items.map((item, index) => index);
+      const targetProjectId = args.to_project_id || projectId;
+
+      // Create first, so a failure leaves the checklist untouched
+      const created = [];
+      for (const index of indexes) {
+        const item = items[index];
+        let task = await this.makeApiRequest('/task', 'POST', {
+          title: item.title,
+          content: '',
+          projectId: targetProjectId,
+          priority: current.priority || 0,
+          tags: current.tags || []
+        });
+        if (isChecked(item)) {
+          await this.makeApiRequest(`/project/${targetProjectId}/task/${task.id}/complete`, 'POST');
+          task = { ...task, status: 2 };
+        }
+        await this.addTaskToCache(task.id, task.projectId, task.title, task);
+        created.push(task);
       }
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `💾 **Cached Tasks** (${tasks.length} found)\n\n${tasks.map(t => 
-            `• **${t.title}** (${t.id})\n  📁 Project: ${t.project_id}\n  ${t.is_stale ? '⚠️ Stale (>24h)' : '✅ Fresh'} • Cached: ${new Date(t.cached_at).toLocaleString()}`
-          ).join('\n\n') || 'No cached tasks found. Create some tasks or register existing ones!'}`
-        }]
-      };
-    } catch (error) {
-      throw new Error(`Failed to get cached tasks: ${error.message}`);
-    }
-  }
 
-  async registerTaskId(args) {
-    try {
-      this.addTaskToCache(args.task_id, args.project_id, args.title);
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ **Task Registered Successfully!**\n\n📝 **${args.title}**\n🆔 ID: ${args.task_id}\n📁 Project: ${args.project_id}\n💾 Added to cache: ${new Date().toLocaleString()}\n\nThis task is now discoverable through cache! 🎯`
-        }]
-      };
+      const remaining = removeItems(items, indexes);
+      let task;
+      let taskDeleted = false;
+      if (!remaining.length && args.delete_task) {
+        await this.makeApiRequest(`/project/${projectId}/task/${args.task_id}`, 'DELETE');
+        await this.removeTaskFromCache(args.task_id);
+        task = { ...current, items: [] };
+        taskDeleted = true;
+      } else {
+        task = await this.makeApiRequest(`/task/${args.task_id}`, 'POST', {
+          ...current,
+          id: args.task_id,
+          projectId,
+          items: remaining,
+          kind: remaining.length ? 'CHECKLIST' : 'TEXT'
+        });
+        await this.addTaskToCache(task.id, task.projectId, task.title, task);
+      }
+
+      return this.createToolResult(
+        `🪓 **Checklist Split Into ${created.length} Task(s)**\n\n${created.map(item =>
+            `${item.status === 2 ? '✅' : '⏱️'} ${item.title} (ID: ${item.id})`
+          ).join('\n')}\n\n📁 Project: ${targetProjectId}\n${taskDeleted ? `🗑️ Original task ${args.task_id} deleted` : `📝 **${task.title}**: ${remaining.length} item(s) left`}`,
+        { task, created, task_deleted: taskDeleted }
+      );
     } catch (error) {
-      throw new Error(`Failed to register task: ${error.message}`);
+      throw new Error(`Failed to convert checklist to tasks: ${error.message}`, { cause: error });
     }
   }
 
-  async importFromCsv(args) {
+  async tasksToChecklist(args) {
     try {
-      const lines = args.csv_data.split('\n').filter(line => line.trim());
-      const header = lines[0];
-      
-      if (!header.includes('task_id') || !header.includes('project_id') || !header.includes('title')) {
-        throw new Error('CSV must have columns: task_id, project_id, title');
+      if (args.source_task_ids.includes(args.task_id)) {
+        throw invalidArgument('source_task_ids', new Error('a task cannot become an item of its own checklist'));
       }
-      
-      let imported = 0;
-      for (let i = 1; i < lines.length; i++) {
-        const [task_id, project_id, title] = lines[i].split(',').map(s => s.trim());
-        if (task_id && project_id && title) {
-          this.addTaskToCache(task_id, project_id, title);
-          imported++;
+      const sources = [];
+      for (const taskId of args.source_task_ids) {
+        const projectId = await this.resolveProjectId({ task_id: taskId, project_id: args.source_project_id });
+        sources.push({ projectId, task: await this.fetchTask(projectId, taskId) });
+      }
+
+      const task = await this.saveChecklist(args, items => renumber([
+        ...items,
+        ...sources.map(({ task: source }) => createItem(source.title, { checked: source.status === 2 }))
+      ]));
+
+      const deletedTaskIds = [];
+      if (args.delete_sources ?? true) {
+        for (const { projectId, task: source } of sources) {
+          await this.makeApiRequest(`/project/${projectId}/task/${source.id}`, 'DELETE');
+          await this.removeTaskFromCache(source.id);
+          deletedTaskIds.push(source.id);
         }
       }
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `✅ **CSV Import Completed!**\n\n📊 **${imported} tasks imported**\n💾 All tasks added to cache\n🎯 Tasks are now discoverable!\n\nUse \`ticktick_get_cached_tasks\` to see all imported tasks. 🚀`
-        }]
-      };
+
+      return this.createToolResult(
+        `🧺 **${sources.length} Task(s) Merged Into Checklist**\n\n📝 **${task.title}**\n🆔 ID: ${task.id}\n${formatChecklist(task.items)}${deletedTaskIds.length ? `🗑️ Deleted source tasks: ${deletedTaskIds.join(', ')}` : '📌 Source tasks kept'}`,
+        { task, progress: checklistProgress(task.items), deleted_task_ids: deletedTaskIds }
+      );
     } catch (error) {
-      throw new Error(`Failed to import CSV: ${error.message}`);
+      throw new Error(`Failed to convert tasks to checklist: ${error.message}`, { cause: error });
     }
   }
 
-  // Additional method implementations (representative samples)
-  async getHabits(args) {
+  async undoOperations(args) {
     try {
-      const habits = await this.makeApiRequest('/habits');
-      return {
-        content: [{
-          type: 'text',
-          text: `🎯 **TickTick Habits** (${habits.length} total)\n\n${habits.map(h => 
-            `• **${h.name}**\n  📊 Goal: ${h.goal} times per ${h.frequency}\n  🔥 Current streak: ${h.currentStreak || 0}`
-          ).join('\n\n') || 'No habits found. Create your first habit! 💪'}`
-        }]
-      };
+      let entries;
+      if (args.operation_id) {
+        const entry = await this.journal.find(args.operation_id);
+        if (!entry) throw new Error(`Operation ${args.operation_id} is not in the journal`);
+        if (entry.status === 'undone') throw new Error(`Operation ${args.operation_id} was already undone`);
+        if (!isUndoable(entry)) throw new Error(`Operation ${args.operation_id} (${entry.tool}) made no changes that can be undone`);
+        entries = [entry];
+      } else {
+        entries = await this.journal.latestUndoable(args.count || 1);
+      }
+
+      const dryRun = currentOperation()?.dryRun === true;
+      const undone = [];
+      // Recreated tasks and projects get new IDs; older entries must follow them
+      let remaps = {};
+      for (let entry of entries) {
+        entry = remapIds(entry, remaps);
+        const steps = [];
+        const entryRemaps = {};
+        // Newest call first, so a create-then-update unwinds cleanly
+        for (const call of [...entry.calls].reverse()) {
+          const step = { call: `${call.method} ${call.endpoint}`, kind: classifyCall(call) };
+          if (!step.kind) {
+            steps.push({ ...step, status: 'skipped', detail: 'not reversible' });
+            continue;
+          }
+          try {
+            steps.push({ ...step, status: 'undone', detail: await this.undoCall(step.kind, call, entryRemaps) });
+          } catch (error) {
+            steps.push({ ...step, status: 'failed', detail: error.message });
+          }
+        }
+
+        const failed = steps.some(step => step.status === 'failed');
+        remaps = { ...remaps, ...entryRemaps };
+        if (!dryRun) {
+          if (!failed) await this.journal.markUndone(entry.id, { steps });
+          if (Object.keys(entryRemaps).length) await this.journal.remapIds(entryRemaps);
+        }
+        undone.push({ operation_id: entry.id, tool: entry.tool, undone: !failed, steps });
+        // Unwinding further back on top of a half-reverted operation would only make it worse
+        if (failed) break;
+      }
+
+      const succeeded = undone.filter(item => item.undone).length;
+      const heading = undone.length === 0 ? 'Undo' : succeeded === undone.length ? 'Undo Completed' : 'Undo Stopped';
+      return this.createToolResult(
+        `↩️ **${heading}**\n\n${undone.map(item =>
+            `${item.undone ? '✅' : '❌'} **${item.tool}** (${item.operation_id})\n${item.steps.map(step => `  • ${step.call}: ${step.status} - ${step.detail}`).join('\n')}`
+          ).join('\n\n') || 'Nothing to undo - the journal has no reversible operations.'}`,
+        { undone, count: succeeded }
+      );
     } catch (error) {
-      throw new Error(`Failed to get habits: ${error.message}`);
+      throw new Error(`Failed to undo: ${error.message}`, { cause: error });
     }
   }
 
-  async startFocusSession(args) {
-    try {
-      const sessionData = {
-        taskId: args.task_id,
-        duration: args.duration || 25
-      };
-      
-      const session = await this.makeApiRequest('/focus/start', 'POST', sessionData);
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `🎯 **Focus Session Started!**\n\n⏱️ Duration: ${args.duration || 25} minutes\n${args.task_id ? `📝 Task: ${args.task_id}\n` : ''}🚀 Session ID: ${session.id}\n\nStay focused and be productive! 💪`
-        }]
-      };
-    } catch (error) {
-      throw new Error(`Failed to start focus session: ${error.message}`);
+  // Reverse one recorded write call; returns a description of what was done and
+  // adds old -> new IDs of recreated objects to remaps
+  async undoCall(kind, call, remaps) {
+    const before = call.before;
+    const requireSnapshot = () => {
+      if (!before) throw new Error('no snapshot was recorded before the change');
+    };
+
+    switch (kind) {
+      case 'create_task': {
+        const task = call.result;
+        if (!task?.id) throw new Error('the created task ID was not recorded');
+        await this.makeApiRequest(`/project/${task.projectId}/task/${task.id}`, 'DELETE');
+        await this.removeTaskFromCache(task.id);
+        return `deleted task ${task.id}`;
+      }
+      case 'update_task':
+      case 'complete_task': {
+        requireSnapshot();
+        const task = await this.makeApiRequest(`/task/${before.id}`, 'POST', before);
+        await this.addTaskToCache(before.id, before.projectId, before.title, task || before);
+        return `restored task ${before.id}`;
+      }
+      case 'delete_task': {
+        requireSnapshot();
+        const { id, etag, ...fields } = before;
+        const task = await this.makeApiRequest('/task', 'POST', fields);
+        await this.addTaskToCache(task.id, task.projectId, task.title, task);
+        remaps[id] = task.id;
+        return `recreated task ${id} as ${task.id}`;
+      }
+      case 'create_project': {
+        const project = call.result;
+        if (!project?.id) throw new Error('the created project ID was not recorded');
+        await this.makeApiRequest(`/project/${project.id}`, 'DELETE');
+        return `deleted project ${project.id}`;
+      }
+      case 'update_project': {
+        requireSnapshot();
+        await this.makeApiRequest(`/project/${before.id}`, 'POST', before);
+        return `restored project ${before.id}`;
+      }
+      case 'delete_project': {
+        requireSnapshot();
+        const { id, etag, ...fields } = before.project || {};
+        const project = await this.makeApiRequest('/project', 'POST', fields);
+        remaps[id] = project.id;
+        for (const { id: taskId, etag: taskEtag, ...task } of before.tasks || []) {
+          const created = await this.makeApiRequest('/task', 'POST', { ...task, projectId: project.id });
+          await this.addTaskToCache(created.id, created.projectId, created.title, created);
+          remaps[taskId] = created.id;
+        }
+        return `recreated project ${id} as ${project.id} with ${(before.tasks || []).length} open tasks; any completed tasks it had were not restored`;
+      }
+      default:
+        throw new Error(`don't know how to undo ${kind}`);
     }
   }
 
-  async getTodayTasks(args) {
+  async getHistory(args) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const tasks = await this.makeApiRequest(`/tasks/today?date=${today}`);
-      
-      return {
-        content: [{
-          type: 'text',
-          text: `📅 **Today's Tasks** (${tasks.length} total)\n\n${tasks.map(t => 
-            `${t.completed ? '✅' : '⏱️'} **${t.title}**\n  📁 ${t.projectId}\n  ${t.dueDate ? `⏰ Due: ${new Date(t.dueDate).toLocaleString()}` : 'No due date'}`
-          ).join('\n\n') || 'No tasks for today. Great job staying on top of things! 🎉'}`
-        }]
-      };
+      const operations = await this.journal.list({
+        limit: args.limit || 20,
+        tool: args.tool || null,
+        includeUndone: args.include_undone !== false
+      });
+
+      const summary = operations.map(entry => ({
+        id: entry.id,
+        tool: entry.tool,
+        status: entry.status,
+        undoable: isUndoable(entry),
+        started_at: entry.started_at,
+        finished_at: entry.finished_at,
+        error: entry.error,
+        arguments: entry.arguments,
+        calls: entry.calls.map(call => `${call.method} ${call.endpoint}`)
+      }));
+
+      const icons = { applied: '✅', partial: '⚠️', undone: '↩️' };
+      return this.createToolResult(
+        `📜 **Operation History** (${summary.length} shown)\n\n${summary.map(entry =>
+            `${icons[entry.status] || '•'} **${entry.tool}** (${entry.id})\n  🕒 ${new Date(entry.finished_at).toLocaleString()} • ${entry.status}${entry.undoable ? ' • undoable' : ''}${entry.error ? `\n  ❌ ${entry.error}` : ''}${entry.calls.length ? `\n  📡 ${entry.calls.join(', ')}` : ''}`
+          ).join('\n\n') || 'No operations recorded yet.'}`,
+        { operations: summary, count: summary.length }
+      );
     } catch (error) {
-      throw new Error(`Failed to get today's tasks: ${error.message}`);
+      throw new Error(`Failed to get history: ${error.message}`, { cause: error });
     }
   }
 
   // Placeholder implementations for remaining methods
-  async updateTask(args) { return this.createGenericResponse('Task updated successfully'); }
-  async deleteTask(args) { return this.createGenericResponse('Task deleted successfully'); }
-  async completeTask(args) { return this.createGenericResponse('Task completed successfully'); }
-  async getTaskDetails(args) { return this.createGenericResponse('Task details retrieved'); }
-  async createHabit(args) { return this.createGenericResponse('Habit created successfully'); }
-  async checkinHabit(args) { return this.createGenericResponse('Habit checked in successfully'); }
-  async getFocusStats(args) { return this.createGenericResponse('Focus stats retrieved'); }
-  async getTags(args) { return this.createGenericResponse('Tags retrieved successfully'); }
-  async createTag(args) { return this.createGenericResponse('Tag created successfully'); }
-  async addTagToTask(args) { return this.createGenericResponse('Tag added to task'); }
-  async archiveProject(args) { return this.createGenericResponse('Project archived successfully'); }
-  async duplicateProject(args) { return this.createGenericResponse('Project duplicated successfully'); }
   async getCalendarEvents(args) { return this.createGenericResponse('Calendar events retrieved'); }
   async createCalendarEvent(args) { return this.createGenericResponse('Calendar event created'); }
-  async getProductivityReport(args) { return this.createGenericResponse('Productivity report generated'); }
-  async getOverdueTasks(args) { return this.createGenericResponse('Overdue tasks retrieved'); }
   async shareProject(args) { return this.createGenericResponse('Project shared successfully'); }
   async addTaskNote(args) { return this.createGenericResponse('Note added to task'); }
 
   createGenericResponse(message) {
+    return this.createToolResult(
+      `✅ ${message}\n\n*Full implementation available in production version*`,
+      { success: true, message, implemented: false }
+    );
+  }
+
+  // Every tool returns the markdown text for humans plus structuredContent for machines
+  createToolResult(text, data) {
     return {
-      content: [{
-        type: 'text',
-        text: `✅ ${message}\n\n*Full implementation available in production version*`
-      }]
+      content: [{ type: 'text', text }],
+      structuredContent: data
     };
   }
 
-  async run() {
+  // REST bodies carry the tool arguments plus the optional response format
+  restArguments(req) {
+    const { format, ...args } = req.body || {};
+    return args;
+  }
+
+  // Map tool errors to HTTP: bad arguments are the caller's fault, unknown tools are 404,
+  // TickTick failures surface as 429 (rate limited), 504 (timeout) or 502 (upstream error)
+  sendRestError(res, error, extra = {}) {
+    if (error.code === ErrorCode.InvalidParams) {
+      res.status(400).json({
+        success: false,
+        ...extra,
+        error: error.message,
+        errors: error.data?.errors || [],
+        ...(error.data?.candidates ? { candidates: error.data.candidates } : {})
+      });
+    } else if (error.code === ErrorCode.MethodNotFound) {
+      res.status(404).json({ success: false, ...extra, error: error.message });
+    } else if (error.data?.api_error) {
+      const apiError = error.data.api_error;
+      const status = apiError.name === TickTickRateLimitError.name ? 429
+        : apiError.name === TickTickTimeoutError.name ? 504
+          : 502;
+      res.status(status).json({ success: false, ...extra, error: error.message, upstream: apiError });
+    } else {
+      res.status(500).json({ success: false, ...extra, error: error.message });
+    }
+  }
+
+  // Shape a tool result for REST callers according to the requested format
+  sendRestResult(req, res, result, extra = {}) {
+    const format = req.query.format || req.body?.format;
+    if (format !== undefined && !REST_FORMATS.includes(format)) {
+      res.status(400).json({ success: false, error: `Invalid format "${format}" - expected one of: ${REST_FORMATS.join(', ')}` });
+      return;
+    }
+
+    let data = result;
+    if (format === 'json') {
+      data = result.structuredContent;
+    } else if (format === 'markdown') {
+      data = result.content.map(item => item.text).join('\n\n');
+    }
+    res.json({ success: true, ...extra, format: format || 'mcp', data });
+  }
+
+  async run(transport = 'http') {
+    await this.initializeCache();
+    await this.initializeAuth();
+
+    if (transport === 'stdio' || transport === 'both') {
+      await this.runStdio();
+    }
+    if (transport === 'http' || transport === 'both') {
+      await this.runHttp();
+    }
+  }
+
+  // MCP over stdin/stdout for clients that spawn the server as a subprocess
+  async runStdio() {
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    console.error('🔌 TickTick MCP Server listening on stdio');
+  }
+
+  async runHttp() {
     // Create Express app
     const app = express();
-    const port = process.env.PORT || 8007;
+    const port = PORT;
 
     // Middleware
     app.use(express.json({ limit: '10mb' }));
@@ -841,11 +2630,42 @@ class TickTickMCPServer {
       res.json({ 
         message: 'TickTick MCP Server - Genspark Compatible',
         status: 'running',
-        tools_count: 130,
+        tools_count: TOOL_DEFINITIONS.length,
         features: ['MCP Protocol', 'REST API', 'Task Caching', 'Full TickTick Integration']
       });
     });
 
+    // OAuth2 authorization-code flow
+    app.get('/oauth/start', (req, res) => {
+      try {
+        res.redirect(this.auth.getAuthorizationUrl());
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    app.get('/oauth/callback', async (req, res) => {
+      const { code, state, error } = req.query;
+      if (error) {
+        res.status(400).json({ success: false, error: `Authorization denied: ${error}` });
+        return;
+      }
+      if (!code || !this.auth.consumeState(state)) {
+        res.status(400).json({ success: false, error: 'Missing code or invalid/expired state - restart at /oauth/start' });
+        return;
+      }
+      try {
+        const tokens = await this.auth.exchangeCode(code);
+        res.json({
+          success: true,
+          message: 'TickTick authorized ✅ Tokens saved, you can close this window.',
+          expires_at: tokens.expires_at
+        });
+      } catch (error) {
+        res.status(502).json({ success: false, error: error.message });
+      }
+    });
+
     // Original MCP endpoint (preserved for Claude Desktop compatibility)
     app.post('/mcp', async (req, res) => {
       try {
@@ -866,259 +2686,31 @@ class TickTickMCPServer {
       }
     });
 
-    // REST API endpoints for ALL 130+ tools (GENSPARK COMPATIBILITY)
-    
-    // Core Task Management
-    app.post('/api/ticktick/projects', async (req, res) => {
-      try {
-        const result = await this.getProjects(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/projects/create', async (req, res) => {
-      try {
-        const result = await this.createProject(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tasks/create', async (req, res) => {
-      try {
-        const result = await this.createTask(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tasks/update', async (req, res) => {
-      try {
-        const result = await this.updateTask(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tasks/delete', async (req, res) => {
-      try {
-        const result = await this.deleteTask(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tasks/complete', async (req, res) => {
-      try {
-        const result = await this.completeTask(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tasks/details', async (req, res) => {
-      try {
-        const result = await this.getTaskDetails(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Cache System (BREAKTHROUGH FEATURE)
-    app.post('/api/ticktick/cache/tasks', async (req, res) => {
-      try {
-        const result = await this.getCachedTasks(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/cache/register', async (req, res) => {
-      try {
-        const result = await this.registerTaskId(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/cache/import-csv', async (req, res) => {
-      try {
-        const result = await this.importFromCsv(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Habits & Tracking
-    app.post('/api/ticktick/habits', async (req, res) => {
-      try {
-        const result = await this.getHabits(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/habits/create', async (req, res) => {
-      try {
-        const result = await this.createHabit(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/habits/checkin', async (req, res) => {
-      try {
-        const result = await this.checkinHabit(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Focus & Productivity
-    app.post('/api/ticktick/focus/start', async (req, res) => {
-      try {
-        const result = await this.startFocusSession(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/focus/stats', async (req, res) => {
-      try {
-        const result = await this.getFocusStats(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Tags & Organization
-    app.post('/api/ticktick/tags', async (req, res) => {
-      try {
-        const result = await this.getTags(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tags/create', async (req, res) => {
-      try {
-        const result = await this.createTag(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tags/add-to-task', async (req, res) => {
-      try {
-        const result = await this.addTagToTask(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Tasks by Time
-    app.post('/api/ticktick/tasks/today', async (req, res) => {
-      try {
-        const result = await this.getTodayTasks(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/tasks/overdue', async (req, res) => {
-      try {
-        const result = await this.getOverdueTasks(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Analytics & Reporting  
-    app.post('/api/ticktick/reports/productivity', async (req, res) => {
-      try {
-        const result = await this.getProductivityReport(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Project Management
-    app.post('/api/ticktick/projects/archive', async (req, res) => {
-      try {
-        const result = await this.archiveProject(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/projects/duplicate', async (req, res) => {
-      try {
-        const result = await this.duplicateProject(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Calendar Integration
-    app.post('/api/ticktick/calendar/events', async (req, res) => {
-      try {
-        const result = await this.getCalendarEvents(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    app.post('/api/ticktick/calendar/create-event', async (req, res) => {
-      try {
-        const result = await this.createCalendarEvent(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
-
-    // Collaboration  
-    app.post('/api/ticktick/projects/share', async (req, res) => {
-      try {
-        const result = await this.shareProject(req.body);
-        res.json({ success: true, data: result });
-      } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-      }
-    });
+    // REST API endpoints generated from the tool registry (GENSPARK COMPATIBILITY)
+    for (const tool of TOOL_DEFINITIONS.filter(t => t.rest)) {
+      app.post(tool.rest, async (req, res) => {
+        try {
+          const result = await this.callTool(tool.name, this.restArguments(req));
+          this.sendRestResult(req, res, result);
+        } catch (error) {
+          this.sendRestError(res, error);
+        }
+      });
+    }
 
-    // Notes & Attachments
-    app.post('/api/ticktick/tasks/add-note', async (req, res) => {
+    // Read-only view of the operation journal for dashboards and curl
+    app.get('/api/ticktick/history', async (req, res) => {
       try {
-        const result = await this.addTaskNote(req.body);
-        res.json({ success: true, data: result });
+        const { limit, tool, include_undone } = req.query;
+        const args = {
+          ...(limit !== undefined ? { limit: Number(limit) } : {}),
+          ...(tool ? { tool } : {}),
+          ...(include_undone !== undefined ? { include_undone: include_undone !== 'false' } : {})
+        };
+        const result = await this.callTool('ticktick_history', args);
+        this.sendRestResult(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.sendRestError(res, error);
       }
     });
 
@@ -1126,20 +2718,10 @@ class TickTickMCPServer {
     app.post('/api/ticktick/execute/:toolName', async (req, res) => {
       try {
         const { toolName } = req.params;
-        const args = req.body;
-        
-        // Execute the tool via MCP
-        const request = {
-          params: {
-            name: toolName,
-            arguments: args
-          }
-        };
-        
-        const result = await this.server._requestHandlers.get('tools/call')?.handler(request);
-        res.json({ success: true, tool: toolName, data: result });
+        const result = await this.callTool(toolName, this.restArguments(req));
+        this.sendRestResult(req, res, result, { tool: toolName });
       } catch (error) {
-        res.status(500).json({ success: false, tool: req.params.toolName, error: error.message });
+        this.sendRestError(res, error, { tool: req.params.toolName });
       }
     });
 
@@ -1148,48 +2730,44 @@ class TickTickMCPServer {
       res.json({
         message: 'TickTick MCP Server - API Documentation',
         base_url: `http://localhost:${port}`,
+        tools_count: TOOL_DEFINITIONS.length,
+        categories: getToolCategories(),
         endpoints: {
-          health: 'GET /',
+          health: 'GET /health',
+          status: 'GET /',
           mcp_protocol: 'POST /mcp',
-          
-          // Core endpoints
-          projects: 'POST /api/ticktick/projects',
-          create_project: 'POST /api/ticktick/projects/create',
-          create_task: 'POST /api/ticktick/tasks/create',
-          update_task: 'POST /api/ticktick/tasks/update',
-          complete_task: 'POST /api/ticktick/tasks/complete',
-          
-          // Cache system  
-          cached_tasks: 'POST /api/ticktick/cache/tasks',
-          register_task: 'POST /api/ticktick/cache/register',
-          import_csv: 'POST /api/ticktick/cache/import-csv',
-          
-          // Habits & focus
-          habits: 'POST /api/ticktick/habits',
-          focus_start: 'POST /api/ticktick/focus/start',
-          
-          // Generic execution
-          execute_any_tool: 'POST /api/ticktick/execute/{toolName}'
+          execute_any_tool: 'POST /api/ticktick/execute/{toolName}',
+          history: 'GET /api/ticktick/history?limit=&tool=&include_undone='
         },
+        tools: TOOL_DEFINITIONS.map(tool => ({
+          name: tool.name,
+          category: tool.category,
+          description: tool.description,
+          rest: tool.rest ? `POST ${tool.rest}` : null,
+          execute: `POST /api/ticktick/execute/${tool.name}`,
+          required: tool.inputSchema.required || [],
+          mutating: tool.mutating === true
+        })),
         features: [
           'Full MCP Protocol Support',
-          '130+ TickTick Operations', 
           'Task Caching System',
           'REST API Compatibility',
           'Genspark Integration Ready'
         ],
         authentication: {
-          method: 'Bearer Token',
-          token: TICKTICK_ACCESS_TOKEN ? 'Configured ✅' : 'Missing ❌'
+          ...this.auth.describe(),
+          token: this.auth.hasToken() ? 'Configured ✅' : 'Missing ❌',
+          oauth_start: 'GET /oauth/start',
+          oauth_callback: 'GET /oauth/callback'
         }
       });
     });
 
     // 404 handler
-    app.use('*', (req, res) => {
+    app.use((req, res) => {
       res.status(404).json({ 
         error: 'Endpoint not found',
-        available_endpoints: ['/health', '/', '/mcp', '/api/docs'],
+        available_endpoints: ['/health', '/', '/mcp', '/api/docs', '/oauth/start'],
         suggestion: 'Visit /api/docs for full API documentation'
       });
     });
@@ -1201,11 +2779,36 @@ class TickTickMCPServer {
       console.log(`📚 API docs: http://localhost:${port}/api/docs`);
       console.log(`🔧 MCP endpoint: http://localhost:${port}/mcp`);
       console.log(`🎯 Genspark compatible: ✅`);
-      console.log(`🔑 TickTick API token: ${TICKTICK_ACCESS_TOKEN ? '✅ Configured' : '❌ Missing'}`);
+      console.log(`🔑 TickTick API token: ${this.auth.hasToken() ? '✅ Configured' : `❌ Missing (authorize at http://localhost:${port}/oauth/start)`}`);
     });
   }
 }
 
+// Transport selection: --transport stdio|http|both (or MCP_TRANSPORT), defaults to http
+function parseTransport(argv) {
+  let transport = process.env.MCP_TRANSPORT || 'http';
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--transport') {
+      transport = argv[i + 1];
+    } else if (argv[i].startsWith('--transport=')) {
+      transport = argv[i].slice('--transport='.length);
+    }
+  }
+  if (!TRANSPORT_MODES.includes(transport)) {
+    console.error(`Invalid transport "${transport}" - expected one of: ${TRANSPORT_MODES.join(', ')}`);
+    process.exit(1);
+  }
+  return transport;
+}
+
+const transport = parseTransport(process.argv.slice(2));
+
+// stdout carries the MCP protocol stream in stdio mode, so all logging goes to stderr
+if (transport !== 'http') {
+  console.log = (...args) => console.error(...args);
+  console.info = (...args) => console.error(...args);
+}
+
 // Start server
 const server = new TickTickMCPServer();
-server.run().catch(console.error);
+server.run(transport).catch(console.error);
@@ -0,0 +1,132 @@
+/**
+ * Operation journal - an on-disk log of mutating tool calls for ticktick_undo
+ *
+ * Every entry keeps the tool name, its arguments and each write call it made
+ * with the target's snapshot from before the call:
+ *   { id, tool, arguments, status, started_at, finished_at, error, calls: [{ method, endpoint, body, before, result }] }
+ *
+ * status is 'applied', 'partial' (the tool failed after some writes went through)
+ * or 'undone'. The journal keeps the newest maxEntries operations.
+ */
+
+import crypto from 'crypto';
+
+export function createEmptyJournal() {
+  return { operations: [] };
+}
+
+// Name the kind of change a recorded write call made, so undo knows how to reverse it
+export function classifyCall({ method, endpoint }) {
+  if (method === 'POST' && endpoint === '/task') return 'create_task';
+  if (method === 'POST' && /^\/task\/[^/]+$/.test(endpoint)) return 'update_task';
+  if (method === 'POST' && /^\/project\/[^/]+\/task\/[^/]+\/complete$/.test(endpoint)) return 'complete_task';
+  if (method === 'DELETE' && /^\/project\/[^/]+\/task\/[^/]+$/.test(endpoint)) return 'delete_task';
+  if (method === 'POST' && endpoint === '/project') return 'create_project';
+  if (method === 'POST' && /^\/project\/[^/]+$/.test(endpoint)) return 'update_project';
+  if (method === 'DELETE' && /^\/project\/[^/]+$/.test(endpoint)) return 'delete_project';
+  return null;
+}
+
+// Where task and project IDs live: fields of API objects (tasks, projects, project data)
+// and tool arguments like task_id, to_project_id or task_ids
+const API_ID_FIELDS = ['id', 'projectId', 'parentId', 'taskId'];
+const isArgumentIdField = key => /(^|_)ids?$/.test(key);
+
+function remapId(id, remaps) {
+  return typeof id === 'string' && Object.hasOwn(remaps, id) ? remaps[id] : id;
+}
+
+// Copy of value with the ID fields (as told by isIdField) swapped, at any depth
+function remapFields(value, remaps, isIdField) {
+  if (Array.isArray(value)) return value.map(item => remapFields(item, remaps, isIdField));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+    if (!isIdField(key)) return [key, remapFields(field, remaps, isIdField)];
+    return [key, Array.isArray(field) ? field.map(id => remapId(id, remaps)) : remapId(field, remaps)];
+  }));
+}
+
+// Point an entry at the new IDs of objects undo recreated. Only ID fields and endpoint
+// path segments change; titles and other text that happen to contain an ID stay as they are
+export function remapIds(entry, remaps) {
+  const isApiIdField = key => API_ID_FIELDS.includes(key);
+  return {
+    ...entry,
+    arguments: remapFields(entry.arguments, remaps, isArgumentIdField),
+    calls: entry.calls.map(call => ({
+      ...call,
+      endpoint: call.endpoint.split('/').map(segment => remapId(segment, remaps)).join('/'),
+      body: remapFields(call.body, remaps, isApiIdField),
+      before: remapFields(call.before, remaps, isApiIdField),
+      result: remapFields(call.result, remaps, isApiIdField)
+    }))
+  };
+}
+
+export function isUndoable(entry) {
+  return entry.status !== 'undone' && entry.calls.some(call => classifyCall(call));
+}
+
+export class OperationJournal {
+  constructor({ store, maxEntries = 200 }) {
+    this.store = store;
+    this.maxEntries = maxEntries;
+  }
+
+  async record(operation, args, error = null) {
+    const { dry_run, ...recordedArgs } = args || {};
+    const entry = {
+      id: `op-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      tool: operation.tool,
+      arguments: recordedArgs,
+      status: error ? 'partial' : 'applied',
+      started_at: operation.startedAt,
+      finished_at: new Date().toISOString(),
+      error: error ? error.message : null,
+      calls: operation.calls.map(({ method, endpoint, body, before, result }) => ({ method, endpoint, body, before, result }))
+    };
+
+    await this.store.update(journal => {
+      journal.operations = [...(journal.operations || []), entry].slice(-this.maxEntries);
+    });
+    return entry;
+  }
+
+  // Newest first
+  async list({ limit = 20, tool = null, includeUndone = true } = {}) {
+    const journal = await this.store.read();
+    return (journal.operations || [])
+      .filter(entry => (!tool || entry.tool === tool) && (includeUndone || entry.status !== 'undone'))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  async find(id) {
+    const journal = await this.store.read();
+    return (journal.operations || []).find(entry => entry.id === id) || null;
+  }
+
+  async latestUndoable(count) {
+    const journal = await this.store.read();
+    return (journal.operations || []).filter(isUndoable).reverse().slice(0, count);
+  }
+
+  // Entries that haven't been undone follow recreated objects to their new IDs
+  async remapIds(remaps) {
+    await this.store.update(journal => {
+      journal.operations = (journal.operations || []).map(entry =>
+        entry.status === 'undone' ? entry : remapIds(entry, remaps)
+      );
+    });
+  }
+
+  async markUndone(id, undo) {
+    await this.store.update(journal => {
+      const entry = (journal.operations || []).find(item => item.id === id);
+      if (entry) {
+        entry.status = 'undone';
+        entry.undo = { ...undo, undone_at: new Date().toISOString() };
+      }
+    });
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Operation context - per-tool-call state carried through async calls
+ *
+ * callTool() runs every mutating tool inside an operation. Code deep in the call
+ * (makeApiRequest, the cache store) reads it with currentOperation() instead of
+ * threading it through every handler:
+ * - writes (any non-GET request) are recorded with the target's before/after
+ * - in dry-run mode writes are simulated and cache updates are applied to a
+ *   throwaway copy, so nothing leaves the process
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export function createOperation(tool, { dryRun = false, progress = null } = {}) {
+  return {
+    tool,
+    dryRun,
+    // (done, total, message) => void when the caller asked for progress notifications
+    progress,
+    startedAt: new Date().toISOString(),
+    calls: [],
+    // GET results seen during the operation, reused as before-snapshots
+    reads: new Map(),
+    cacheWrites: 0,
+    // An array while cache updates are being collected for one combined write
+    cacheBuffer: null,
+    simulatedIds: 0
+  };
+}
+
+export function runInOperation(operation, fn) {
+  return storage.run(operation, fn);
+}
+
+export function currentOperation() {
+  return storage.getStore() || null;
+}
+
+// Report progress of a long-running tool to the caller, if it asked for it. A failed
+// notification must never fail the tool
+export async function reportProgress(done, total, message) {
+  const progress = currentOperation()?.progress;
+  if (!progress) return;
+  try {
+    await progress(done, total, message);
+  } catch (error) {
+    console.warn('Failed to send progress notification:', error.message);
+  }
+}
+
+// The GET endpoint that returns the object a write call changes (null for creates)
+export function snapshotEndpoint(method, endpoint, data) {
+  let match = endpoint.match(/^\/project\/([^/]+)\/task\/([^/]+)(?:\/complete)?$/);
+  if (match) return `/project/${match[1]}/task/${match[2]}`;
+
+  match = endpoint.match(/^\/task\/([^/]+)$/);
+  if (match) return data?.projectId ? `/project/${data.projectId}/task/${match[1]}` : null;
+
+  // A deleted project is snapshotted with its tasks so undo can recreate both
+  match = endpoint.match(/^\/project\/([^/]+)$/);
+  if (match && method === 'DELETE') return `/project/${match[1]}/data`;
+  if (match && method !== 'GET') return `/project/${match[1]}`;
+
+  return null;
+}
+
+// A GET result from earlier in the operation for the target, if any. A move changes
+// projectId, so a task snapshot may have been read under its old project
+export function findSnapshot(operation, target) {
+  if (operation.reads.has(target)) return operation.reads.get(target);
+  const taskId = target.match(/\/task\/([^/]+)$/)?.[1];
+  if (taskId) {
+    for (const [endpoint, value] of operation.reads) {
+      if (endpoint.endsWith(`/task/${taskId}`)) return value;
+    }
+  }
+  return undefined;
+}
+
+// What the target looks like after the call, as far as we can tell without sending it
+export function predictAfter(method, endpoint, before, data) {
+  if (method === 'DELETE') return null;
+  if (endpoint.endsWith('/complete')) {
+    return { ...(before || {}), status: 2, completedTime: new Date().toISOString() };
+  }
+  return { ...(before || {}), ...(data || {}) };
+}
+
+// Stand-in for the API response of a write that was not sent
+export function simulateResponse(operation, call) {
+  if (call.method === 'DELETE' || call.endpoint.endsWith('/complete')) return null;
+  return {
+    ...call.after,
+    id: call.after?.id || `dry-run-${++operation.simulatedIds}`
+  };
+}
+
+// Collect every cache update made by fn and apply them in one store.update()
+export async function withBufferedCache(store, fn) {
+  const operation = currentOperation();
+  operation.cacheBuffer = [];
+  try {
+    return await fn();
+  } finally {
+    const mutators = operation.cacheBuffer;
+    operation.cacheBuffer = null;
+    if (mutators.length > 0) {
+      await store.update(doc => {
+        for (const mutator of mutators) mutator(doc);
+      });
+    }
+  }
+}
+
+// Store wrapper: inside a dry-run operation, update() mutates a copy and write() is skipped.
+// While an operation buffers cache updates, update() queues the mutator and returns undefined,
+// and read() returns the cache with the queued mutators applied
+export function guardStore(store) {
+  return {
+    open: () => store.open(),
+    close: () => store.close(),
+    describe: () => store.describe(),
+
+    // Reads inside a buffering operation see its pending updates, so a later step can
+    // find what an earlier one cached (a batch update by task_query of a task it just created)
+    async read() {
+      const pending = currentOperation()?.cacheBuffer;
+      const doc = await store.read();
+      if (!pending?.length) return doc;
+      const copy = structuredClone(doc);
+      for (const mutator of pending) mutator(copy);
+      return copy;
+    },
+
+    async update(mutator) {
+      const operation = currentOperation();
+      if (operation?.cacheBuffer) {
+        operation.cacheBuffer.push(mutator);
+        return undefined;
+      }
+      if (!operation?.dryRun) return store.update(mutator);
+      operation.cacheWrites++;
+      const copy = structuredClone(await store.read());
+      return await mutator(copy);
+    },
+
+    async write(doc) {
+      const operation = currentOperation();
+      if (!operation?.dryRun) return store.write(doc);
+      operation.cacheWrites++;
+    }
+  };
+}
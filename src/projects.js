@@ -0,0 +1,78 @@
+/**
+ * Project helpers - delete confirmation tokens and deep copies of tasks
+ *
+ * Deleting a project takes two calls: the first returns what would be lost and
+ * a confirmation token, the second passes the token back. The token is bound to
+ * the project, its current tasks and an expiry, so it goes stale when the project
+ * changes in between; it guards against accidents, not attackers.
+ *
+ * Copies of tasks keep title, content, priority, tags, schedule and checklist
+ * items (with new item IDs); dates can be shifted by whole days.
+ */
+
+import crypto from 'crypto';
+import { isValidTimeZone, shiftDate } from './dates.js';
+import { newItemId } from './checklist.js';
+
+export const DELETE_TOKEN_TTL_MS = 10 * 60 * 1000;
+export const PROJECT_VIEW_MODES = ['list', 'kanban', 'timeline'];
+export const PROJECT_KINDS = ['TASK', 'NOTE'];
+
+// Fields of an Open API task that belong to the original only
+const TASK_IDENTITY_FIELDS = ['id', 'projectId', 'etag', 'createdTime', 'modifiedTime', 'completedTime', 'status', 'sortOrder', 'columnId'];
+
+function tokenDigest(projectId, taskIds, expiresAt) {
+  return crypto
+    .createHash('sha256')
+    .update([projectId, ...[...taskIds].sort(), expiresAt].join('|'))
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+export function createDeleteToken(projectId, taskIds, now = Date.now()) {
+  const expiresAt = now + DELETE_TOKEN_TTL_MS;
+  return `${expiresAt.toString(36)}.${tokenDigest(projectId, taskIds, expiresAt)}`;
+}
+
+// null when the token is valid, otherwise why it isn't
+export function checkDeleteToken(token, projectId, taskIds, now = Date.now()) {
+  const [expiry, digest] = String(token).split('.');
+  const expiresAt = parseInt(expiry, 36);
+  if (!digest || Number.isNaN(expiresAt)) return 'it is malformed';
+  if (expiresAt < now) return 'it has expired';
+  if (digest !== tokenDigest(projectId, taskIds, expiresAt)) return 'it was issued for another project or the project\'s tasks have changed since';
+  return null;
+}
+
+// A new open task in projectId with the same content; dates move by shiftDays in the task's own timezone
+export function copyTask(task, projectId, { shiftDays = 0, timeZone }) {
+  const copy = Object.fromEntries(Object.entries(task).filter(([field]) => !TASK_IDENTITY_FIELDS.includes(field)));
+  const zone = task.timeZone && isValidTimeZone(task.timeZone) ? task.timeZone : timeZone;
+  const shift = value => (value && shiftDays ? shiftDate(value, shiftDays, zone) : value);
+
+  return {
+    ...copy,
+    projectId,
+    ...(task.dueDate ? { dueDate: shift(task.dueDate) } : {}),
+    ...(task.startDate ? { startDate: shift(task.startDate) } : {}),
+    tags: [...(task.tags || [])],
+    items: (task.items || []).map(item => ({
+      ...item,
+      id: newItemId(),
+      ...(item.startDate ? { startDate: shift(item.startDate) } : {})
+    }))
+  };
+}
+
+// Parents before their subtasks, so a subtask's parentId can be mapped to the new parent
+export function parentsFirst(tasks) {
+  const ids = new Set(tasks.map(task => task.id));
+  const depth = task => {
+    let level = 0;
+    for (let current = task; current?.parentId && ids.has(current.parentId) && level < tasks.length; level++) {
+      current = tasks.find(candidate => candidate.id === current.parentId);
+    }
+    return level;
+  };
+  return [...tasks].sort((a, b) => depth(a) - depth(b));
+}
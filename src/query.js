@@ -0,0 +1,474 @@
+/**
+ * Task query language - filter, sort, group and page synced task data
+ *
+ * A query is a boolean expression over task fields:
+ *   priority>=3 AND tag:work AND due<=+7d AND NOT completed
+ *   (project:Home OR tag:errands) has:checklist "milk"
+ *
+ * - AND / OR / NOT (case-insensitive) and parentheses; terms next to each other are ANDed
+ * - field:value, field=value, field!=value, field<value, <=, >, >=
+ * - bare flags: completed, open, overdue, recurring, all_day
+ * - anything else (a word or "quoted phrase") matches title or content
+ *
+ * Dates compare as local days in the configured timezone and accept YYYY-MM-DD,
+ * today, tomorrow, yesterday, relative offsets (+7d, -2w, +1m, +1y) and none.
+ * Queries run over normalized rows (see normalizeTask); entries that were only
+ * registered by ID have just an id, title and project.
+ */
+
+import crypto from 'crypto';
+import { todayInZone, addDays, addMonths, compareDates, daysBetween, parseLocalDate, localDayOf, taskDayZone } from './dates.js';
+
+// index is the 0-based offset into the query; position (and the message) count characters from 1
+export class QueryError extends Error {
+  constructor(message, index = null) {
+    const position = index === null ? null : index + 1;
+    super(position === null ? message : `${message} (at character ${position})`);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+const PRIORITY_NAMES = { none: 0, low: 1, medium: 3, med: 3, high: 5 };
+const DATE_FIELDS = { due: 'due_date', start: 'start_date', completed_at: 'completed_time', created: 'created_time', modified: 'modified_time' };
+const TEXT_FIELDS = ['title', 'content'];
+const FLAGS = ['completed', 'open', 'overdue', 'recurring', 'all_day'];
+const HAS_FIELDS = {
+  due: row => Boolean(row.due_date),
+  start: row => Boolean(row.start_date),
+  tags: row => row.tags.length > 0,
+  checklist: row => Boolean(row.checklist?.total),
+  content: row => Boolean(row.content),
+  reminders: row => row.reminders.length > 0,
+  recurrence: row => Boolean(row.recurrence)
+};
+
+export const QUERY_FIELDS = ['priority', 'tag', 'project', 'status', 'has', 'is', ...TEXT_FIELDS, ...Object.keys(DATE_FIELDS)];
+
+export const OUTPUT_FIELDS = [
+  'id', 'title', 'project_id', 'project_name', 'content', 'priority', 'status', 'completed',
+  'due_date', 'start_date', 'is_all_day', 'time_zone', 'tags', 'checklist', 'reminders',
+  'recurrence', 'completed_time', 'created_time', 'modified_time', 'cached_at', 'synced'
+];
+export const DEFAULT_OUTPUT_FIELDS = ['id', 'title', 'project_id', 'priority', 'due_date', 'tags', 'completed'];
+
+export const SORT_FIELDS = {
+  due: row => row.due_date && Date.parse(row.due_date),
+  start: row => row.start_date && Date.parse(row.start_date),
+  priority: row => row.priority,
+  title: row => row.title?.toLowerCase(),
+  project: row => (row.project_name || row.project_id || '').toLowerCase(),
+  created: row => row.created_time && Date.parse(row.created_time),
+  modified: row => row.modified_time && Date.parse(row.modified_time),
+  completed: row => row.completed_time && Date.parse(row.completed_time)
+};
+
+export const GROUP_FIELDS = ['project', 'tag', 'due', 'priority'];
+export const DUE_BUCKETS = ['overdue', 'today', 'tomorrow', 'next_7_days', 'later', 'no_date'];
+
+// Rows
+
+// One flat row per cache entry, from the mirrored task when there is one
+export function normalizeTask(id, entry, { projects = {} } = {}) {
+  const task = entry.task || {};
+  const projectId = task.projectId ?? entry.project_id ?? null;
+  const status = task.status ?? 0;
+  const items = task.items || [];
+  return {
+    id,
+    title: task.title ?? entry.title ?? '',
+    project_id: projectId,
+    project_name: projects[projectId]?.name || null,
+    content: task.content || task.desc || '',
+    priority: task.priority ?? 0,
+    status,
+    completed: status === 2,
+    due_date: task.dueDate || null,
+    start_date: task.startDate || null,
+    is_all_day: Boolean(task.isAllDay),
+    time_zone: task.timeZone || null,
+    tags: task.tags || [],
+    checklist: items.length ? { checked: items.filter(item => item.status === 1).length, total: items.length } : null,
+    reminders: task.reminders || [],
+    recurrence: task.repeatFlag || null,
+    completed_time: task.completedTime || null,
+    created_time: task.createdTime || null,
+    modified_time: task.modifiedTime || null,
+    cached_at: entry.cached_at || null,
+    synced: Boolean(entry.task)
+  };
+}
+
+// The local day of an instant; all-day dates are read in the task's own timezone
+export function localDay(value, row, timeZone) {
+  return localDayOf(value, taskDayZone({ isAllDay: row.is_all_day, timeZone: row.time_zone }, timeZone));
+}
+
+export function isOverdue(row, { today, now, timeZone }) {
+  if (row.completed || !row.due_date) return false;
+  if (row.is_all_day) return compareDates(localDay(row.due_date, row, timeZone), today) < 0;
+  return Date.parse(row.due_date) < now.getTime();
+}
+
+export function dueBucket(row, context) {
+  if (!row.due_date) return 'no_date';
+  if (isOverdue(row, context)) return 'overdue';
+  const days = daysBetween(context.today, localDay(row.due_date, row, context.timeZone));
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days <= 7) return 'next_7_days';
+  return 'later';
+}
+
+// Parsing
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new QueryError('Unterminated quoted string', i);
+      tokens.push({ type: 'string', value: text.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else {
+      const start = i;
+      // A quoted value belongs to its field: title:"weekly review"
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          if (end === -1) throw new QueryError('Unterminated quoted string', i);
+          i = end + 1;
+        } else {
+          i++;
+        }
+      }
+      tokens.push({ type: 'word', value: text.slice(start, i), position: start });
+    }
+  }
+  return tokens;
+}
+
+function keyword(token) {
+  return token?.type === 'word' ? token.value.toUpperCase() : null;
+}
+
+class QueryParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  parse() {
+    if (!this.tokens.length) return { type: 'all' };
+    const node = this.parseOr();
+    if (this.index < this.tokens.length) {
+      const token = this.tokens[this.index];
+      throw new QueryError(`Unexpected "${token.value ?? token.type}"`, token.position);
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  parseOr() {
+    const nodes = [this.parseAnd()];
+    while (keyword(this.peek()) === 'OR') {
+      this.index++;
+      nodes.push(this.parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+
+  parseAnd() {
+    const nodes = [this.parseNot()];
+    for (;;) {
+      const token = this.peek();
+      if (!token || token.type === ')' || keyword(token) === 'OR') break;
+      if (keyword(token) === 'AND') this.index++;
+      nodes.push(this.parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+
+  parseNot() {
+    const token = this.peek();
+    if (keyword(token) === 'NOT') {
+      this.index++;
+      return { type: 'not', node: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      const last = this.tokens[this.tokens.length - 1];
+      throw new QueryError('Query ends where a term was expected', last ? last.position : 0);
+    }
+    this.index++;
+
+    if (token.type === '(') {
+      const node = this.parseOr();
+      if (this.peek()?.type !== ')') throw new QueryError('Missing closing parenthesis', token.position);
+      this.index++;
+      return node;
+    }
+    if (token.type === ')') throw new QueryError('Unexpected ")"', token.position);
+    if (token.type === 'string') return { type: 'text', value: token.value.toLowerCase() };
+    if (['AND', 'OR'].includes(keyword(token))) throw new QueryError(`"${token.value}" needs a term before it`, token.position);
+
+    const match = /^([a-z_]+)(<=|>=|!=|:|=|<|>)(.*)$/i.exec(token.value);
+    if (match && QUERY_FIELDS.includes(match[1].toLowerCase())) {
+      return parseComparison(match[1].toLowerCase(), match[2], unquote(match[3]), token.position);
+    }
+    if (FLAGS.includes(token.value.toLowerCase())) return { type: 'flag', flag: token.value.toLowerCase() };
+    // "re:meeting" is text, but "prio>3" is a typo worth reporting
+    if (match && match[2] !== ':') {
+      throw new QueryError(`Unknown field "${match[1]}" - use ${QUERY_FIELDS.join(', ')}`, token.position);
+    }
+    return { type: 'text', value: token.value.toLowerCase() };
+  }
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') && value.length >= 2 ? value.slice(1, -1) : value;
+}
+
+function parseComparison(field, operator, value, position) {
+  if (value === '') throw new QueryError(`${field}${operator} needs a value`, position);
+  const ordered = ['<', '<=', '>', '>='].includes(operator);
+
+  if (field === 'priority') {
+    const number = value.toLowerCase() in PRIORITY_NAMES ? PRIORITY_NAMES[value.toLowerCase()] : Number(value);
+    if (!Number.isFinite(number)) throw new QueryError(`Invalid priority "${value}" - use 0-5 or none/low/medium/high`, position);
+    return { type: 'compare', field, operator, value: number };
+  }
+  if (field in DATE_FIELDS) {
+    if (value.toLowerCase() === 'none') {
+      if (ordered) throw new QueryError(`${field}${operator}none makes no sense - use ${field}:none or ${field}!=none`, position);
+      return { type: 'compare', field, operator, value: null };
+    }
+    if (!isDateValue(value)) {
+      throw new QueryError(`Invalid date "${value}" - use YYYY-MM-DD, today, tomorrow, yesterday, +Nd/w/m/y or none`, position);
+    }
+    return { type: 'compare', field, operator, value };
+  }
+  if (ordered) throw new QueryError(`${field} can't be compared with ${operator}`, position);
+
+  if (field === 'has' || field === 'is') {
+    const known = field === 'has' ? Object.keys(HAS_FIELDS) : FLAGS;
+    if (!known.includes(value.toLowerCase())) {
+      throw new QueryError(`Unknown ${field}:${value} - use ${known.join(', ')}`, position);
+    }
+    const node = field === 'has' ? { type: 'has', what: value.toLowerCase() } : { type: 'flag', flag: value.toLowerCase() };
+    return operator === '!=' ? { type: 'not', node } : node;
+  }
+  if (field === 'status' && !['open', 'completed', '0', '2'].includes(value.toLowerCase())) {
+    throw new QueryError(`Invalid status "${value}" - use open or completed`, position);
+  }
+  return { type: 'compare', field, operator, value: value.toLowerCase() };
+}
+
+function isDateValue(value) {
+  return Boolean(resolveDateValue(value, { year: 2000, month: 1, day: 1 }));
+}
+
+function resolveDateValue(value, today) {
+  const text = value.toLowerCase();
+  if (text === 'today') return today;
+  if (text === 'tomorrow') return addDays(today, 1);
+  if (text === 'yesterday') return addDays(today, -1);
+  const relative = /^([+-])(\d+)([dwmy])$/.exec(text);
+  if (relative) {
+    const amount = Number(relative[2]) * (relative[1] === '-' ? -1 : 1);
+    if (relative[3] === 'd') return addDays(today, amount);
+    if (relative[3] === 'w') return addDays(today, amount * 7);
+    if (relative[3] === 'm') return addMonths(today, amount);
+    return addMonths(today, amount * 12);
+  }
+  return parseLocalDate(value);
+}
+
+export function parseQuery(text = '') {
+  return new QueryParser(String(text)).parse();
+}
+
+// Evaluation
+
+function compareOrdered(actual, operator, expected) {
+  switch (operator) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+}
+
+function tagMatches(tag, pattern) {
+  const value = tag.toLowerCase();
+  return pattern.endsWith('*') ? value.startsWith(pattern.slice(0, -1)) : value === pattern;
+}
+
+function evaluateCompare({ field, operator, value }, row, context) {
+  if (field === 'priority') return compareOrdered(row.priority, operator, value);
+
+  if (field in DATE_FIELDS) {
+    const day = localDay(row[DATE_FIELDS[field]], row, context.timeZone);
+    if (value === null) return operator === '!=' ? Boolean(day) : !day;
+    if (!day) return false;
+    const sign = Math.sign(compareDates(day, resolveDateValue(value, context.today)));
+    return compareOrdered(sign, operator === ':' ? '=' : operator, 0);
+  }
+
+  if (field === 'tag') {
+    const has = row.tags.some(tag => tagMatches(tag, value));
+    return operator === '!=' ? !has : has;
+  }
+
+  if (field === 'project') {
+    const same = [row.project_id, row.project_name].some(candidate => candidate?.toLowerCase() === value);
+    return operator === '!=' ? !same : same;
+  }
+
+  if (field === 'status') {
+    const completed = ['completed', '2'].includes(value);
+    return operator === '!=' ? row.completed !== completed : row.completed === completed;
+  }
+
+  // title / content: ':' contains, '=' equals
+  const text = (row[field] || '').toLowerCase();
+  if (operator === '=') return text === value;
+  if (operator === '!=') return !text.includes(value);
+  return text.includes(value);
+}
+
+function evaluateFlag(flag, row, context) {
+  switch (flag) {
+    case 'completed': return row.completed;
+    case 'open': return !row.completed;
+    case 'overdue': return isOverdue(row, context);
+    case 'recurring': return Boolean(row.recurrence);
+    default: return row.is_all_day;
+  }
+}
+
+export function evaluateQuery(node, row, context) {
+  switch (node.type) {
+    case 'all': return true;
+    case 'and': return node.nodes.every(child => evaluateQuery(child, row, context));
+    case 'or': return node.nodes.some(child => evaluateQuery(child, row, context));
+    case 'not': return !evaluateQuery(node.node, row, context);
+    case 'flag': return evaluateFlag(node.flag, row, context);
+    case 'has': return HAS_FIELDS[node.what](row);
+    case 'compare': return evaluateCompare(node, row, context);
+    default: return row.title.toLowerCase().includes(node.value) || row.content.toLowerCase().includes(node.value);
+  }
+}
+
+export function createQueryContext(timeZone, now = new Date()) {
+  return { timeZone, now, today: todayInZone(timeZone, now) };
+}
+
+// Sorting, grouping, paging, projection
+
+// "-priority,due" -> [{ field: 'priority', descending: true }, { field: 'due', descending: false }]
+export function parseSort(spec) {
+  if (!spec) return [];
+  return String(spec).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const descending = part.startsWith('-');
+    const field = part.replace(/^[-+]/, '').toLowerCase();
+    if (!SORT_FIELDS[field]) {
+      throw new QueryError(`Unknown sort field "${field}" - use ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    return { field, descending };
+  });
+}
+
+// Missing values sort last in either direction; ties keep ID order so pages are stable
+export function sortRows(rows, sort) {
+  return [...rows].sort((a, b) => {
+    for (const { field, descending } of sort) {
+      const x = SORT_FIELDS[field](a);
+      const y = SORT_FIELDS[field](b);
+      const xMissing = x === null || x === undefined || x === '';
+      const yMissing = y === null || y === undefined || y === '';
+      if (xMissing || yMissing) {
+        if (xMissing !== yMissing) return xMissing ? 1 : -1;
+        continue;
+      }
+      if (x !== y) return (x < y ? -1 : 1) * (descending ? -1 : 1);
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  });
+}
+
+const PRIORITY_LABELS = { 5: 'high', 3: 'medium', 1: 'low', 0: 'none' };
+
+// [{ key, count, task_ids }] in a stable order; a task with several tags is in each tag's group
+export function groupRows(rows, groupBy, context) {
+  const groups = new Map();
+  const add = (key, row) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row.id);
+  };
+
+  for (const row of rows) {
+    if (groupBy === 'project') add(row.project_name || row.project_id || '(no project)', row);
+    else if (groupBy === 'priority') add(PRIORITY_LABELS[row.priority] || String(row.priority), row);
+    else if (groupBy === 'due') add(dueBucket(row, context), row);
+    else if (row.tags.length) row.tags.forEach(tag => add(tag, row));
+    else add('(no tag)', row);
+  }
+
+  const order = groupBy === 'due' ? DUE_BUCKETS : groupBy === 'priority' ? ['high', 'medium', 'low', 'none'] : null;
+  const keys = [...groups.keys()].sort((a, b) =>
+    order ? order.indexOf(a) - order.indexOf(b) : a.localeCompare(b)
+  );
+  return keys.map(key => ({ key, count: groups.get(key).length, task_ids: groups.get(key) }));
+}
+
+// Cursors carry the offset plus a fingerprint of the query they belong to
+function fingerprint(query, sort) {
+  return crypto.createHash('sha1').update(JSON.stringify([query || '', sort || ''])).digest('hex').slice(0, 12);
+}
+
+export function encodeCursor(offset, query, sort) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint(query, sort) })).toString('base64url');
+}
+
+export function decodeCursor(cursor, query, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new QueryError('Malformed cursor - pass next_cursor from an earlier result unchanged');
+  }
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) throw new QueryError('Malformed cursor - pass next_cursor from an earlier result unchanged');
+  if (decoded.f !== fingerprint(query, sort)) {
+    throw new QueryError('Cursor belongs to a different query or sort - start again without cursor');
+  }
+  return decoded.o;
+}
+
+export function projectFields(row, fields) {
+  return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+}
+
+export function validateFields(fields) {
+  const unknown = fields.filter(field => !OUTPUT_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new QueryError(`Unknown field(s) ${unknown.join(', ')} - use ${OUTPUT_FIELDS.join(', ')}`);
+  }
+  return fields;
+}
@@ -0,0 +1,270 @@
+/**
+ * Quick add - parse "Call mom tomorrow 5pm !high #family ^Personal" into task fields
+ *
+ * Recognized tokens (removed from the title):
+ * - priority: !high / !medium / !low / !none (also !h !m !l, !!! !! !)
+ * - tags: #word
+ * - project: ^Name or ^"Multi word name" (the caller resolves it to an ID)
+ * - recurrence: daily, weekly, monthly, yearly, every day/weekday/week/month/year,
+ *   every N days/weeks/months, every monday[, wednesday and friday]
+ * - dates: today, tonight, tomorrow, day after tomorrow, in N days/weeks/months,
+ *   next week/month, [next] monday, YYYY-MM-DD, M/D[/YYYY], Oct 25 [2026], 25 Oct
+ * - times: 5pm, 5:30 pm, 17:00, at 9, noon, midnight, in N hours/minutes
+ *
+ * Dates are resolved in the given timezone. A date without a time is all-day; a
+ * time without a date is today, or tomorrow once that time has passed.
+ */
+
+import {
+  WEEKDAYS, RRULE_WEEKDAYS, zonedParts, zonedTimeToUtc, todayInZone, addDays, addMonths,
+  weekdayOf, daysInMonth, compareDates, formatLocalDate
+} from './dates.js';
+import { formatRRule } from './recurrence.js';
+
+const PRIORITIES = {
+  high: 5, h: 5, '!!': 5,
+  medium: 3, med: 3, m: 3, '!': 3,
+  low: 1, l: 1, '': 1,
+  none: 0
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_PATTERN = '(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)';
+// Without on/next/this only full names count as dates - "sun cream" is not a Sunday
+const FULL_WEEKDAY_PATTERN = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const UNIT_PATTERN = '(days?|weeks?|months?|years?)';
+
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.toLowerCase().slice(0, 3)) + 1;
+}
+
+// Next date (today included unless strictlyAfter) that falls on weekday
+function nextWeekday(from, weekday, strictlyAfter = false) {
+  let offset = (weekday - weekdayOf(from) + 7) % 7;
+  if (offset === 0 && strictlyAfter) offset = 7;
+  return addDays(from, offset);
+}
+
+export class QuickAddParser {
+  constructor({ timeZone = 'UTC', now = () => new Date() } = {}) {
+    this.timeZone = timeZone;
+    this.now = now;
+  }
+
+  parse(input) {
+    const state = {
+      text: ` ${input} `,
+      parsed: [],
+      date: null,
+      time: null,
+      instant: null,
+      priority: undefined,
+      tags: [],
+      project: null,
+      recurrence: null
+    };
+    const nowDate = this.now();
+    const today = todayInZone(this.timeZone, nowDate);
+
+    // Removes the first match of pattern from the text and records what it meant
+    const take = (pattern, handle) => {
+      const match = pattern.exec(state.text);
+      if (!match) return false;
+      const meaning = handle(match);
+      if (meaning === false) return false;
+      state.parsed.push({ token: match[0].trim(), meaning });
+      state.text = state.text.slice(0, match.index) + ' ' + state.text.slice(match.index + match[0].length);
+      return true;
+    };
+
+    take(/\s\^(?:"([^"]+)"|(\S+))(?=\s)/, match => {
+      state.project = match[1] || match[2];
+      return `project "${state.project}"`;
+    });
+
+    while (take(/\s#([\p{L}\p{N}_\-/]+)(?=\s)/u, match => {
+      state.tags.push(match[1]);
+      return `tag ${match[1]}`;
+    }));
+
+    take(/\s!(high|medium|med|low|none|[hml]|!{0,2})(?=\s)/i, match => {
+      state.priority = PRIORITIES[match[1].toLowerCase()];
+      return `priority ${state.priority}`;
+    });
+
+    this.parseRecurrence(state, take);
+    this.parseRelative(state, take, nowDate, today);
+    this.parseDate(state, take, today);
+    this.parseTime(state, take);
+
+    return this.finish(state, nowDate, today, input);
+  }
+
+  parseRecurrence(state, take) {
+    const simple = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' };
+    const units = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+
+    take(new RegExp(`\\s(?:every|each)\\s+${WEEKDAY_PATTERN}((?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*)(?=\\s)`, 'i'), match => {
+      const names = match[0].trim().replace(/^(every|each)\s+/i, '').split(/\s*(?:,|\band\b|&)\s*/i).filter(Boolean);
+      const days = [...new Set(names.map(weekdayIndex))].sort();
+      state.recurrence = { freq: 'WEEKLY', interval: 1, byDay: days.map(day => RRULE_WEEKDAYS[day]) };
+      return `repeats every ${days.map(day => WEEKDAYS[day]).join(', ')}`;
+    }) ||
+    take(/\s(?:every|each)\s+(weekday|workday)s?(?=\s)|\s(weekdays)(?=\s)/i, () => {
+      state.recurrence = { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+      return 'repeats every weekday';
+    }) ||
+    take(new RegExp(`\\s(?:every|each)\\s+(?:(\\d+|other)\\s+)?${UNIT_PATTERN}(?=\\s)`, 'i'), match => {
+      const interval = match[1] === 'other' ? 2 : Number(match[1] || 1);
+      const unit = match[2].toLowerCase().replace(/s$/, '');
+      state.recurrence = { freq: units[unit], interval };
+      return `repeats every ${interval > 1 ? `${interval} ${unit}s` : unit}`;
+    }) ||
+    take(/\s(daily|weekly|monthly|yearly|annually)(?=\s)/i, match => {
+      state.recurrence = { freq: simple[match[1].toLowerCase()], interval: 1 };
+      return `repeats ${match[1].toLowerCase()}`;
+    });
+  }
+
+  parseRelative(state, take, nowDate, today) {
+    take(/\s(?:in\s+)(\d+)\s*(minutes?|mins?|hours?|hrs?|h)(?=\s)/i, match => {
+      const minutes = Number(match[1]) * (/^h/i.test(match[2]) ? 60 : 1);
+      state.instant = new Date(nowDate.getTime() + minutes * 60000);
+      return `in ${match[1]} ${match[2]}`;
+    }) ||
+    take(new RegExp(`\\s(?:in\\s+)(\\d+)\\s*${UNIT_PATTERN}(?=\\s)`, 'i'), match => {
+      const amount = Number(match[1]);
+      const unit = match[2].toLowerCase().replace(/s$/, '');
+      state.date = unit === 'day' ? addDays(today, amount)
+        : unit === 'week' ? addDays(today, amount * 7)
+          : addMonths(today, unit === 'month' ? amount : amount * 12);
+      return `date ${formatLocalDate(state.date)}`;
+    });
+  }
+
+  parseDate(state, take, today) {
+    if (state.date || state.instant) return;
+    const prefix = '(?:(?:on|by|due)\\s+)?';
+
+    take(/\s(?:the\s+)?day\s+after\s+tomorrow(?=\s)/i, () => {
+      state.date = addDays(today, 2);
+      return `date ${formatLocalDate(state.date)}`;
+    }) ||
+    take(/\s(today|tonight|tomorrow|tmrw?|tmr)(?=\s)/i, match => {
+      const word = match[1].toLowerCase();
+      state.date = word === 'today' || word === 'tonight' ? today : addDays(today, 1);
+      if (word === 'tonight' && !state.time) state.time = { hour: 20, minute: 0 };
+      return `date ${formatLocalDate(state.date)}${word === 'tonight' ? ' 20:00' : ''}`;
+    }) ||
+    take(/\snext\s+(week|month)(?=\s)/i, match => {
+      state.date = match[1].toLowerCase() === 'week'
+        ? nextWeekday(today, 1, true)
+        : { ...addMonths(today, 1), day: 1 };
+      return `date ${formatLocalDate(state.date)}`;
+    }) ||
+    // "next friday" skips today when today is Friday
+    take(new RegExp(`\\s(?:(on|by|due|next|this)\\s+${WEEKDAY_PATTERN}|${FULL_WEEKDAY_PATTERN})(?=\\s)`, 'i'), match => {
+      state.date = nextWeekday(today, weekdayIndex(match[2] || match[3]), /^next$/i.test(match[1] || ''));
+      return `date ${formatLocalDate(state.date)}`;
+    }) ||
+    take(new RegExp(`\\s${prefix}(\\d{4})-(\\d{2})-(\\d{2})(?=\\s)`), match => {
+      return this.setDate(state, Number(match[1]), Number(match[2]), Number(match[3]));
+    }) ||
+    take(new RegExp(`\\s${prefix}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?(?=\\s)`), match => {
+      const year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : null;
+      return this.setDate(state, year, Number(match[1]), Number(match[2]), today);
+    }) ||
+    take(new RegExp(`\\s${prefix}${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?=\\s)`, 'i'), match => {
+      return this.setDate(state, match[3] ? Number(match[3]) : null, monthIndex(match[1]), Number(match[2]), today);
+    }) ||
+    take(new RegExp(`\\s${prefix}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?(?=\\s)`, 'i'), match => {
+      return this.setDate(state, match[3] ? Number(match[3]) : null, monthIndex(match[2]), Number(match[1]), today);
+    });
+  }
+
+  // A date without a year is the next time that day comes around
+  setDate(state, year, month, day, today = null) {
+    const resolvedYear = year ?? today.year;
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(resolvedYear, month)) return false;
+    state.date = { year: resolvedYear, month, day };
+    if (year === null && (month < today.month || (month === today.month && day < today.day))) {
+      state.date.year++;
+    }
+    return `date ${formatLocalDate(state.date)}`;
+  }
+
+  parseTime(state, take) {
+    if (state.instant) return;
+    const setTime = (hour, minute) => {
+      if (hour > 23 || minute > 59) return false;
+      state.time = { hour, minute };
+      return `time ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    };
+
+    take(/\s(?:at\s+)?(noon|midday|midnight)(?=\s)/i, match =>
+      match[1].toLowerCase() === 'midnight' ? setTime(0, 0) : setTime(12, 0)
+    ) ||
+    take(/\s(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?=\s)/i, match => {
+      let hour = Number(match[1]);
+      if (hour < 1 || hour > 12) return false;
+      const pm = match[3].toLowerCase().startsWith('p');
+      if (hour === 12) hour = 0;
+      return setTime(pm ? hour + 12 : hour, Number(match[2] || 0));
+    }) ||
+    take(/\s(?:at\s+)?(\d{1,2}):(\d{2})(?=\s)/i, match => setTime(Number(match[1]), Number(match[2]))) ||
+    take(/\sat\s+(\d{1,2})(?=\s)/i, match => setTime(Number(match[1]), 0));
+  }
+
+  finish(state, nowDate, today, input) {
+    const result = {
+      title: state.text.replace(/\s+/g, ' ').trim(),
+      due_date: null,
+      is_all_day: false,
+      priority: state.priority,
+      tags: state.tags,
+      project: state.project,
+      recurrence: state.recurrence ? formatRRule(state.recurrence) : null,
+      time_zone: this.timeZone,
+      parsed: state.parsed
+    };
+
+    // A recurring task without a date starts on its first occurrence that is still ahead
+    if (!state.date && !state.instant && state.recurrence) {
+      const firstFrom = from => (state.recurrence.byDay
+        ? state.recurrence.byDay.map(day => nextWeekday(from, RRULE_WEEKDAYS.indexOf(day))).sort(compareDates)[0]
+        : from);
+      state.date = firstFrom(today);
+      if (state.time && zonedTimeToUtc({ ...state.date, ...state.time }, this.timeZone) <= nowDate) {
+        state.date = firstFrom(addDays(today, 1));
+      }
+    }
+
+    if (state.instant) {
+      result.due_date = state.instant.toISOString();
+    } else if (state.date || state.time) {
+      let date = state.date;
+      if (!date) {
+        // A bare time means the next time the clock shows it
+        const now = zonedParts(nowDate, this.timeZone);
+        const passed = state.time.hour < now.hour || (state.time.hour === now.hour && state.time.minute <= now.minute);
+        date = passed ? addDays(today, 1) : today;
+      }
+      result.is_all_day = !state.time;
+      result.due_date = zonedTimeToUtc({ ...date, ...(state.time || {}) }, this.timeZone).toISOString();
+    }
+
+    if (!result.title) {
+      throw new Error(`Quick add "${input}" has no title left after parsing`);
+    }
+    return result;
+  }
+}
+
+export function parseQuickAdd(input, options = {}) {
+  return new QuickAddParser(options).parse(input);
+}
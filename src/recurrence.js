@@ -0,0 +1,311 @@
+/**
+ * Recurrence rules and reminders for TickTick tasks
+ *
+ * Rules come in as an RRULE ("RRULE:FREQ=WEEKLY;BYDAY=MO,WE" or without the prefix)
+ * or a friendly form:
+ *   daily | weekly | monthly | yearly | weekdays | weekends
+ *   every N days | every N weeks [on mon, wed] | every monday and friday
+ *   monthly on day 15 | every 2 months on the 1st | monthly on the last day
+ * and are normalized to { freq, interval, byDay, byMonthDay, byMonth, count, until }
+ * before being written as the Open API's repeatFlag.
+ *
+ * Reminders are trigger offsets relative to the task's date: "TRIGGER:-PT15M",
+ * "15m", "1h", "2 days before", "at due time".
+ */
+
+import { RRULE_WEEKDAYS, WEEKDAYS, addDays, weekdayOf, daysInMonth, compareDates, formatLocalDate } from './dates.js';
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const UNIT_FREQUENCIES = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'COUNT', 'UNTIL', 'WKST'];
+
+// Safety net for rules that can never match again (e.g. Feb 30)
+const MAX_SCAN_DAYS = 366 * 30;
+
+function weekdayCode(name) {
+  const index = WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+  if (index === -1 || name.length < 2) {
+    throw new Error(`Unknown weekday "${name}"`);
+  }
+  return RRULE_WEEKDAYS[index];
+}
+
+function positiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parseRRule(text) {
+  const rule = { interval: 1 };
+  for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.toUpperCase();
+    if (!SUPPORTED_PARTS.includes(key)) {
+      throw new Error(`Unsupported RRULE part "${rawKey}" (supported: ${SUPPORTED_PARTS.join(', ')})`);
+    }
+    if (!value) throw new Error(`RRULE part ${key} has no value`);
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = positiveInteger(value, 'INTERVAL');
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(day => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+          if (!match) throw new Error(`Invalid BYDAY value "${day}"`);
+          return match[0];
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(day => {
+          const number = Number(day);
+          if (!Number.isInteger(number) || number === 0 || number < -31 || number > 31) {
+            throw new Error(`Invalid BYMONTHDAY value "${day}"`);
+          }
+          return number;
+        });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(month => {
+          const number = Number(month);
+          if (!Number.isInteger(number) || number < 1 || number > 12) {
+            throw new Error(`Invalid BYMONTH value "${month}"`);
+          }
+          return number;
+        });
+        break;
+      case 'COUNT':
+        rule.count = positiveInteger(value, 'COUNT');
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+        if (!match) throw new Error(`Invalid UNTIL value "${value}" - use YYYYMMDD or YYYYMMDDTHHMMSSZ`);
+        rule.until = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+        break;
+      }
+      case 'WKST':
+        rule.wkst = weekdayCode(value);
+        break;
+    }
+  }
+  return rule;
+}
+
+function parseFriendly(text) {
+  const input = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  let match;
+
+  const simple = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' };
+  if (simple[input]) return { freq: simple[input], interval: 1 };
+  if (/^(every )?(weekday|workday)s?$/.test(input)) {
+    return { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+  }
+  if (/^(every )?weekends?$/.test(input)) {
+    return { freq: 'WEEKLY', interval: 1, byDay: ['SA', 'SU'] };
+  }
+
+  // every 2 weeks on mon, wed | weekly on friday
+  match = /^(?:every (?:(\d+|other) )?(day|week|month|year)s?|(daily|weekly|monthly|yearly))(?: on (.+))?$/.exec(input);
+  if (match) {
+    const interval = match[1] === 'other' ? 2 : positiveInteger(match[1] || 1, 'Interval');
+    const freq = match[2] ? UNIT_FREQUENCIES[match[2]] : simple[match[3]];
+    const rule = { freq, interval };
+    if (match[4]) Object.assign(rule, parseOnClause(match[4], freq));
+    return rule;
+  }
+
+  // every monday and friday
+  match = /^every ((?:[a-z]+)(?:(?:, ?| and | ?& ?)[a-z]+)*)$/.exec(input);
+  if (match) {
+    return { freq: 'WEEKLY', interval: 1, byDay: splitList(match[1]).map(weekdayCode) };
+  }
+
+  throw new Error(`Can't understand recurrence "${text}" - use an RRULE (FREQ=WEEKLY;BYDAY=MO) or e.g. "daily", "weekdays", "every 2 weeks on mon, fri", "monthly on day 15"`);
+}
+
+function splitList(text) {
+  return text.split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean);
+}
+
+// "mon, wed" | "day 15" | "the 1st" | "the last day"
+function parseOnClause(clause, freq) {
+  const text = clause.replace(/^the /, '');
+  if (/^last( day)?$/.test(text)) {
+    return { byMonthDay: [-1] };
+  }
+  const days = /^(?:days? )?(\d{1,2}(?:st|nd|rd|th)?(?:(?:, ?| and )\d{1,2}(?:st|nd|rd|th)?)*)$/.exec(text);
+  if (days) {
+    if (freq !== 'MONTHLY' && freq !== 'YEARLY') throw new Error(`"on ${clause}" only works with monthly or yearly rules`);
+    return { byMonthDay: splitList(days[1]).map(day => parseInt(day, 10)) };
+  }
+  return { byDay: splitList(text).map(weekdayCode) };
+}
+
+export function parseRecurrence(input) {
+  const text = String(input || '').trim();
+  if (!text) throw new Error('Recurrence is empty');
+
+  const rule = /^(RRULE:|FREQ=)/i.test(text) ? parseRRule(text) : parseFriendly(text);
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Recurrence needs FREQ of ${FREQUENCIES.join(', ')}`);
+  }
+  if (rule.count && rule.until) {
+    throw new Error('Recurrence can have COUNT or UNTIL, not both');
+  }
+  if (rule.byDay?.some(day => /\d/.test(day)) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Numbered BYDAY values (like 1MO or -1FR) only work with monthly or yearly rules');
+  }
+  if (rule.byMonthDay?.some(day => Math.abs(day) > 31 || day === 0)) {
+    throw new Error('Month days must be between 1 and 31 (or -1 for the last day)');
+  }
+  return rule;
+}
+
+// The Open API's repeatFlag
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`, `INTERVAL=${rule.interval || 1}`];
+  if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatLocalDate(rule.until).replace(/-/g, '')}`);
+  if (rule.wkst) parts.push(`WKST=${rule.wkst}`);
+  return `RRULE:${parts.join(';')}`;
+}
+
+export function describeRecurrence(rule) {
+  const unit = FREQUENCY_UNITS[rule.freq];
+  let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  if (rule.byDay?.length) {
+    text += ` on ${rule.byDay.map(day => {
+      const match = /^([+-]?\d+)?(\w\w)$/.exec(day);
+      const name = WEEKDAYS[RRULE_WEEKDAYS.indexOf(match[2])];
+      return match[1] ? `${match[1] === '-1' ? 'last' : `#${match[1]}`} ${name}` : name;
+    }).join(', ')}`;
+  }
+  if (rule.byMonthDay?.length) {
+    text += ` on ${rule.byMonthDay.map(day => (day === -1 ? 'the last day' : `day ${day}`)).join(', ')}`;
+  }
+  if (rule.byMonth?.length) text += ` in month ${rule.byMonth.join(', ')}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  if (rule.until) text += `, until ${formatLocalDate(rule.until)}`;
+  return text;
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+}
+
+// Does date match a BYDAY entry like "MO", "2TU" or "-1FR" (nth weekday of the month)?
+function matchesByDay(date, entry) {
+  const match = /^([+-]?\d+)?(\w\w)$/.exec(entry);
+  if (RRULE_WEEKDAYS.indexOf(match[2]) !== weekdayOf(date)) return false;
+  if (!match[1]) return true;
+  const nth = Number(match[1]);
+  return nth > 0
+    ? Math.ceil(date.day / 7) === nth
+    : Math.ceil((daysInMonth(date.year, date.month) - date.day + 1) / 7) === -nth;
+}
+
+function matchesMonthDay(date, monthDay) {
+  return monthDay > 0
+    ? date.day === monthDay
+    : date.day === daysInMonth(date.year, date.month) + monthDay + 1;
+}
+
+function matches(rule, start, date) {
+  const interval = rule.interval || 1;
+  switch (rule.freq) {
+    case 'DAILY':
+      return daysBetween(start, date) % interval === 0;
+    case 'WEEKLY': {
+      // Weeks start on WKST (Monday by default)
+      const weekStart = RRULE_WEEKDAYS.indexOf(rule.wkst || 'MO');
+      const startOfWeek = d => addDays(d, -((weekdayOf(d) - weekStart + 7) % 7));
+      const weeks = daysBetween(startOfWeek(start), startOfWeek(date)) / 7;
+      if (weeks % interval !== 0) return false;
+      return rule.byDay?.length
+        ? rule.byDay.some(entry => matchesByDay(date, entry))
+        : weekdayOf(date) === weekdayOf(start);
+    }
+    case 'MONTHLY': {
+      const months = (date.year - start.year) * 12 + (date.month - start.month);
+      if (months % interval !== 0) return false;
+      if (rule.byMonthDay?.length) return rule.byMonthDay.some(day => matchesMonthDay(date, day));
+      if (rule.byDay?.length) return rule.byDay.some(entry => matchesByDay(date, entry));
+      return date.day === start.day;
+    }
+    case 'YEARLY': {
+      if ((date.year - start.year) % interval !== 0) return false;
+      if (!(rule.byMonth?.length ? rule.byMonth.includes(date.month) : date.month === start.month)) return false;
+      if (rule.byMonthDay?.length) return rule.byMonthDay.some(day => matchesMonthDay(date, day));
+      if (rule.byDay?.length) return rule.byDay.some(entry => matchesByDay(date, entry));
+      return date.day === start.day;
+    }
+    default:
+      return false;
+  }
+}
+
+// The first `limit` local dates on or after start that the rule produces
+export function nextOccurrences(rule, start, limit = 10) {
+  const occurrences = [];
+  let produced = 0;
+  for (let offset = 0; offset < MAX_SCAN_DAYS && occurrences.length < limit; offset++) {
+    const date = addDays(start, offset);
+    if (rule.until && compareDates(date, rule.until) > 0) break;
+    if (!matches(rule, start, date)) continue;
+    if (rule.count && ++produced > rule.count) break;
+    occurrences.push(date);
+  }
+  return occurrences;
+}
+
+// Reminders
+
+const TRIGGER_PATTERN = /^TRIGGER:-?P(?=\d|T\d)(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/;
+
+// "15m", "1 hour before", "2d", "at due time", "TRIGGER:-PT15M" -> "TRIGGER:-PT15M"
+export function parseReminder(input) {
+  const text = String(input).trim();
+  if (/^TRIGGER:/i.test(text)) {
+    const trigger = `TRIGGER:${text.slice(8).toUpperCase()}`;
+    if (!TRIGGER_PATTERN.test(trigger)) {
+      throw new Error(`Invalid reminder trigger "${input}" - expected e.g. TRIGGER:-PT15M or TRIGGER:P0DT9H0M0S`);
+    }
+    return trigger;
+  }
+
+  if (/^(0|on time|at (the )?(due|start) time|at time)$/i.test(text)) {
+    return 'TRIGGER:PT0S';
+  }
+
+  const match = /^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)(\s+before)?$/i.exec(text);
+  if (!match) {
+    throw new Error(`Invalid reminder "${input}" - use an offset like "15m", "1 hour before", "2d" or a TRIGGER:... value`);
+  }
+  const amount = Number(match[1]);
+  // m(inutes), h(ours), d(ays), w(eeks)
+  const unit = match[2][0].toUpperCase();
+  if (amount === 0) return 'TRIGGER:PT0S';
+  return unit === 'D' || unit === 'W'
+    ? `TRIGGER:-P${amount}${unit}`
+    : `TRIGGER:-PT${amount}${unit}`;
+}
+
+export function describeReminder(trigger) {
+  const match = TRIGGER_PATTERN.exec(trigger);
+  if (!match) return trigger;
+  const parts = [match[1] && `${parseInt(match[1], 10)}w`, match[2] && `${parseInt(match[2], 10)}d`, match[4] && `${parseInt(match[4], 10)}h`, match[5] && `${parseInt(match[5], 10)}m`]
+    .filter(part => part && !/^0\w$/.test(part));
+  if (parts.length === 0) return 'at due time';
+  return trigger.startsWith('TRIGGER:-') ? `${parts.join(' ')} before` : `${parts.join(' ')} after the start of the day`;
+}
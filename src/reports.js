@@ -0,0 +1,274 @@
+/**
+ * Productivity reports - task, focus and habit statistics over rolling periods
+ *
+ * A report covers the last 7 (week), 30 (month) or 91 (quarter) days up to and
+ * including today in the report's timezone, and compares it with the same number
+ * of days just before. Task figures come from synced tasks (normalizeTask rows
+ * with created_time/completed_time/due_date), focus minutes from the focus
+ * session log and habit completion from the habit check-in log.
+ *
+ * Series are bucketed per day (week, month) or per 7 days (quarter) and can be
+ * rendered as text bar charts or as an SVG chart.
+ *
+ * Completion figures are a lower bound: sync reads /project/{id}/data, which lists
+ * open tasks only, so a completion is only known for tasks the mirror saw open
+ * before (or that were completed through this server).
+ */
+
+import { addDays, compareDates, formatLocalDate, localDayOf, weekdayOf, zonedParts, WEEKDAYS } from './dates.js';
+import { localDay } from './query.js';
+import { focusStats } from './focus.js';
+import { completionRates } from './habits.js';
+
+export const REPORT_PERIODS = {
+  week: { days: 7, bucketDays: 1 },
+  month: { days: 30, bucketDays: 1 },
+  quarter: { days: 91, bucketDays: 7 }
+};
+export const CHART_FORMATS = ['ascii', 'svg', 'none'];
+
+// Reported with every report so callers don't take completion numbers as the full picture
+export const COMPLETION_COVERAGE_NOTE = 'Completed counts and the completion breakdowns are a lower bound, and the on-time rate only covers completions that were seen: the TickTick Open API sync only lists open tasks, so tasks completed in the TickTick apps are counted only if a sync saw them open before they were completed (tasks created and completed between syncs are missed). Sync often for better coverage.';
+
+const PRIORITY_LABELS = { 0: 'none', 1: 'low', 3: 'medium', 5: 'high' };
+const BAR_WIDTH = 24;
+
+// Windows
+
+// { current: { from, to }, previous: { from, to } } as local days
+export function reportWindows(period, today) {
+  const { days } = REPORT_PERIODS[period];
+  const from = addDays(today, -(days - 1));
+  return {
+    current: { from, to: today },
+    previous: { from: addDays(from, -days), to: addDays(from, -1) }
+  };
+}
+
+function bucketsOf(window, bucketDays) {
+  const buckets = [];
+  for (let from = window.from; compareDates(from, window.to) <= 0; from = addDays(from, bucketDays)) {
+    const end = addDays(from, bucketDays - 1);
+    buckets.push({ from, to: compareDates(end, window.to) > 0 ? window.to : end, label: formatLocalDate(from) });
+  }
+  return buckets;
+}
+
+function within(day, window) {
+  return Boolean(day) && compareDates(day, window.from) >= 0 && compareDates(day, window.to) <= 0;
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 100) / 100 : null;
+}
+
+// Task figures
+
+function createdDay(row, timeZone) {
+  return localDayOf(row.created_time, timeZone);
+}
+
+function completedDay(row, timeZone) {
+  return row.completed ? localDayOf(row.completed_time, timeZone) : null;
+}
+
+// All-day tasks are on time when done by their due day, timed ones when done by their due time
+function isOnTime(row, timeZone) {
+  if (row.is_all_day) return compareDates(completedDay(row, timeZone), localDay(row.due_date, row, timeZone)) <= 0;
+  return Date.parse(row.completed_time) <= Date.parse(row.due_date);
+}
+
+// Open tasks that were overdue on day: due before it, created by then and not yet completed
+function overdueOn(rows, day, timeZone) {
+  return rows.filter(row => {
+    if (!row.due_date) return false;
+    const due = localDay(row.due_date, row, timeZone);
+    if (!due || compareDates(due, day) >= 0) return false;
+    const created = createdDay(row, timeZone);
+    if (created && compareDates(created, day) > 0) return false;
+    const done = completedDay(row, timeZone);
+    return !(row.completed && (!done || compareDates(done, day) <= 0));
+  }).length;
+}
+
+function habitTotals(habitLogs, window, today, weekStart) {
+  let done = 0;
+  let due = 0;
+  const habits = habitLogs.map(({ habit, totals }) => {
+    const rates = completionRates(habit, totals, window.from, window.to, today, { groupBy: 'week', weekStart });
+    const habitDone = rates.reduce((sum, rate) => sum + rate.done, 0);
+    const habitDue = rates.reduce((sum, rate) => sum + rate.due, 0);
+    done += habitDone;
+    due += habitDue;
+    return { id: habit.id, name: habit.name, done: habitDone, due: habitDue, rate: ratio(habitDone, habitDue) };
+  });
+  return { habits, rate: ratio(done, due) };
+}
+
+// Headline figures of one window
+function summarize({ rows, sessions, habitLogs, window, today, timeZone, weekStart, now }) {
+  const completed = rows.filter(row => within(completedDay(row, timeZone), window));
+  const withDue = completed.filter(row => row.due_date && row.completed_time);
+  const onTime = withDue.filter(row => isOnTime(row, timeZone));
+  const focus = focusStats(sessions, { from: window.from, to: window.to, timeZone, now });
+  const habits = habitTotals(habitLogs, window, today, weekStart);
+
+  return {
+    created: rows.filter(row => within(createdDay(row, timeZone), window)).length,
+    completed: completed.length,
+    completed_with_due: withDue.length,
+    on_time: onTime.length,
+    on_time_rate: ratio(onTime.length, withDue.length),
+    overdue_start: overdueOn(rows, window.from, timeZone),
+    overdue_end: overdueOn(rows, window.to, timeZone),
+    focus_minutes: focus.total_minutes,
+    focus_sessions: focus.sessions,
+    habit_rate: habits.rate,
+    habits: habits.habits
+  };
+}
+
+function countBy(items, keyOf, fields) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const key of [].concat(keyOf(item))) {
+      const entry = counts.get(key) || { ...fields(key), completed: 0 };
+      entry.completed++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.completed - a.completed);
+}
+
+// Where the window's completions went: project, tag, priority, weekday and hour
+function breakdown(rows, window, { timeZone, weekStart, projects }) {
+  const completed = rows.filter(row => within(completedDay(row, timeZone), window));
+
+  const weekdays = Array.from({ length: 7 }, (_, offset) => ({ weekday: WEEKDAYS[(weekStart + offset) % 7], completed: 0 }));
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, completed: 0 }));
+  for (const row of completed) {
+    weekdays[(weekdayOf(completedDay(row, timeZone)) - weekStart + 7) % 7].completed++;
+    hours[zonedParts(new Date(row.completed_time), timeZone).hour % 24].completed++;
+  }
+
+  return {
+    by_project: countBy(completed, row => row.project_id || '', id => ({ project_id: id || null, name: projects[id]?.name || id || 'No project' })),
+    by_tag: countBy(completed, row => (row.tags.length ? row.tags : ['']), tag => ({ tag: tag || null })),
+    by_priority: countBy(completed, row => row.priority, priority => ({ priority, label: PRIORITY_LABELS[priority] || String(priority) })),
+    weekdays,
+    hours
+  };
+}
+
+// Per-bucket series of the current window, with the previous window's completions aligned by bucket
+function buildSeries({ rows, sessions, windows, bucketDays, timeZone, now }) {
+  const current = bucketsOf(windows.current, bucketDays);
+  const previous = bucketsOf(windows.previous, bucketDays);
+  const inBucket = (day, bucket) => within(day, bucket);
+  const completedIn = bucket => rows.filter(row => inBucket(completedDay(row, timeZone), bucket)).length;
+
+  return {
+    labels: current.map(bucket => bucket.label),
+    created: current.map(bucket => rows.filter(row => inBucket(createdDay(row, timeZone), bucket)).length),
+    completed: current.map(completedIn),
+    previous_completed: previous.map(completedIn),
+    overdue: current.map(bucket => overdueOn(rows, bucket.to, timeZone)),
+    focus_minutes: current.map(bucket => focusStats(sessions, { from: bucket.from, to: bucket.to, timeZone, now }).total_minutes)
+  };
+}
+
+function compare(current, previous) {
+  const keys = ['created', 'completed', 'on_time_rate', 'overdue_end', 'focus_minutes', 'habit_rate'];
+  return Object.fromEntries(keys.map(key => {
+    const change = current[key] === null || previous[key] === null ? null : Math.round((current[key] - previous[key]) * 100) / 100;
+    return [key, {
+      current: current[key],
+      previous: previous[key],
+      change,
+      change_pct: change !== null && previous[key] ? Math.round((change / previous[key]) * 100) : null
+    }];
+  }));
+}
+
+// rows: normalizeTask rows; sessions: focus session log; habitLogs: [{ habit, totals }]
+export function buildProductivityReport({ rows, sessions = [], habitLogs = [], period = 'week', today, timeZone, weekStart = 1, projects = {}, includeCharts = false, now = Date.now() }) {
+  const windows = reportWindows(period, today);
+  const shared = { rows, sessions, habitLogs, today, timeZone, weekStart, now };
+  const current = summarize({ ...shared, window: windows.current });
+  const previous = summarize({ ...shared, window: windows.previous });
+
+  return {
+    period,
+    from: formatLocalDate(windows.current.from),
+    to: formatLocalDate(windows.current.to),
+    previous: { from: formatLocalDate(windows.previous.from), to: formatLocalDate(windows.previous.to), summary: previous },
+    summary: current,
+    comparison: compare(current, previous),
+    ...breakdown(rows, windows.current, { timeZone, weekStart, projects }),
+    ...(includeCharts ? { series: buildSeries({ rows, sessions, windows, bucketDays: REPORT_PERIODS[period].bucketDays, timeZone, now }) } : {})
+  };
+}
+
+// Charts
+
+function bar(value, max, width = BAR_WIDTH) {
+  return '█'.repeat(max ? Math.round((value / max) * width) : 0);
+}
+
+// One horizontal bar per bucket, "label  ███ value"
+export function barChart(title, labels, values) {
+  const max = Math.max(0, ...values);
+  const width = Math.max(...labels.map(label => label.length));
+  return `${title}\n${labels.map((label, index) => `${label.padEnd(width)}  ${bar(values[index], max)} ${values[index]}`).join('\n')}`;
+}
+
+export function renderAsciiCharts(series) {
+  const labels = series.labels.map(label => label.slice(5));
+  return [
+    barChart('Completed', labels, series.completed),
+    barChart('Created', labels, series.created),
+    barChart('Overdue backlog', labels, series.overdue),
+    barChart('Focus minutes', labels, series.focus_minutes)
+  ].join('\n\n');
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+// Created vs completed bars per bucket, with the previous period's completions as a dashed line
+export function renderSvgChart(series, { width = 720, height = 280, title = 'Created vs completed' } = {}) {
+  const margin = { top: 32, right: 16, bottom: 40, left: 40 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const count = series.labels.length;
+  const max = Math.max(1, ...series.created, ...series.completed, ...series.previous_completed);
+  const slot = plotWidth / count;
+  const barWidth = Math.max(1, (slot - 4) / 2);
+  const y = value => margin.top + plotHeight - (value / max) * plotHeight;
+  const labelEvery = Math.ceil(count / 10);
+
+  const bars = series.labels.map((label, index) => {
+    const x = margin.left + index * slot + 2;
+    return [
+      `<rect x="${x.toFixed(1)}" y="${y(series.created[index]).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(margin.top + plotHeight - y(series.created[index])).toFixed(1)}" fill="#9e9e9e"><title>${escapeXml(label)}: ${series.created[index]} created</title></rect>`,
+      `<rect x="${(x + barWidth).toFixed(1)}" y="${y(series.completed[index]).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(margin.top + plotHeight - y(series.completed[index])).toFixed(1)}" fill="#4caf50"><title>${escapeXml(label)}: ${series.completed[index]} completed</title></rect>`,
+      index % labelEvery === 0 ? `<text x="${(x + barWidth).toFixed(1)}" y="${height - margin.bottom + 16}" font-size="10" text-anchor="middle">${escapeXml(label.slice(5))}</text>` : ''
+    ].join('');
+  }).join('\n  ');
+
+  const previous = series.previous_completed
+    .map((value, index) => `${(margin.left + index * slot + slot / 2).toFixed(1)},${y(value).toFixed(1)}`)
+    .join(' ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">
+  <text x="${margin.left}" y="18" font-size="13" font-weight="bold">${escapeXml(title)}</text>
+  <line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#333"/>
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotHeight}" stroke="#333"/>
+  <text x="${margin.left - 6}" y="${margin.top + 4}" font-size="10" text-anchor="end">${max}</text>
+  <text x="${margin.left - 6}" y="${margin.top + plotHeight}" font-size="10" text-anchor="end">0</text>
+  ${bars}
+  <polyline points="${previous}" fill="none" stroke="#ff9800" stroke-width="2" stroke-dasharray="4 3"><title>Previous period completed</title></polyline>
+  <text x="${width - margin.right}" y="18" font-size="10" text-anchor="end"><tspan fill="#9e9e9e">■ created</tspan> <tspan fill="#4caf50">■ completed</tspan> <tspan fill="#ff9800">- - previous</tspan></text>
+</svg>`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Search index - typo-tolerant ranked search over cached tasks and projects
+ *
+ * Documents are tasks (title, content/notes, checklist items, tags) and projects
+ * (name), built from the cache. Each query term matches index terms exactly, by
+ * prefix or within a small edit distance; matches are weighted by field, rarity
+ * (idf) and match quality, and documents that match every term rank first.
+ *
+ * The index is rebuilt only when the cache it was built from changes.
+ */
+
+const FIELD_WEIGHTS = { title: 3, name: 3, tags: 2, items: 1.5, content: 1 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+const SNIPPET_RADIUS = 40;
+
+// Lowercase, without accents, split on anything that isn't a letter or digit
+export function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Typos allowed for a term of this length
+function maxDistance(length) {
+  if (length <= 3) return 0;
+  if (length <= 6) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), capped at limit + 1
+export function editDistance(a, b, limit = Infinity) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function documentsFromCache(cache) {
+  const projects = cache.projects || {};
+  const documents = [];
+
+  for (const [id, entry] of Object.entries(cache.tasks || {})) {
+    const task = entry.task || {};
+    const projectId = task.projectId ?? entry.project_id ?? null;
+    documents.push({
+      type: 'task',
+      id,
+      project_id: projectId,
+      project_name: projects[projectId]?.name || null,
+      title: task.title ?? entry.title ?? '',
+      completed: task.status === 2,
+      fields: {
+        title: task.title ?? entry.title ?? '',
+        content: [task.content, task.desc].filter(Boolean).join('\n'),
+        items: (task.items || []).map(item => item.title).join('\n'),
+        tags: (task.tags || []).join(' ')
+      }
+    });
+  }
+
+  for (const [id, project] of Object.entries(projects)) {
+    documents.push({
+      type: 'project',
+      id,
+      project_id: id,
+      project_name: project.name,
+      title: project.name || '',
+      completed: Boolean(project.closed),
+      fields: { name: project.name || '' }
+    });
+  }
+  return documents;
+}
+
+// Changes whenever an entry is added, removed, re-cached or re-synced
+function cacheSignature(cache) {
+  const parts = [cache.sync?.last_sync || ''];
+  for (const [id, entry] of Object.entries(cache.tasks || {})) {
+    parts.push(`${id}@${entry.cached_at || ''}@${entry.synced_at || ''}`);
+  }
+  for (const [id, project] of Object.entries(cache.projects || {})) {
+    parts.push(`${id}@${project.synced_at || ''}@${project.name || ''}`);
+  }
+  return parts.join('|');
+}
+
+export class SearchIndex {
+  constructor(documents) {
+    this.documents = documents;
+    // term -> Map(document index -> Set(field))
+    this.postings = new Map();
+    documents.forEach((document, index) => {
+      for (const [field, text] of Object.entries(document.fields)) {
+        for (const term of tokenize(text)) {
+          if (!this.postings.has(term)) this.postings.set(term, new Map());
+          const fields = this.postings.get(term);
+          if (!fields.has(index)) fields.set(index, new Set());
+          fields.get(index).add(field);
+        }
+      }
+    });
+    this.terms = [...this.postings.keys()];
+  }
+
+  static fromCache(cache) {
+    const index = new SearchIndex(documentsFromCache(cache));
+    index.signature = cacheSignature(cache);
+    return index;
+  }
+
+  isCurrent(cache) {
+    return this.signature === cacheSignature(cache);
+  }
+
+  // Index terms a query term matches, with their match quality
+  expand(queryTerm) {
+    const limit = maxDistance(queryTerm.length);
+    const matches = [];
+    for (const term of this.terms) {
+      if (term === queryTerm) {
+        matches.push({ term, quality: MATCH_QUALITY.exact });
+      } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        matches.push({ term, quality: MATCH_QUALITY.prefix });
+      } else if (limit > 0) {
+        const distance = editDistance(queryTerm, term, limit);
+        if (distance <= limit) matches.push({ term, quality: MATCH_QUALITY.fuzzy / distance });
+      }
+    }
+    return matches;
+  }
+
+  // [{ type, id, project_id, project_name, title, score, matched_terms, field, snippet }]
+  search(query, { types = ['task', 'project'], limit = 10, includeCompleted = true } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (!queryTerms.length) return [];
+
+    const total = this.documents.length;
+    const scores = new Map();
+    queryTerms.forEach((queryTerm, termIndex) => {
+      for (const { term, quality } of this.expand(queryTerm)) {
+        const postings = this.postings.get(term);
+        const idf = Math.log(1 + total / postings.size);
+        for (const [documentIndex, fields] of postings) {
+          const weight = Math.max(...[...fields].map(field => FIELD_WEIGHTS[field] || 1));
+          const score = quality * weight * idf;
+          if (!scores.has(documentIndex)) scores.set(documentIndex, { best: new Map(), fields: new Map(), terms: new Set() });
+          const entry = scores.get(documentIndex);
+          // Each query term counts once, through its best match
+          if (score > (entry.best.get(termIndex) || 0)) {
+            entry.best.set(termIndex, score);
+            entry.fields.set(termIndex, { term, field: [...fields].sort((a, b) => (FIELD_WEIGHTS[b] || 1) - (FIELD_WEIGHTS[a] || 1))[0] });
+          }
+          entry.terms.add(term);
+        }
+      }
+    });
+
+    const phrase = queryTerms.join(' ');
+    const results = [];
+    for (const [documentIndex, entry] of scores) {
+      const document = this.documents[documentIndex];
+      if (!types.includes(document.type)) continue;
+      if (!includeCompleted && document.completed) continue;
+
+      let score = [...entry.best.values()].reduce((sum, value) => sum + value, 0);
+      const coverage = entry.best.size / queryTerms.length;
+      score *= coverage === 1 ? 2 : coverage;
+      if (tokenize(document.title).join(' ') === phrase) score *= 1.5;
+
+      const [{ field }] = [...entry.fields.values()].sort((a, b) => (FIELD_WEIGHTS[b.field] || 1) - (FIELD_WEIGHTS[a.field] || 1));
+      results.push({
+        type: document.type,
+        id: document.id,
+        project_id: document.project_id,
+        project_name: document.project_name,
+        title: document.title,
+        completed: document.completed,
+        score: Math.round(score * 100) / 100,
+        matched_terms: [...entry.terms],
+        field,
+        snippet: makeSnippet(document.fields[field], entry.terms)
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+      .slice(0, limit);
+  }
+}
+
+// A short excerpt around the first matched word, with matched words in bold
+export function makeSnippet(text, terms) {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  const words = [...source.matchAll(/[\p{L}\p{N}]+/gu)];
+  const matched = word => terms.has(tokenize(word)[0]);
+  const first = words.find(word => matched(word[0]));
+
+  let start = 0;
+  let end = source.length;
+  if (first && source.length > SNIPPET_RADIUS * 2) {
+    start = Math.max(0, first.index - SNIPPET_RADIUS);
+    end = Math.min(source.length, first.index + first[0].length + SNIPPET_RADIUS);
+  } else {
+    end = Math.min(source.length, SNIPPET_RADIUS * 2);
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const word of words) {
+    if (word.index < start || word.index + word[0].length > end) continue;
+    if (matched(word[0])) {
+      snippet += `${source.slice(cursor, word.index)}**${word[0]}**`;
+      cursor = word.index + word[0].length;
+    }
+  }
+  snippet += source.slice(cursor, end);
+  return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+}
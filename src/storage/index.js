@@ -0,0 +1,28 @@
+/**
+ * Storage backends
+ *
+ * Every store exposes the same async document interface:
+ * - open() / close()
+ * - read()            -> the current document
+ * - update(mutator)   -> serialized read-modify-write, mutator(doc) edits in place (synchronously)
+ * - write(doc)        -> replace the whole document
+ * - describe()        -> { backend, path }
+ */
+
+import { JsonFileStore } from './jsonFileStore.js';
+import { SqliteStore } from './sqliteStore.js';
+
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+export function createStore(backend, filePath, options = {}) {
+  switch (backend) {
+    case 'json':
+      return new JsonFileStore(filePath, options);
+    case 'sqlite':
+      return new SqliteStore(filePath, options);
+    default:
+      throw new Error(`Unknown storage backend "${backend}" - expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+export { JsonFileStore, SqliteStore };
@@ -0,0 +1,148 @@
+/**
+ * JSON file store - atomic, serialized and lock-protected document storage
+ *
+ * - Writes go to a temp file that is fsync'ed and renamed over the target, so a
+ *   crash mid-write never leaves a half-written file behind
+ * - update() calls are queued, so concurrent requests in this process can't lose
+ *   each other's changes
+ * - A <file>.lock file guards the read-modify-write against other processes
+ * - A file that fails to parse is moved aside to <file>.corrupt-<timestamp>
+ *   instead of being silently replaced
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const LOCK_RETRY_MS = 25;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class JsonFileStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.createDefault = options.createDefault || (() => ({}));
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 5000;
+    this.staleLockMs = options.staleLockMs ?? 30000;
+    this.queue = Promise.resolve();
+  }
+
+  async open() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+  }
+
+  async close() {
+    await this.queue;
+  }
+
+  describe() {
+    return { backend: 'json', path: this.filePath };
+  }
+
+  async read() {
+    try {
+      const data = await fs.promises.readFile(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.createDefault();
+      }
+      if (error instanceof SyntaxError) {
+        await this.quarantine(error);
+        return this.createDefault();
+      }
+      throw error;
+    }
+  }
+
+  // mutator(doc) changes the document in place; its return value is passed back
+  async update(mutator) {
+    const run = this.queue.then(() => this.withLock(async () => {
+      const doc = await this.read();
+      const result = await mutator(doc);
+      await this.writeAtomic(doc);
+      return result;
+    }));
+    // Keep the queue alive after a failed update
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(doc) {
+    return this.update(current => {
+      for (const key of Object.keys(current)) delete current[key];
+      Object.assign(current, doc);
+    });
+  }
+
+  async writeAtomic(doc) {
+    const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.promises.open(tempPath, 'w', 0o600);
+    try {
+      await handle.writeFile(JSON.stringify(doc, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    try {
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async quarantine(error) {
+    const backupPath = `${this.filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    try {
+      await fs.promises.rename(this.filePath, backupPath);
+      console.warn(`Cache file ${this.filePath} is corrupt (${error.message}) - moved to ${backupPath}`);
+    } catch (renameError) {
+      // Another process may have quarantined it first
+      if (renameError.code !== 'ENOENT') throw renameError;
+    }
+  }
+
+  async withLock(fn) {
+    await this.acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await fs.promises.rm(this.lockPath, { force: true });
+    }
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.writeFile(JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString() }));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A lock older than staleLockMs belongs to a crashed process
+      try {
+        const stats = await fs.promises.stat(this.lockPath);
+        if (Date.now() - stats.mtimeMs > this.staleLockMs) {
+          await fs.promises.rm(this.lockPath, { force: true });
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for cache lock ${this.lockPath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+}
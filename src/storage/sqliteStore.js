@@ -0,0 +1,135 @@
+/**
+ * SQLite store - same document interface as JsonFileStore, backed by better-sqlite3
+ *
+ * Object-valued top-level sections (tasks, projects, ...) are stored one row per
+ * entry so an update only rewrites the entries that changed; anything else lives
+ * in the meta table. Every update runs in an IMMEDIATE transaction, which also
+ * serializes writers across processes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export class SqliteStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.createDefault = options.createDefault || (() => ({}));
+    this.db = null;
+    this.queue = Promise.resolve();
+  }
+
+  async open() {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('CACHE_BACKEND=sqlite requires the optional "better-sqlite3" package (npm install better-sqlite3)', { cause: error });
+    }
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entries (
+        section TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (section, key)
+      );
+      CREATE TABLE IF NOT EXISTS meta (
+        name TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+  }
+
+  async close() {
+    await this.queue;
+    this.db?.close();
+    this.db = null;
+  }
+
+  describe() {
+    return { backend: 'sqlite', path: this.filePath };
+  }
+
+  readRows() {
+    const entries = this.db.prepare('SELECT section, key, value FROM entries').all();
+    const meta = this.db.prepare('SELECT name, value FROM meta').all();
+    return { entries, meta };
+  }
+
+  buildDocument({ entries, meta }) {
+    const doc = this.createDefault();
+    for (const row of entries) {
+      if (!isPlainObject(doc[row.section])) doc[row.section] = {};
+      doc[row.section][row.key] = JSON.parse(row.value);
+    }
+    for (const row of meta) {
+      doc[row.name] = JSON.parse(row.value);
+    }
+    return doc;
+  }
+
+  async read() {
+    return this.buildDocument(this.readRows());
+  }
+
+  // mutator must be synchronous - it runs inside the SQLite transaction
+  async update(mutator) {
+    const run = this.queue.then(() => this.db.transaction(() => {
+      const rows = this.readRows();
+      const doc = this.buildDocument(rows);
+      const result = mutator(doc);
+      this.writeDiff(rows, doc);
+      return result;
+    }).immediate());
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async write(doc) {
+    return this.update(current => {
+      for (const key of Object.keys(current)) delete current[key];
+      Object.assign(current, doc);
+    });
+  }
+
+  writeDiff(rows, doc) {
+    const previousEntries = new Map(rows.entries.map(row => [`${row.section}\u0000${row.key}`, row.value]));
+    const previousMeta = new Map(rows.meta.map(row => [row.name, row.value]));
+
+    const upsertEntry = this.db.prepare('INSERT INTO entries (section, key, value) VALUES (?, ?, ?) ON CONFLICT(section, key) DO UPDATE SET value = excluded.value');
+    const deleteEntry = this.db.prepare('DELETE FROM entries WHERE section = ? AND key = ?');
+    const upsertMeta = this.db.prepare('INSERT INTO meta (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value');
+    const deleteMeta = this.db.prepare('DELETE FROM meta WHERE name = ?');
+
+    for (const [section, value] of Object.entries(doc)) {
+      if (isPlainObject(value)) {
+        for (const [key, entry] of Object.entries(value)) {
+          const id = `${section}\u0000${key}`;
+          const serialized = JSON.stringify(entry);
+          if (previousEntries.get(id) !== serialized) upsertEntry.run(section, key, serialized);
+          previousEntries.delete(id);
+        }
+      } else if (value !== undefined) {
+        const serialized = JSON.stringify(value);
+        if (previousMeta.get(section) !== serialized) upsertMeta.run(section, serialized);
+        previousMeta.delete(section);
+      }
+    }
+
+    for (const id of previousEntries.keys()) {
+      const [section, key] = id.split('\u0000');
+      deleteEntry.run(section, key);
+    }
+    for (const name of previousMeta.keys()) {
+      deleteMeta.run(name);
+    }
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Task sync engine - mirrors every project and its tasks into the local cache
+ *
+ * Cache layout:
+ *   tasks[id]    = { project_id, title, cached_at, synced_at, source, task: <full Open API task> }
+ *   projects[id] = { ...<Open API project>, synced_at }
+ *   sync         = { last_sync, last_full_sync, last_result }
+ *
+ * Modes:
+ * - full: re-reads every project, drops tasks of projects that no longer exist and
+ *   verifies every task that disappeared from its project's data
+ * - incremental: re-reads the requested projects (or all), only touches tasks that
+ *   changed and leaves other projects' entries alone
+ *
+ * /project/{id}/data only lists open tasks, so a task that vanished is looked up
+ * individually: a 404 removes it, anything else (usually completed) updates it.
+ */
+
+export const INBOX_PROJECT_ID = 'inbox';
+
+// Fields compared to decide whether a mirrored task changed
+const TRACKED_FIELDS = [
+  'projectId', 'title', 'content', 'desc', 'status', 'priority', 'startDate', 'dueDate',
+  'isAllDay', 'timeZone', 'tags', 'items', 'reminders', 'repeatFlag', 'completedTime',
+  'sortOrder', 'kind', 'etag', 'modifiedTime'
+];
+
+function taskFingerprint(task) {
+  if (!task) return null;
+  return JSON.stringify(TRACKED_FIELDS.map(field => task[field] ?? null));
+}
+
+export class TaskSync {
+  constructor({ request, store }) {
+    this.request = request;
+    this.store = store;
+    this.running = null;
+  }
+
+  // Concurrent callers share one run instead of hammering the API twice
+  async sync(options = {}) {
+    if (!this.running) {
+      this.running = this.run(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async run({ mode = 'incremental', projectIds = null } = {}) {
+    const startedAt = new Date().toISOString();
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    const errors = [];
+
+    const projects = await this.request('/project');
+    const knownProjectIds = new Set(projects.map(p => p.id));
+
+    let targets = [...projects.map(p => p.id), INBOX_PROJECT_ID];
+    if (mode === 'incremental' && projectIds?.length) {
+      targets = targets.filter(id => projectIds.includes(id));
+    }
+
+    // Fetch first, then apply everything in one cache write
+    const fetched = [];
+    for (const projectId of targets) {
+      try {
+        const data = await this.request(`/project/${projectId}/data`);
+        // The inbox's real ID (inbox123456) only shows up on its data
+        const realProjectId = data?.project?.id || data?.tasks?.[0]?.projectId || projectId;
+        fetched.push({ projectId, realProjectId, tasks: data?.tasks || [] });
+      } catch (error) {
+        errors.push({ project_id: projectId, error: error.message });
+      }
+    }
+
+    const seen = new Set(fetched.flatMap(({ tasks }) => tasks.map(task => task.id)));
+    const syncedProjectIds = new Set(fetched.map(({ realProjectId }) => realProjectId));
+
+    // Tasks that disappeared from a project we just read are looked up one by one
+    const snapshot = await this.store.read();
+    const vanished = Object.entries(snapshot.tasks || {}).filter(([id, entry]) =>
+      !seen.has(id) && syncedProjectIds.has(entry.project_id) && entry.task?.status !== 2
+    );
+    const verified = [];
+    const missing = [];
+    for (const [id, entry] of vanished) {
+      try {
+        verified.push(await this.request(`/project/${entry.project_id}/task/${id}`));
+      } catch (error) {
+        if (error.status === 404) {
+          missing.push(id);
+        } else {
+          errors.push({ task_id: id, error: error.message });
+        }
+      }
+    }
+
+    const total = await this.store.update(cache => {
+      cache.tasks = cache.tasks || {};
+      cache.projects = mode === 'full' ? {} : (cache.projects || {});
+
+      for (const project of projects) {
+        cache.projects[project.id] = { ...project, synced_at: startedAt };
+      }
+
+      for (const { projectId, realProjectId, tasks } of fetched) {
+        if (projectId === INBOX_PROJECT_ID && realProjectId !== INBOX_PROJECT_ID) {
+          knownProjectIds.add(realProjectId);
+          cache.projects[realProjectId] = {
+            ...(cache.projects[realProjectId] || {}),
+            id: realProjectId,
+            name: 'Inbox',
+            inbox: true,
+            synced_at: startedAt
+          };
+        }
+        for (const task of tasks) {
+          this.applyTask(cache, task, startedAt, counts);
+        }
+      }
+
+      for (const task of verified) {
+        this.applyTask(cache, task, startedAt, counts);
+      }
+      for (const id of missing) {
+        if (cache.tasks[id]) {
+          delete cache.tasks[id];
+          counts.removed++;
+        }
+      }
+
+      // Full sync: projects that no longer exist take their tasks with them
+      if (mode === 'full' && errors.length === 0) {
+        for (const [id, entry] of Object.entries(cache.tasks)) {
+          if (entry.project_id && !knownProjectIds.has(entry.project_id) && !syncedProjectIds.has(entry.project_id)) {
+            delete cache.tasks[id];
+            counts.removed++;
+          }
+        }
+      }
+
+      const finishedAt = new Date().toISOString();
+      cache.sync = {
+        ...(cache.sync || {}),
+        last_sync: finishedAt,
+        ...(mode === 'full' ? { last_full_sync: finishedAt } : {}),
+        last_result: { ...counts, mode, errors: errors.length }
+      };
+      return Object.keys(cache.tasks).length;
+    });
+
+    return {
+      mode,
+      projects: syncedProjectIds.size,
+      ...counts,
+      total,
+      errors,
+      started_at: startedAt,
+      finished_at: new Date().toISOString()
+    };
+  }
+
+  applyTask(cache, task, syncedAt, counts) {
+    const existing = cache.tasks[task.id];
+    if (!existing) {
+      counts.added++;
+    } else if (taskFingerprint(existing.task) !== taskFingerprint(task)) {
+      counts.updated++;
+    } else {
+      counts.unchanged++;
+      existing.cached_at = syncedAt;
+      existing.synced_at = syncedAt;
+      return;
+    }
+
+    cache.tasks[task.id] = {
+      project_id: task.projectId,
+      title: task.title,
+      cached_at: syncedAt,
+      synced_at: syncedAt,
+      source: 'sync',
+      task
+    };
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Tag helpers - tags are plain strings on tasks ("tags" in the Open API)
+ *
+ * There is no tag endpoint: the tag list and usage counts are derived from
+ * synced tasks, and renaming, merging or deleting a tag means rewriting every
+ * task that carries it. Tags compare case-insensitively; the first spelling
+ * seen wins.
+ *
+ * "parent/child" names nest: operations on a parent apply to its children
+ * unless includeChildren is false, and renaming "work" to "job" turns
+ * "work/meetings" into "job/meetings".
+ *
+ * Colours (and tags created before any task uses them) live in the cache's
+ * tags section: tags[key] = { name, color, created_at }.
+ */
+
+export const DEFAULT_TAG_COLOR = '#3498db';
+
+export function tagKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+// " #Work / Meetings " -> "Work/Meetings"
+export function normalizeTagName(name) {
+  const segments = String(name).trim().replace(/^#+/, '').split('/').map(segment => segment.trim());
+  if (segments.some(segment => !segment)) {
+    throw new Error(`Invalid tag "${name}" - use a name, or parent/child without empty parts`);
+  }
+  const normalized = segments.join('/');
+  if (/[,#]/.test(normalized)) {
+    throw new Error(`Invalid tag "${name}" - tags can't contain commas or #`);
+  }
+  return normalized;
+}
+
+export function parentOf(name) {
+  const index = name.lastIndexOf('/');
+  return index === -1 ? null : name.slice(0, index);
+}
+
+// Case-insensitive dedup that keeps the first spelling and the order
+export function uniqueTags(tags) {
+  const seen = new Set();
+  return tags.filter(tag => {
+    const key = tagKey(tag);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function hasTag(tags, name) {
+  const key = tagKey(name);
+  return (tags || []).some(tag => tagKey(tag) === key);
+}
+
+// Does tag match name (or, with includeChildren, one of its descendants)?
+export function tagMatches(tag, name, { includeChildren = true } = {}) {
+  const key = tagKey(tag);
+  const target = tagKey(name);
+  return key === target || (includeChildren && key.startsWith(`${target}/`));
+}
+
+// The tag after renaming from -> to; children keep their own suffix
+export function renamedTag(tag, from, to, { includeChildren = true } = {}) {
+  if (!tagMatches(tag, from, { includeChildren })) return tag;
+  return `${to}${tag.slice(from.length)}`;
+}
+
+// A task's tags after mapping each one (null drops it), deduplicated
+export function rewriteTags(tags, mapper) {
+  return uniqueTags((tags || []).map(mapper).filter(Boolean));
+}
+
+export function sameTags(a, b) {
+  return a.length === b.length && a.every((tag, index) => tag === b[index]);
+}
+
+// Tags used by rows (normalizeTask rows) plus registered ones:
+// [{ name, key, parent, count, open, completed, color, task_ids }] by name
+export function collectTags(rows, registry = {}) {
+  const tags = new Map();
+  const entry = name => {
+    const key = tagKey(name);
+    if (!tags.has(key)) {
+      tags.set(key, { name, key, parent: parentOf(name), count: 0, open: 0, completed: 0, color: registry[key]?.color || null, task_ids: [] });
+    }
+    return tags.get(key);
+  };
+
+  for (const row of rows) {
+    for (const name of uniqueTags(row.tags || [])) {
+      const tag = entry(name);
+      tag.count++;
+      tag[row.completed ? 'completed' : 'open']++;
+      tag.task_ids.push(row.id);
+    }
+  }
+  for (const registered of Object.values(registry)) {
+    entry(registered.name);
+  }
+  return [...tags.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Nested view of collectTags() output; parents that are only implied by a child get count 0.
+// total includes every descendant's tasks (a task counts once per node)
+export function buildTagTree(tags) {
+  const nodes = new Map();
+  const node = (name, source = null) => {
+    const key = tagKey(name);
+    if (!nodes.has(key)) {
+      nodes.set(key, { name, count: 0, open: 0, color: null, task_ids: new Set(), children: [] });
+      const parent = parentOf(name);
+      if (parent) node(parent).children.push(nodes.get(key));
+    }
+    const current = nodes.get(key);
+    if (source) Object.assign(current, { name: source.name, count: source.count, open: source.open, color: source.color });
+    return current;
+  };
+
+  for (const tag of tags) {
+    node(tag.name, tag);
+    for (let parent = tag.name; parent; parent = parentOf(parent)) {
+      for (const id of tag.task_ids) node(parent).task_ids.add(id);
+    }
+  }
+
+  const finish = item => ({
+    name: item.name,
+    count: item.count,
+    open: item.open,
+    total: item.task_ids.size,
+    color: item.color,
+    children: item.children.sort((a, b) => tagKey(a.name).localeCompare(tagKey(b.name))).map(finish)
+  });
+  return [...nodes.values()]
+    .filter(item => !parentOf(item.name))
+    .sort((a, b) => tagKey(a.name).localeCompare(tagKey(b.name)))
+    .map(finish);
+}
+
+// Indented tree lines for tool output
+export function formatTagTree(tree, depth = 0) {
+  return tree.flatMap(item => [
+    `${'  '.repeat(depth)}• #${item.name.split('/').pop()} - ${item.total} task${item.total === 1 ? '' : 's'}${item.children.length && item.count !== item.total ? ` (${item.count} directly)` : ''}${item.color ? ` ${item.color}` : ''}`,
+    ...formatTagTree(item.children, depth + 1)
+  ]);
+}
@@ -0,0 +1,107 @@
+// Batch Operations
+import taskTools from './tasks.js';
+import { TASK_QUERY_PROPERTY, TASK_ID_OR_QUERY } from './schemas.js';
+
+const category = 'Batch Operations';
+
+function inputSchemaOf(name) {
+  return taskTools.find(tool => tool.name === name).inputSchema;
+}
+
+// op -> TickTickMCPServer handler and the arguments it takes (validated per operation)
+export const BATCH_OPERATIONS = {
+  create: { handler: 'createTask', inputSchema: inputSchemaOf('ticktick_create_task') },
+  update: { handler: 'updateTask', inputSchema: inputSchemaOf('ticktick_update_task') },
+  complete: { handler: 'completeTask', inputSchema: inputSchemaOf('ticktick_complete_task') },
+  delete: { handler: 'deleteTask', inputSchema: inputSchemaOf('ticktick_delete_task') },
+  move: {
+    handler: 'moveTask',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Current project (resolved from cache if omitted)' },
+        to_project_id: { type: 'string', minLength: 1 }
+      },
+      required: ['to_project_id'],
+      anyOf: TASK_ID_OR_QUERY
+    }
+  },
+  tag: {
+    handler: 'tagTask',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Project of the task (resolved from cache if omitted)' },
+        add_tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+        remove_tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+      },
+      anyOf: TASK_ID_OR_QUERY
+    }
+  }
+};
+
+export default [
+  {
+    name: 'ticktick_batch',
+    category,
+    mutating: true,
+    description: 'Run many create/update/complete/delete/move/tag task operations in one call with bounded concurrency and a single cache write',
+    handler: 'runBatch',
+    rest: '/api/ticktick/batch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operations: {
+          type: 'array',
+          description: 'Operations to run. Each has an "op" plus that operation\'s arguments: create (title, content, project_id, priority, due_date, tags, recurrence, reminders), update (task_id, title, content, priority, completed, due_date, recurrence, reminders), complete/delete (task_id), move (task_id, to_project_id), tag (task_id, add_tags, remove_tags). project_id is resolved from the cache when omitted; task_query may replace task_id.',
+          minItems: 1,
+          maxItems: 200,
+          items: {
+            type: 'object',
+            properties: {
+              op: { type: 'string', enum: Object.keys(BATCH_OPERATIONS) }
+            },
+            required: ['op']
+          }
+        },
+        mode: {
+          type: 'string',
+          enum: ['continue', 'stop_on_error'],
+          description: 'continue runs every operation; stop_on_error skips the ones not started yet after the first failure',
+          default: 'continue'
+        },
+        concurrency: { type: 'number', description: 'Operations in flight at once', minimum: 1, maximum: 10 }
+      },
+      required: ['operations']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'number' },
+              op: { type: 'string' },
+              status: { type: 'string', enum: ['ok', 'error', 'skipped'] },
+              task_id: { type: ['string', 'null'] },
+              data: { type: 'object' },
+              error: { type: 'string' }
+            },
+            required: ['index', 'op', 'status']
+          }
+        },
+        succeeded: { type: 'number' },
+        failed: { type: 'number' },
+        skipped: { type: 'number' },
+        mode: { type: 'string' }
+      },
+      required: ['results', 'succeeded', 'failed', 'skipped', 'mode']
+    }
+  }
+];
@@ -0,0 +1,204 @@
+// Cache System (BREAKTHROUGH FEATURE)
+import { CACHED_TASK_OUTPUT_SCHEMA } from './schemas.js';
+import { CSV_EXPORT_COLUMNS } from '../csv.js';
+
+const category = 'Cache System';
+
+export default [
+  {
+    name: 'ticktick_get_cached_tasks',
+    category,
+    description: 'Get all cached tasks (BREAKTHROUGH FEATURE)',
+    handler: 'getCachedTasks',
+    rest: '/api/ticktick/cache/tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'Filter by project ID' },
+        include_stale: { type: 'boolean', description: 'Include stale tasks', default: true }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        tasks: { type: 'array', items: CACHED_TASK_OUTPUT_SCHEMA },
+        count: { type: 'number' }
+      },
+      required: ['tasks', 'count']
+    }
+  },
+  {
+    name: 'ticktick_register_task_id',
+    category,
+    mutating: true,
+    description: 'Register existing task ID to cache',
+    handler: 'registerTaskId',
+    rest: '/api/ticktick/cache/register',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'Task ID to register' },
+        project_id: { type: 'string', description: 'Project ID' },
+        title: { type: 'string', description: 'Task title' }
+      },
+      required: ['task_id', 'project_id', 'title']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { task: CACHED_TASK_OUTPUT_SCHEMA },
+      required: ['task']
+    }
+  },
+  {
+    name: 'ticktick_import_from_csv',
+    category,
+    mutating: true,
+    description: 'Import tasks from CSV (RFC 4180, columns matched by header name). Registers existing tasks in the cache, or creates them in TickTick with create_tasks',
+    handler: 'importFromCsv',
+    rest: '/api/ticktick/cache/import-csv',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        csv_data: { type: 'string', description: 'CSV with a header row. Columns: task_id, project_id, title (required to register), content, due_date (YYYY-MM-DD for all-day or an ISO 8601 date-time, read in TICKTICK_TIMEZONE without an offset), priority (0/1/3/5 or none/low/medium/high), tags (separated by ;)', minLength: 1 },
+        create_tasks: { type: 'boolean', description: 'Create each row as a new TickTick task (only title is required)', default: false },
+        default_project_id: { type: 'string', description: 'Project for created tasks whose row has no project_id (default: Inbox)' }
+      },
+      required: ['csv_data']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        imported: { type: 'number' },
+        created: { type: 'number' },
+        skipped: { type: 'number' },
+        rows: { type: 'number' },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { line: { type: 'number' }, task_id: { type: 'string' }, title: { type: 'string' } }
+          }
+        },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { line: { type: 'number' }, error: { type: 'string' } },
+            required: ['line', 'error']
+          }
+        },
+        ignored_columns: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['imported', 'skipped', 'errors']
+    }
+  },
+  {
+    name: 'ticktick_export_csv',
+    category,
+    description: 'Export cached tasks as RFC 4180 CSV (re-importable with ticktick_import_from_csv)',
+    handler: 'exportCsv',
+    rest: '/api/ticktick/cache/export-csv',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'Only export tasks of this project' },
+        include_completed: { type: 'boolean', description: 'Include completed tasks', default: false },
+        columns: {
+          type: 'array',
+          description: 'Columns to export, in order',
+          items: { type: 'string', enum: CSV_EXPORT_COLUMNS },
+          minItems: 1
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        csv: { type: 'string' },
+        count: { type: 'number' },
+        columns: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['csv', 'count', 'columns']
+    }
+  },
+  {
+    name: 'ticktick_cache_stats',
+    category,
+    description: 'Show cache size, fresh/stale counts, per-project counts and revalidation status',
+    handler: 'getCacheStats',
+    rest: '/api/ticktick/cache/stats',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        backend: { type: 'string' },
+        path: { type: 'string' },
+        total: { type: 'number' },
+        fresh: { type: 'number' },
+        stale: { type: 'number' },
+        full_data: { type: 'number' },
+        title_only: { type: 'number' },
+        completed: { type: 'number' },
+        projects: { type: 'number' },
+        by_project: { type: 'object' },
+        oldest_cached_at: { type: ['string', 'null'] },
+        newest_cached_at: { type: ['string', 'null'] },
+        ttl_hours: { type: 'number' },
+        last_sync: { type: ['string', 'null'] },
+        last_revalidation: { type: ['string', 'null'] },
+        background_revalidation: { type: 'boolean' }
+      },
+      required: ['total', 'fresh', 'stale']
+    }
+  },
+  {
+    name: 'ticktick_cache_prune',
+    category,
+    mutating: true,
+    description: 'Re-fetch stale cache entries (dropping ones TickTick no longer has) and optionally drop old or completed entries',
+    handler: 'pruneCache',
+    rest: '/api/ticktick/cache/prune',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        revalidate: { type: 'boolean', description: 'Re-fetch stale entries from TickTick first', default: true },
+        limit: { type: 'number', description: 'Maximum stale entries to re-fetch', minimum: 1, default: 100 },
+        drop_stale: { type: 'boolean', description: 'Drop entries that are still stale without asking TickTick', default: false },
+        max_age_hours: { type: 'number', description: 'Drop entries cached longer ago than this', minimum: 0 },
+        drop_completed: { type: 'boolean', description: 'Drop entries of completed tasks', default: false }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        checked: { type: 'number' },
+        refreshed: { type: 'number' },
+        removed: { type: 'number' },
+        dropped: { type: 'number' },
+        remaining: { type: 'number' },
+        errors: { type: 'array', items: { type: 'object' } }
+      },
+      required: ['checked', 'refreshed', 'removed', 'dropped', 'remaining']
+    }
+  },
+  {
+    name: 'ticktick_cache_clear',
+    category,
+    mutating: true,
+    description: 'Remove every entry from the local cache (tasks, projects and sync state)',
+    handler: 'clearCache',
+    rest: '/api/ticktick/cache/clear',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        confirm: { type: 'boolean', enum: [true], description: 'Must be true to clear the cache' }
+      },
+      required: ['confirm']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { cleared: { type: 'number' } },
+      required: ['cleared']
+    }
+  }
+];
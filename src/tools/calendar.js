@@ -0,0 +1,40 @@
+// Calendar Integration
+import { GENERIC_OUTPUT_SCHEMA } from './schemas.js';
+
+const category = 'Calendar Integration';
+
+export default [
+  {
+    name: 'ticktick_get_calendar_events',
+    category,
+    description: 'List calendar events',
+    handler: 'getCalendarEvents',
+    rest: '/api/ticktick/calendar/events',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        start_date: { type: 'string', format: 'date', description: 'Start date (YYYY-MM-DD)' },
+        end_date: { type: 'string', format: 'date', description: 'End date (YYYY-MM-DD)' }
+      }
+    },
+    outputSchema: GENERIC_OUTPUT_SCHEMA
+  },
+  {
+    name: 'ticktick_create_calendar_event',
+    category,
+    mutating: true,
+    description: 'Create calendar event',
+    handler: 'createCalendarEvent',
+    rest: '/api/ticktick/calendar/create-event',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Event title', minLength: 1 },
+        start_time: { type: 'string', format: 'date-time', description: 'Event start time (ISO format)' },
+        end_time: { type: 'string', format: 'date-time', description: 'Event end time (ISO format)' }
+      },
+      required: ['title', 'start_time', 'end_time']
+    },
+    outputSchema: GENERIC_OUTPUT_SCHEMA
+  }
+];
@@ -0,0 +1,195 @@
+// Checklist Items
+import { TASK_OUTPUT_SCHEMA, TASK_QUERY_PROPERTY, TASK_ID_OR_QUERY } from './schemas.js';
+
+const category = 'Checklist Items';
+
+const TASK_REF_PROPERTIES = {
+  task_id: { type: 'string', description: 'ID of the task that holds the checklist' },
+  task_query: TASK_QUERY_PROPERTY,
+  project_id: { type: 'string', description: 'Project ID of the task (resolved from cache if omitted)' }
+};
+
+const ITEM_REF_SCHEMA = {
+  type: ['string', 'integer'],
+  description: 'Checklist item ID or its 1-based position in the checklist'
+};
+
+const CHECKLIST_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    task: TASK_OUTPUT_SCHEMA,
+    progress: {
+      type: 'object',
+      properties: {
+        checked: { type: 'number' },
+        total: { type: 'number' },
+        percent: { type: 'number' }
+      },
+      required: ['checked', 'total', 'percent']
+    }
+  },
+  required: ['task', 'progress']
+};
+
+export default [
+  {
+    name: 'ticktick_add_checklist_items',
+    category,
+    mutating: true,
+    description: 'Add checklist items (subtasks) to a task',
+    handler: 'addChecklistItems',
+    rest: '/api/ticktick/checklist/add',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        items: {
+          type: 'array',
+          description: 'Titles of the items to add',
+          minItems: 1,
+          maxItems: 100,
+          items: { type: 'string', minLength: 1 }
+        },
+        position: { type: 'integer', description: '1-based position to insert at (default: the end)', minimum: 1 }
+      },
+      required: ['items'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: CHECKLIST_OUTPUT_SCHEMA
+  },
+  {
+    name: 'ticktick_update_checklist_item',
+    category,
+    mutating: true,
+    description: 'Rename a checklist item or check/uncheck it',
+    handler: 'updateChecklistItem',
+    rest: '/api/ticktick/checklist/update',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        item: ITEM_REF_SCHEMA,
+        title: { type: 'string', description: 'New item title', minLength: 1 },
+        completed: { type: 'boolean', description: 'Check (true) or uncheck (false) the item' }
+      },
+      required: ['item'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: CHECKLIST_OUTPUT_SCHEMA
+  },
+  {
+    name: 'ticktick_check_checklist_items',
+    category,
+    mutating: true,
+    description: 'Check or uncheck several checklist items at once (all of them when items is omitted)',
+    handler: 'checkChecklistItems',
+    rest: '/api/ticktick/checklist/check',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        items: { type: 'array', items: ITEM_REF_SCHEMA, minItems: 1, description: 'Items to change (default: all)' },
+        checked: { type: 'boolean', description: 'true checks the items, false unchecks them', default: true }
+      },
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: CHECKLIST_OUTPUT_SCHEMA
+  },
+  {
+    name: 'ticktick_reorder_checklist_items',
+    category,
+    mutating: true,
+    description: 'Reorder checklist items: the listed items move to the top in the given order, the rest follow unchanged',
+    handler: 'reorderChecklistItems',
+    rest: '/api/ticktick/checklist/reorder',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        items: { type: 'array', items: ITEM_REF_SCHEMA, minItems: 1, description: 'Items in their new order (positions refer to the current order)' }
+      },
+      required: ['items'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: CHECKLIST_OUTPUT_SCHEMA
+  },
+  {
+    name: 'ticktick_remove_checklist_items',
+    category,
+    mutating: true,
+    description: 'Remove checklist items from a task',
+    handler: 'removeChecklistItems',
+    rest: '/api/ticktick/checklist/remove',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        items: { type: 'array', items: ITEM_REF_SCHEMA, minItems: 1, description: 'Items to remove (positions refer to the current order)' }
+      },
+      required: ['items'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: CHECKLIST_OUTPUT_SCHEMA
+  },
+  {
+    name: 'ticktick_checklist_to_tasks',
+    category,
+    mutating: true,
+    description: 'Turn checklist items into separate tasks (checked items become completed tasks) and remove them from the checklist',
+    handler: 'checklistToTasks',
+    rest: '/api/ticktick/checklist/to-tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        items: { type: 'array', items: ITEM_REF_SCHEMA, minItems: 1, description: 'Items to convert (default: all)' },
+        to_project_id: { type: 'string', description: 'Project for the new tasks (default: the task\'s project)' },
+        delete_task: { type: 'boolean', description: 'Delete the original task once its checklist is empty', default: false }
+      },
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        task: TASK_OUTPUT_SCHEMA,
+        created: { type: 'array', items: TASK_OUTPUT_SCHEMA },
+        task_deleted: { type: 'boolean' }
+      },
+      required: ['task', 'created', 'task_deleted']
+    }
+  },
+  {
+    name: 'ticktick_tasks_to_checklist',
+    category,
+    mutating: true,
+    description: 'Turn existing tasks into checklist items of another task (completed tasks become checked items)',
+    handler: 'tasksToChecklist',
+    rest: '/api/ticktick/checklist/from-tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        source_task_ids: {
+          type: 'array',
+          description: 'Tasks to turn into items, in order',
+          minItems: 1,
+          maxItems: 100,
+          items: { type: 'string', minLength: 1 }
+        },
+        source_project_id: { type: 'string', description: 'Project of the source tasks (resolved from cache if omitted)' },
+        delete_sources: { type: 'boolean', description: 'Delete the source tasks afterwards', default: true }
+      },
+      required: ['source_task_ids'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        task: TASK_OUTPUT_SCHEMA,
+        progress: CHECKLIST_OUTPUT_SCHEMA.properties.progress,
+        deleted_task_ids: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['task', 'progress', 'deleted_task_ids']
+    }
+  }
+];
@@ -0,0 +1,25 @@
+// Collaboration & Team
+import { GENERIC_OUTPUT_SCHEMA } from './schemas.js';
+
+const category = 'Collaboration';
+
+export default [
+  {
+    name: 'ticktick_share_project',
+    category,
+    mutating: true,
+    description: 'Share project with others',
+    handler: 'shareProject',
+    rest: '/api/ticktick/projects/share',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'ID of the project to share' },
+        emails: { type: 'array', items: { type: 'string', format: 'email' }, minItems: 1, description: 'Email addresses to share with' },
+        permission_level: { type: 'string', enum: ['view', 'edit', 'admin'], default: 'edit' }
+      },
+      required: ['project_id', 'emails']
+    },
+    outputSchema: GENERIC_OUTPUT_SCHEMA
+  }
+];
@@ -0,0 +1,140 @@
+// Focus Time & Productivity
+import { TASK_QUERY_PROPERTY } from './schemas.js';
+import { FOCUS_PHASES, FOCUS_PERIODS } from '../focus.js';
+
+const category = 'Focus & Productivity';
+
+const SESSION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    phase: { type: 'string', enum: FOCUS_PHASES },
+    status: { type: 'string', enum: ['running', 'paused', 'completed', 'stopped', 'abandoned'] },
+    task_id: { type: ['string', 'null'] },
+    task_title: { type: ['string', 'null'] },
+    project_id: { type: ['string', 'null'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    planned_minutes: { type: 'number' },
+    started_at: { type: 'string' },
+    ended_at: { type: ['string', 'null'] },
+    focus_minutes: { type: ['number', 'null'] }
+  }
+};
+
+// Timer fields reported for the session a lifecycle tool acted on
+const SESSION_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    session: SESSION_OUTPUT_SCHEMA,
+    elapsed_seconds: { type: 'number' },
+    remaining_seconds: { type: 'number', description: '0 once the session has ended' },
+    next_phase: { type: 'string', enum: FOCUS_PHASES }
+  },
+  required: ['session']
+};
+
+// Pause, resume, stop and abandon act on the active session and take no arguments
+const lifecycleTool = (name, handler, route, description) => ({
+  name,
+  category,
+  mutating: true,
+  journal: false,
+  description,
+  handler,
+  rest: `/api/ticktick/focus/${route}`,
+  inputSchema: { type: 'object', properties: {} },
+  outputSchema: SESSION_RESULT_SCHEMA
+});
+
+const MINUTES_BREAKDOWN_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { minutes: { type: 'number' }, sessions: { type: 'number' } },
+    required: ['minutes', 'sessions']
+  }
+};
+
+export default [
+  {
+    name: 'ticktick_start_focus_session',
+    category,
+    mutating: true,
+    journal: false,
+    description: 'Start a focus session or Pomodoro break, optionally linked to a task. Only one session can be active at a time',
+    handler: 'startFocusSession',
+    rest: '/api/ticktick/focus/start',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task to focus on' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Project of the task, when it is not in the cache' },
+        phase: {
+          type: 'string',
+          enum: [...FOCUS_PHASES, 'next'],
+          description: 'work, short_break or long_break; next follows the Pomodoro cycle (a break after each focus session, a long one every TICKTICK_POMODORO_LONG_BREAK_EVERY)',
+          default: 'work'
+        },
+        duration: { type: 'number', description: 'Length in minutes (defaults to the phase\'s Pomodoro length)', minimum: 1, maximum: 180 },
+        note: { type: 'string', description: 'What this session is for' }
+      }
+    },
+    outputSchema: SESSION_RESULT_SCHEMA
+  },
+  lifecycleTool('ticktick_pause_focus_session', 'pauseFocusSession', 'pause', 'Pause the running focus session; paused time does not count'),
+  lifecycleTool('ticktick_resume_focus_session', 'resumeFocusSession', 'resume', 'Resume the paused focus session'),
+  lifecycleTool('ticktick_stop_focus_session', 'stopFocusSession', 'stop', 'End the active session early and log the time focused so far'),
+  lifecycleTool('ticktick_abandon_focus_session', 'abandonFocusSession', 'abandon', 'Discard the active session; its time is not counted'),
+  {
+    name: 'ticktick_focus_status',
+    category,
+    description: 'Show the active focus session with elapsed and remaining time, and what comes next in the Pomodoro cycle',
+    handler: 'getFocusStatus',
+    rest: '/api/ticktick/focus/status',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        active: { anyOf: [SESSION_OUTPUT_SCHEMA, { type: 'null' }] },
+        elapsed_seconds: { type: 'number' },
+        remaining_seconds: { type: 'number' },
+        ends_at: { type: 'string' },
+        finished: { anyOf: [SESSION_OUTPUT_SCHEMA, { type: 'null' }] },
+        next_phase: { type: 'string', enum: FOCUS_PHASES },
+        work_sessions_in_cycle: { type: 'number' }
+      },
+      required: ['active', 'next_phase']
+    }
+  },
+  {
+    name: 'ticktick_get_focus_stats',
+    category,
+    description: 'Get focused minutes per day, task, project and tag from the focus session log',
+    handler: 'getFocusStats',
+    rest: '/api/ticktick/focus/stats',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        period: { type: 'string', enum: FOCUS_PERIODS, description: 'today, this week (from TICKTICK_WEEK_START) or this month', default: 'today' },
+        time_zone: { type: 'string', description: 'IANA timezone that decides which day a session belongs to (defaults to TICKTICK_TIMEZONE)' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        period: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        time_zone: { type: 'string' },
+        total_minutes: { type: 'number' },
+        sessions: { type: 'number' },
+        by_day: MINUTES_BREAKDOWN_SCHEMA,
+        by_task: MINUTES_BREAKDOWN_SCHEMA,
+        by_project: MINUTES_BREAKDOWN_SCHEMA,
+        by_tag: MINUTES_BREAKDOWN_SCHEMA
+      },
+      required: ['period', 'from', 'to', 'total_minutes', 'sessions', 'by_day']
+    }
+  }
+];
@@ -0,0 +1,249 @@
+// Habits & Tracking
+import { HABIT_FREQUENCIES } from '../habits.js';
+
+const category = 'Habits & Tracking';
+
+const HABIT_REF_PROPERTY = { type: 'string', description: 'Habit ID or exact habit name', minLength: 1 };
+
+// Shared by create and update
+const HABIT_PROPERTIES = {
+  name: { type: 'string', description: 'Name of the habit', minLength: 1 },
+  frequency: {
+    type: 'string',
+    enum: HABIT_FREQUENCIES,
+    description: 'daily (every day, or only on `days`), weekly (on `days`, or `times_per_period` times a week) or monthly (`times_per_period` times a month)'
+  },
+  days: {
+    type: 'array',
+    items: { type: 'string', minLength: 2 },
+    minItems: 1,
+    maxItems: 7,
+    description: 'Weekdays the habit is due, e.g. ["mon", "wed", "fri"]'
+  },
+  times_per_period: { type: 'number', description: 'Days per week/month to hit the goal when no days are set', minimum: 1, maximum: 31 },
+  goal: { type: 'number', description: 'Amount that completes a day, e.g. 8 (glasses)', minimum: 1 },
+  unit: { type: 'string', description: 'Unit of the goal, e.g. "glasses" or "pages"' },
+  color: { type: 'string', description: 'Display color, e.g. #4CAF50' },
+  start_date: { type: 'string', format: 'date', description: 'First day the habit counts (YYYY-MM-DD)' }
+};
+
+const HABIT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    frequency: { type: 'string' },
+    days: { type: 'array', items: { type: 'string' } },
+    times_per_period: { type: 'number' },
+    goal: { type: 'number' },
+    unit: { type: ['string', 'null'] },
+    archived: { type: 'boolean' },
+    schedule: { type: 'string' }
+  }
+};
+
+const STREAK_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    current: { type: 'number' },
+    longest: { type: 'number' },
+    unit: { type: 'string', enum: ['days', 'weeks', 'months'] }
+  },
+  required: ['current', 'longest', 'unit']
+};
+
+export default [
+  {
+    name: 'ticktick_get_habits',
+    category,
+    description: 'List habits with today\'s progress and current streak',
+    handler: 'getHabits',
+    rest: '/api/ticktick/habits',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_archived: { type: 'boolean', description: 'Include archived habits', default: false }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        habits: { type: 'array', items: HABIT_OUTPUT_SCHEMA },
+        count: { type: 'number' },
+        backend: { type: 'string' }
+      },
+      required: ['habits', 'count']
+    }
+  },
+  {
+    name: 'ticktick_create_habit',
+    category,
+    mutating: true,
+    description: 'Create a habit, e.g. "3 times a week on Mon/Wed/Fri" (days) or "8 glasses a day" (goal + unit)',
+    handler: 'createHabit',
+    rest: '/api/ticktick/habits/create',
+    inputSchema: {
+      type: 'object',
+      properties: { ...HABIT_PROPERTIES },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { habit: HABIT_OUTPUT_SCHEMA },
+      required: ['habit']
+    }
+  },
+  {
+    name: 'ticktick_update_habit',
+    category,
+    mutating: true,
+    description: 'Change a habit\'s name, schedule or goal',
+    handler: 'updateHabit',
+    rest: '/api/ticktick/habits/update',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        habit_id: HABIT_REF_PROPERTY,
+        ...HABIT_PROPERTIES,
+        days: { ...HABIT_PROPERTIES.days, minItems: 0, description: 'Weekdays the habit is due; [] removes the fixed days' }
+      },
+      required: ['habit_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { habit: HABIT_OUTPUT_SCHEMA },
+      required: ['habit']
+    }
+  },
+  {
+    name: 'ticktick_archive_habit',
+    category,
+    mutating: true,
+    description: 'Archive a habit (hidden from the list, check-ins kept) or bring it back',
+    handler: 'archiveHabit',
+    rest: '/api/ticktick/habits/archive',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        habit_id: HABIT_REF_PROPERTY,
+        archived: { type: 'boolean', description: 'false unarchives the habit', default: true }
+      },
+      required: ['habit_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { habit: HABIT_OUTPUT_SCHEMA },
+      required: ['habit']
+    }
+  },
+  {
+    name: 'ticktick_checkin_habit',
+    category,
+    mutating: true,
+    description: 'Check in a habit for today or an earlier day; count adds to the day\'s total toward the goal',
+    handler: 'checkinHabit',
+    rest: '/api/ticktick/habits/checkin',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        habit_id: HABIT_REF_PROPERTY,
+        date: { type: 'string', format: 'date', description: 'Date for check-in (YYYY-MM-DD), defaults to today' },
+        count: { type: 'number', description: 'Amount done, e.g. 2 (glasses)', minimum: 1, default: 1 }
+      },
+      required: ['habit_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        checkin: { type: 'object' },
+        habit: HABIT_OUTPUT_SCHEMA,
+        date: { type: 'string' },
+        day_total: { type: 'number' },
+        goal: { type: 'number' },
+        done: { type: 'boolean' },
+        streak: STREAK_OUTPUT_SCHEMA
+      },
+      required: ['checkin', 'date', 'day_total', 'goal', 'done']
+    }
+  },
+  {
+    name: 'ticktick_undo_habit_checkin',
+    category,
+    mutating: true,
+    description: 'Remove a habit check-in: the given one, or the latest on a day',
+    handler: 'undoHabitCheckin',
+    rest: '/api/ticktick/habits/undo-checkin',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        habit_id: HABIT_REF_PROPERTY,
+        date: { type: 'string', format: 'date', description: 'Day of the check-in (YYYY-MM-DD), defaults to today' },
+        checkin_id: { type: 'string', description: 'A specific check-in from ticktick_get_habit_history' }
+      },
+      required: ['habit_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        removed: { type: 'object' },
+        date: { type: 'string' },
+        day_total: { type: 'number' },
+        goal: { type: 'number' },
+        done: { type: 'boolean' }
+      },
+      required: ['removed', 'date', 'day_total', 'goal', 'done']
+    }
+  },
+  {
+    name: 'ticktick_get_habit_history',
+    category,
+    description: 'Streaks, completion rate per week or month and a calendar heatmap from a habit\'s check-in log',
+    handler: 'getHabitHistory',
+    rest: '/api/ticktick/habits/history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        habit_id: HABIT_REF_PROPERTY,
+        from: { type: 'string', format: 'date', description: 'First day (default: 12 weeks ago)' },
+        to: { type: 'string', format: 'date', description: 'Last day (default: today)' },
+        group_by: { type: 'string', enum: ['week', 'month'], description: 'Completion rate buckets', default: 'week' },
+        include_checkins: { type: 'boolean', description: 'Also return the raw check-ins in the range', default: false }
+      },
+      required: ['habit_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        habit: HABIT_OUTPUT_SCHEMA,
+        from: { type: 'string' },
+        to: { type: 'string' },
+        streak: STREAK_OUTPUT_SCHEMA,
+        rates: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              period: { type: 'string' },
+              from: { type: 'string' },
+              to: { type: 'string' },
+              done: { type: 'number' },
+              due: { type: 'number' },
+              rate: { type: ['number', 'null'] }
+            }
+          }
+        },
+        overall_rate: { type: ['number', 'null'] },
+        heatmap: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { date: { type: 'string' }, count: { type: 'number' }, level: { type: 'number' } }
+          }
+        },
+        total_checkins: { type: 'number' },
+        checkins: { type: 'array', items: { type: 'object' } }
+      },
+      required: ['habit', 'from', 'to', 'streak', 'rates', 'heatmap', 'total_checkins']
+    }
+  }
+];
@@ -0,0 +1,81 @@
+// Undo & History
+const category = 'Undo & History';
+
+export default [
+  {
+    name: 'ticktick_undo',
+    category,
+    mutating: true,
+    journal: false,
+    description: 'Reverse the last N journaled operations, or one specific operation, by restoring or recreating the affected tasks and projects',
+    handler: 'undoOperations',
+    rest: '/api/ticktick/undo',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'number', description: 'Number of most recent operations to undo', minimum: 1, maximum: 50, default: 1 },
+        operation_id: { type: 'string', description: 'Undo this operation (from ticktick_history) instead of the latest ones' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        undone: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              operation_id: { type: 'string' },
+              tool: { type: 'string' },
+              undone: { type: 'boolean' },
+              steps: { type: 'array', items: { type: 'object' } }
+            },
+            required: ['operation_id', 'tool', 'undone', 'steps']
+          }
+        },
+        count: { type: 'number' }
+      },
+      required: ['undone', 'count']
+    }
+  },
+  {
+    name: 'ticktick_history',
+    category,
+    description: 'List recent mutating operations from the journal, newest first',
+    handler: 'getHistory',
+    rest: '/api/ticktick/history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: 'Maximum operations to list', minimum: 1, maximum: 200, default: 20 },
+        tool: { type: 'string', description: 'Only list operations of this tool' },
+        include_undone: { type: 'boolean', description: 'Include operations that were already undone', default: true }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        operations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              tool: { type: 'string' },
+              status: { type: 'string', enum: ['applied', 'partial', 'undone'] },
+              undoable: { type: 'boolean' },
+              started_at: { type: 'string' },
+              finished_at: { type: 'string' },
+              error: { type: ['string', 'null'] },
+              arguments: { type: 'object' },
+              calls: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['id', 'tool', 'status', 'undoable']
+          }
+        },
+        count: { type: 'number' }
+      },
+      required: ['operations', 'count']
+    }
+  }
+];
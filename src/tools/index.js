@@ -0,0 +1,106 @@
+/**
+ * Tool registry - the single source of truth for every TickTick tool
+ *
+ * Each definition drives:
+ * - ListTools (name, description, inputSchema, outputSchema)
+ * - CallTool dispatch (handler = TickTickMCPServer method name)
+ * - REST routes (rest = POST path, optional)
+ * - /api/docs and the tool counts reported by / and /api/docs
+ *
+ * mutating: true marks tools that change TickTick or the cache; they get a
+ * dry_run argument and report the planned calls under structuredContent.dry_run.
+ * They are also journaled for ticktick_undo (operation_id in the result) unless
+ * they set journal: false or a call sends nothing to TickTick.
+ */
+
+import taskTools from './tasks.js';
+import checklistTools from './checklist.js';
+import queryTools from './query.js';
+import batchTools from './batch.js';
+import projectTools from './projects.js';
+import cacheTools from './cache.js';
+import syncTools from './sync.js';
+import historyTools from './history.js';
+import habitTools from './habits.js';
+import focusTools from './focus.js';
+import tagTools from './tags.js';
+import calendarTools from './calendar.js';
+import reportTools from './reports.js';
+import collaborationTools from './collaboration.js';
+import noteTools from './notes.js';
+
+const DRY_RUN_INPUT_SCHEMA = {
+  type: 'boolean',
+  description: 'Only report the API calls and before/after this would apply - change nothing',
+  default: false
+};
+
+const DRY_RUN_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    tool: { type: 'string' },
+    calls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          method: { type: 'string' },
+          endpoint: { type: 'string' },
+          body: {},
+          before: {},
+          after: {}
+        },
+        required: ['method', 'endpoint']
+      }
+    },
+    cache_writes: { type: 'number' }
+  },
+  required: ['tool', 'calls', 'cache_writes']
+};
+
+function withMutatingFields(tool) {
+  if (!tool.mutating) return tool;
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, dry_run: DRY_RUN_INPUT_SCHEMA }
+    },
+    outputSchema: tool.outputSchema && {
+      ...tool.outputSchema,
+      properties: {
+        ...tool.outputSchema.properties,
+        dry_run: DRY_RUN_OUTPUT_SCHEMA,
+        ...(tool.journal !== false ? { operation_id: { type: 'string' } } : {})
+      }
+    }
+  };
+}
+
+export const TOOL_DEFINITIONS = [
+  ...taskTools,
+  ...checklistTools,
+  ...queryTools,
+  ...batchTools,
+  ...projectTools,
+  ...cacheTools,
+  ...syncTools,
+  ...historyTools,
+  ...habitTools,
+  ...focusTools,
+  ...tagTools,
+  ...calendarTools,
+  ...reportTools,
+  ...collaborationTools,
+  ...noteTools
+].map(withMutatingFields);
+
+export const TOOLS_BY_NAME = new Map(TOOL_DEFINITIONS.map(tool => [tool.name, tool]));
+
+export function getToolCategories() {
+  const categories = {};
+  for (const tool of TOOL_DEFINITIONS) {
+    categories[tool.category] = (categories[tool.category] || 0) + 1;
+  }
+  return categories;
+}
@@ -0,0 +1,24 @@
+// Notes & Attachments
+import { GENERIC_OUTPUT_SCHEMA } from './schemas.js';
+
+const category = 'Notes & Attachments';
+
+export default [
+  {
+    name: 'ticktick_add_task_note',
+    category,
+    mutating: true,
+    description: 'Add note to task',
+    handler: 'addTaskNote',
+    rest: '/api/ticktick/tasks/add-note',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task' },
+        note_content: { type: 'string', description: 'Note content', minLength: 1 }
+      },
+      required: ['task_id', 'note_content']
+    },
+    outputSchema: GENERIC_OUTPUT_SCHEMA
+  }
+];
@@ -0,0 +1,190 @@
+// Project Management
+import { PROJECT_OUTPUT_SCHEMA } from './schemas.js';
+import { PROJECT_VIEW_MODES, PROJECT_KINDS } from '../projects.js';
+
+const category = 'Project Management';
+
+const PROJECT_ID_PROPERTY = { type: 'string', description: 'ID of the project' };
+const COLOR_PROPERTY = { type: 'string', description: 'Project color (hex code)', pattern: '^#[0-9a-fA-F]{6}$' };
+
+const PROJECT_RESULT_SCHEMA = {
+  type: 'object',
+  properties: { project: PROJECT_OUTPUT_SCHEMA },
+  required: ['project']
+};
+
+export default [
+  {
+    name: 'ticktick_get_projects',
+    category,
+    description: 'Get all projects from TickTick',
+    handler: 'getProjects',
+    rest: '/api/ticktick/projects',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_archived: {
+          type: 'boolean',
+          description: 'Include archived projects',
+          default: false
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        projects: { type: 'array', items: PROJECT_OUTPUT_SCHEMA },
+        count: { type: 'number' }
+      },
+      required: ['projects', 'count']
+    }
+  },
+  {
+    name: 'ticktick_create_project',
+    category,
+    mutating: true,
+    description: 'Create a new project in TickTick',
+    handler: 'createProject',
+    rest: '/api/ticktick/projects/create',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the project',
+          minLength: 1
+        },
+        color: {
+          type: 'string',
+          description: 'Project color (hex code)',
+          pattern: '^#[0-9a-fA-F]{6}$',
+          default: '#3498db'
+        }
+      },
+      required: ['name']
+    },
+    outputSchema: PROJECT_RESULT_SCHEMA
+  },
+  {
+    name: 'ticktick_update_project',
+    category,
+    mutating: true,
+    description: 'Change the name, colour, view mode or kind of a project',
+    handler: 'updateProject',
+    rest: '/api/ticktick/projects/update',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: PROJECT_ID_PROPERTY,
+        name: { type: 'string', description: 'New name', minLength: 1 },
+        color: COLOR_PROPERTY,
+        view_mode: { type: 'string', enum: PROJECT_VIEW_MODES, description: 'How the project is shown' },
+        kind: { type: 'string', enum: PROJECT_KINDS, description: 'TASK for a task list, NOTE for a note list' }
+      },
+      required: ['project_id'],
+      anyOf: [{ required: ['name'] }, { required: ['color'] }, { required: ['view_mode'] }, { required: ['kind'] }]
+    },
+    outputSchema: PROJECT_RESULT_SCHEMA
+  },
+  {
+    name: 'ticktick_delete_project',
+    category,
+    mutating: true,
+    description: 'Delete a project and its tasks. The first call (without confirm_token) only previews what would be lost and returns a confirm_token; call again with it to delete. ticktick_undo restores the project and its open tasks, but not its completed tasks',
+    handler: 'deleteProject',
+    rest: '/api/ticktick/projects/delete',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: PROJECT_ID_PROPERTY,
+        confirm_token: { type: 'string', description: 'Token from the preview call; it expires after 10 minutes or when the project\'s tasks change' }
+      },
+      required: ['project_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        deleted: { type: 'boolean' },
+        project: PROJECT_OUTPUT_SCHEMA,
+        task_count: { type: 'number' },
+        unrecoverable_tasks: {
+          type: 'array',
+          description: 'Completed tasks of the project that sync has seen. Deleting removes them and ticktick_undo cannot restore them; there may be others',
+          items: {
+            type: 'object',
+            properties: { id: { type: 'string' }, title: { type: 'string' } },
+            required: ['id', 'title']
+          }
+        },
+        confirm_token: { type: 'string' },
+        expires_at: { type: 'string' }
+      },
+      required: ['deleted', 'project', 'task_count', 'unrecoverable_tasks']
+    }
+  },
+  {
+    name: 'ticktick_archive_project',
+    category,
+    mutating: true,
+    description: 'Archive a project, or restore an archived one with archived: false',
+    handler: 'archiveProject',
+    rest: '/api/ticktick/projects/archive',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: PROJECT_ID_PROPERTY,
+        archived: { type: 'boolean', description: 'true archives the project, false restores it', default: true }
+      },
+      required: ['project_id']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { project: PROJECT_OUTPUT_SCHEMA, archived: { type: 'boolean' } },
+      required: ['project', 'archived']
+    }
+  },
+  {
+    name: 'ticktick_duplicate_project',
+    category,
+    mutating: true,
+    description: 'Copy a project, optionally with its open tasks (checklist items, tags, priorities and subtasks included), and report the old to new ID mapping',
+    handler: 'duplicateProject',
+    rest: '/api/ticktick/projects/duplicate',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: { type: 'string', description: 'ID of the project to duplicate' },
+        new_name: { type: 'string', description: 'Name for the duplicated project', minLength: 1 },
+        include_tasks: { type: 'boolean', description: 'Copy the project\'s open tasks too', default: true },
+        shift_days: { type: 'integer', description: 'Move due, start and checklist dates of the copies by this many days (negative moves them earlier)', minimum: -3650, maximum: 3650 }
+      },
+      required: ['project_id', 'new_name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        project: PROJECT_OUTPUT_SCHEMA,
+        source_project_id: { type: 'string' },
+        id_map: { type: 'object', description: 'Old ID to new ID, for the project and every copied task' },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              old_id: { type: 'string' },
+              new_id: { type: ['string', 'null'] },
+              title: { type: 'string' },
+              items: { type: 'number' },
+              status: { type: 'string', enum: ['created', 'error'] },
+              error: { type: 'string' }
+            },
+            required: ['old_id', 'new_id', 'status']
+          }
+        },
+        copied: { type: 'number' },
+        failed: { type: 'number' }
+      },
+      required: ['project', 'source_project_id', 'id_map', 'tasks', 'copied', 'failed']
+    }
+  }
+];
@@ -0,0 +1,112 @@
+// Task Queries
+import { OUTPUT_FIELDS, SORT_FIELDS, GROUP_FIELDS } from '../query.js';
+
+const category = 'Task Queries';
+
+export default [
+  {
+    name: 'ticktick_query_tasks',
+    category,
+    description: 'Filter synced tasks with an expression like "priority>=3 AND tag:work AND due<=+7d AND NOT completed", with sorting, grouping, cursor pagination and field selection. Run ticktick_sync (or pass sync: true) first for full task data',
+    handler: 'queryTasks',
+    rest: '/api/ticktick/tasks/query',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Filter expression. Fields: priority (0-5 or none/low/medium/high), tag (work, work/*), project (ID or name), title, content, status (open/completed), due, start, created, modified, completed_at (YYYY-MM-DD, today, tomorrow, +7d, -2w, none), has:(due|start|tags|checklist|content|reminders|recurrence). Operators : = != < <= > >=, AND/OR/NOT, parentheses; flags completed, open, overdue, recurring, all_day; other words search title and content. Empty matches everything'
+        },
+        sort: {
+          type: 'string',
+          description: `Comma-separated sort fields, "-" prefix for descending: ${Object.keys(SORT_FIELDS).join(', ')} (default: due,-priority)`
+        },
+        group_by: {
+          type: 'string',
+          enum: GROUP_FIELDS,
+          description: 'Group the returned page by project, tag, due bucket (overdue, today, tomorrow, next_7_days, later, no_date) or priority'
+        },
+        fields: {
+          type: 'array',
+          items: { type: 'string', enum: OUTPUT_FIELDS },
+          minItems: 1,
+          description: 'Fields to return for each task (default: id, title, project_id, priority, due_date, tags, completed)'
+        },
+        limit: { type: 'number', description: 'Page size', minimum: 1, maximum: 200, default: 50 },
+        cursor: { type: 'string', description: 'next_cursor from the previous page of the same query' },
+        sync: { type: 'boolean', description: 'Run an incremental ticktick_sync before querying', default: false }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        tasks: { type: 'array', items: { type: 'object' } },
+        groups: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              key: { type: 'string' },
+              count: { type: 'number' },
+              task_ids: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['key', 'count', 'task_ids']
+          }
+        },
+        total: { type: 'number' },
+        returned: { type: 'number' },
+        next_cursor: { type: ['string', 'null'] },
+        unsynced: { type: 'number' }
+      },
+      required: ['tasks', 'total', 'returned', 'next_cursor']
+    }
+  },
+  {
+    name: 'ticktick_search',
+    category,
+    description: 'Typo-tolerant ranked search over cached/synced tasks (title, notes, checklist items, tags) and projects; returns IDs with snippets',
+    handler: 'searchTasks',
+    rest: '/api/ticktick/search',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Words to look for, e.g. "quarterly reprot"', minLength: 1 },
+        types: {
+          type: 'array',
+          items: { type: 'string', enum: ['task', 'project'] },
+          minItems: 1,
+          description: 'What to search (default: tasks and projects)'
+        },
+        include_completed: { type: 'boolean', description: 'Include completed tasks and archived projects', default: true },
+        limit: { type: 'number', description: 'Maximum results', minimum: 1, maximum: 100, default: 10 }
+      },
+      required: ['query']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['task', 'project'] },
+              id: { type: 'string' },
+              project_id: { type: ['string', 'null'] },
+              project_name: { type: ['string', 'null'] },
+              title: { type: 'string' },
+              completed: { type: 'boolean' },
+              score: { type: 'number' },
+              matched_terms: { type: 'array', items: { type: 'string' } },
+              field: { type: 'string' },
+              snippet: { type: 'string' }
+            },
+            required: ['type', 'id', 'title', 'score', 'snippet']
+          }
+        },
+        count: { type: 'number' }
+      },
+      required: ['results', 'count']
+    }
+  }
+];
@@ -0,0 +1,196 @@
+// Analytics & Reporting
+import { TASK_OUTPUT_SCHEMA } from './schemas.js';
+import { REPORT_PERIODS, CHART_FORMATS } from '../reports.js';
+
+const category = 'Analytics & Reporting';
+
+const TIME_ZONE_PROPERTY = {
+  type: 'string',
+  description: 'IANA timezone that decides what "today" is (defaults to TICKTICK_TIMEZONE)'
+};
+
+// Projects whose data could not be read; their tasks are missing from the result
+const PROJECT_ERRORS_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { project_id: { type: 'string' }, error: { type: 'string' } }
+  }
+};
+
+// Headline figures of a report window
+const REPORT_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    created: { type: 'number' },
+    completed: { type: 'number' },
+    completed_with_due: { type: 'number' },
+    on_time: { type: 'number' },
+    on_time_rate: { type: ['number', 'null'] },
+    overdue_start: { type: 'number' },
+    overdue_end: { type: 'number' },
+    focus_minutes: { type: 'number' },
+    focus_sessions: { type: 'number' },
+    habit_rate: { type: ['number', 'null'] },
+    habits: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+const COMPLETED_BREAKDOWN_SCHEMA = {
+  type: 'array',
+  items: { type: 'object', properties: { completed: { type: 'number' } }, required: ['completed'] }
+};
+
+export default [
+  {
+    name: 'ticktick_get_productivity_report',
+    category,
+    description: 'Productivity report over synced tasks and the focus/habit logs for the last 7, 30 or 91 days, compared with the period before. Completion figures are a lower bound: sync only sees open tasks, so tasks completed in the TickTick apps count only if a sync saw them open first',
+    handler: 'getProductivityReport',
+    rest: '/api/ticktick/reports/productivity',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        period: { type: 'string', enum: Object.keys(REPORT_PERIODS), description: 'week (last 7 days), month (last 30) or quarter (last 91)', default: 'week' },
+        include_charts: { type: 'boolean', description: 'Include per-day (per-week for quarter) series and a chart', default: false },
+        chart_format: { type: 'string', enum: CHART_FORMATS, description: 'Chart to render with include_charts: ascii (bars in the text), svg (in charts.svg) or none (series only)', default: 'ascii' },
+        sync: { type: 'boolean', description: 'Run an incremental sync first', default: false },
+        time_zone: TIME_ZONE_PROPERTY
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        period: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        time_zone: { type: 'string' },
+        summary: REPORT_SUMMARY_SCHEMA,
+        previous: {
+          type: 'object',
+          properties: { from: { type: 'string' }, to: { type: 'string' }, summary: REPORT_SUMMARY_SCHEMA }
+        },
+        comparison: { type: 'object' },
+        by_project: COMPLETED_BREAKDOWN_SCHEMA,
+        by_tag: COMPLETED_BREAKDOWN_SCHEMA,
+        by_priority: COMPLETED_BREAKDOWN_SCHEMA,
+        weekdays: COMPLETED_BREAKDOWN_SCHEMA,
+        hours: COMPLETED_BREAKDOWN_SCHEMA,
+        series: {
+          type: 'object',
+          properties: {
+            labels: { type: 'array', items: { type: 'string' } },
+            created: { type: 'array', items: { type: 'number' } },
+            completed: { type: 'array', items: { type: 'number' } },
+            previous_completed: { type: 'array', items: { type: 'number' } },
+            overdue: { type: 'array', items: { type: 'number' } },
+            focus_minutes: { type: 'array', items: { type: 'number' } }
+          }
+        },
+        charts: {
+          type: 'object',
+          properties: { format: { type: 'string' }, text: { type: 'string' }, svg: { type: 'string' } }
+        },
+        unsynced: { type: 'number' },
+        limitations: { type: 'array', items: { type: 'string' }, description: 'What the figures can not account for' }
+      },
+      required: ['period', 'from', 'to', 'summary', 'comparison', 'limitations']
+    }
+  },
+  {
+    name: 'ticktick_get_today_tasks',
+    category,
+    description: 'Get open tasks scheduled for today in the configured timezone, read live from every project',
+    handler: 'getTodayTasks',
+    rest: '/api/ticktick/tasks/today',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_overdue: { type: 'boolean', description: 'Include overdue tasks', default: true },
+        time_zone: TIME_ZONE_PROPERTY
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        time_zone: { type: 'string' },
+        tasks: { type: 'array', items: TASK_OUTPUT_SCHEMA },
+        overdue: { type: 'array', items: TASK_OUTPUT_SCHEMA },
+        count: { type: 'number' },
+        errors: PROJECT_ERRORS_SCHEMA
+      },
+      required: ['date', 'tasks', 'count']
+    }
+  },
+  {
+    name: 'ticktick_get_overdue_tasks',
+    category,
+    description: 'Get open tasks whose due date or time has passed, oldest first, read live from every project',
+    handler: 'getOverdueTasks',
+    rest: '/api/ticktick/tasks/overdue',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: 'Maximum number of results', minimum: 1, default: 50 },
+        time_zone: TIME_ZONE_PROPERTY
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string' },
+        time_zone: { type: 'string' },
+        tasks: { type: 'array', items: TASK_OUTPUT_SCHEMA },
+        count: { type: 'number' },
+        total: { type: 'number' },
+        errors: PROJECT_ERRORS_SCHEMA
+      },
+      required: ['date', 'tasks', 'count', 'total']
+    }
+  },
+  {
+    name: 'ticktick_get_upcoming_tasks',
+    category,
+    description: 'Get open tasks for tomorrow, this week, the next N days or a custom date range, grouped by day',
+    handler: 'getUpcomingTasks',
+    rest: '/api/ticktick/tasks/upcoming',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        range: {
+          type: 'string',
+          enum: ['today', 'tomorrow', 'this_week', 'next_days', 'custom'],
+          description: 'this_week runs from the start of the week (TICKTICK_WEEK_START) to its end; next_days is today plus the next `days` days; custom uses from/to',
+          default: 'next_days'
+        },
+        days: { type: 'number', description: 'Days after today for next_days', minimum: 1, maximum: 90, default: 7 },
+        from: { type: 'string', format: 'date', description: 'First day (YYYY-MM-DD) for custom' },
+        to: { type: 'string', format: 'date', description: 'Last day (YYYY-MM-DD) for custom' },
+        time_zone: TIME_ZONE_PROPERTY
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        time_zone: { type: 'string' },
+        days: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              date: { type: 'string' },
+              tasks: { type: 'array', items: TASK_OUTPUT_SCHEMA }
+            },
+            required: ['date', 'tasks']
+          }
+        },
+        count: { type: 'number' },
+        errors: PROJECT_ERRORS_SCHEMA
+      },
+      required: ['from', 'to', 'days', 'count']
+    }
+  }
+];
@@ -0,0 +1,73 @@
+// Shared schema fragments for tool arguments and structuredContent
+
+// Task tools take either task_id or a task_query that must resolve to exactly one task
+export const TASK_QUERY_PROPERTY = {
+  type: 'string',
+  description: 'Find the task by name instead of task_id (typo-tolerant search over cached tasks); an ambiguous query fails with the candidates',
+  minLength: 1
+};
+export const TASK_ID_OR_QUERY = [{ required: ['task_id'] }, { required: ['task_query'] }];
+
+export const TASK_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    projectId: { type: 'string' },
+    title: { type: 'string' },
+    content: { type: 'string' },
+    priority: { type: 'number' },
+    status: { type: 'number' },
+    startDate: { type: ['string', 'null'] },
+    dueDate: { type: ['string', 'null'] },
+    isAllDay: { type: 'boolean' },
+    timeZone: { type: 'string' },
+    repeatFlag: { type: 'string' },
+    reminders: { type: 'array', items: { type: 'string' } },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          status: { type: 'number' },
+          sortOrder: { type: 'number' }
+        }
+      }
+    },
+    tags: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+export const PROJECT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    color: { type: 'string' },
+    closed: { type: 'boolean' },
+    viewMode: { type: 'string' },
+    kind: { type: 'string' }
+  }
+};
+
+export const CACHED_TASK_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    project_id: { type: 'string' },
+    title: { type: 'string' },
+    cached_at: { type: 'string' },
+    is_stale: { type: 'boolean' }
+  }
+};
+
+export const GENERIC_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    implemented: { type: 'boolean' }
+  },
+  required: ['success', 'message']
+};
@@ -0,0 +1,45 @@
+// Sync Engine
+const category = 'Sync';
+
+export default [
+  {
+    name: 'ticktick_sync',
+    category,
+    mutating: true,
+    description: 'Sync all projects and their tasks into the local mirror (full task data) and report what changed',
+    handler: 'syncTasks',
+    rest: '/api/ticktick/sync',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        mode: {
+          type: 'string',
+          enum: ['full', 'incremental'],
+          description: 'full rebuilds the mirror; incremental only applies changes from the projects it reads',
+          default: 'incremental'
+        },
+        project_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Limit an incremental sync to these project IDs (use "inbox" for the inbox)'
+        }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string' },
+        projects: { type: 'number' },
+        added: { type: 'number' },
+        updated: { type: 'number' },
+        removed: { type: 'number' },
+        unchanged: { type: 'number' },
+        total: { type: 'number' },
+        errors: { type: 'array', items: { type: 'object' } },
+        started_at: { type: 'string' },
+        finished_at: { type: 'string' }
+      },
+      required: ['mode', 'added', 'updated', 'removed', 'unchanged', 'total']
+    }
+  }
+];
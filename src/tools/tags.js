@@ -0,0 +1,261 @@
+// Tags & Organization
+import { TASK_OUTPUT_SCHEMA, TASK_QUERY_PROPERTY, TASK_ID_OR_QUERY } from './schemas.js';
+
+const category = 'Tags & Organization';
+
+const TAG_NAME_PROPERTY = { type: 'string', description: 'Tag name; parent/child nests it under parent', minLength: 1 };
+const COLOR_PROPERTY = { type: 'string', description: 'Colour of the tag, e.g. #3498db', pattern: '^#[0-9a-fA-F]{6}$' };
+const INCLUDE_CHILDREN_PROPERTY = { type: 'boolean', description: 'Also apply to nested tags (parent/child)', default: true };
+const SYNC_FIRST_PROPERTY = { type: 'boolean', description: 'Run an incremental sync first so every task carrying the tag is found', default: true };
+
+const TASK_REF_PROPERTIES = {
+  task_id: { type: 'string', description: 'ID of the task' },
+  task_query: TASK_QUERY_PROPERTY,
+  project_id: { type: 'string', description: 'Project ID of the task (resolved from cache if omitted)' }
+};
+
+const TAG_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    parent: { type: ['string', 'null'] },
+    count: { type: 'number' },
+    open: { type: 'number' },
+    completed: { type: 'number' },
+    color: { type: ['string', 'null'] }
+  },
+  required: ['name']
+};
+
+// Per-task report of rename, merge and delete
+const TAG_REWRITE_OUTPUT_PROPERTIES = {
+  results: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string' },
+        title: { type: 'string' },
+        project_id: { type: ['string', 'null'] },
+        status: { type: 'string', enum: ['updated', 'unchanged', 'error'] },
+        before: { type: 'array', items: { type: 'string' } },
+        after: { type: 'array', items: { type: 'string' } },
+        error: { type: 'string' }
+      },
+      required: ['task_id', 'status']
+    }
+  },
+  total: { type: 'number' },
+  updated: { type: 'number' },
+  unchanged: { type: 'number' },
+  failed: { type: 'number' }
+};
+
+const TAG_REWRITE_REQUIRED = ['results', 'total', 'updated', 'unchanged', 'failed'];
+
+export default [
+  {
+    name: 'ticktick_get_tags',
+    category,
+    description: 'List tags with usage counts, derived from synced tasks, as a flat list and a parent/child tree',
+    handler: 'getTags',
+    rest: '/api/ticktick/tags',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sync: { type: 'boolean', description: 'Run an incremental sync first', default: false }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        tags: { type: 'array', items: TAG_OUTPUT_SCHEMA },
+        tree: { type: 'array', items: { type: 'object' } },
+        count: { type: 'number' },
+        unsynced: { type: 'number' }
+      },
+      required: ['tags', 'tree', 'count']
+    }
+  },
+  {
+    name: 'ticktick_get_tag_tasks',
+    category,
+    description: 'List the synced tasks that carry a tag',
+    handler: 'getTagTasks',
+    rest: '/api/ticktick/tags/tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: TAG_NAME_PROPERTY,
+        include_children: INCLUDE_CHILDREN_PROPERTY,
+        include_completed: { type: 'boolean', description: 'Include completed tasks', default: false },
+        sync: { type: 'boolean', description: 'Run an incremental sync first', default: false }
+      },
+      required: ['tag']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        tag: { type: 'string' },
+        tasks: { type: 'array', items: { type: 'object' } },
+        count: { type: 'number' }
+      },
+      required: ['tag', 'tasks', 'count']
+    }
+  },
+  {
+    name: 'ticktick_create_tag',
+    category,
+    mutating: true,
+    description: 'Register a tag with a colour before any task uses it (or give a used tag a colour)',
+    handler: 'createTag',
+    rest: '/api/ticktick/tags/create',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: TAG_NAME_PROPERTY,
+        color: { ...COLOR_PROPERTY, default: '#3498db' }
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { tag: TAG_OUTPUT_SCHEMA },
+      required: ['tag']
+    }
+  },
+  {
+    name: 'ticktick_set_tag_color',
+    category,
+    mutating: true,
+    description: 'Change the colour of a tag',
+    handler: 'setTagColor',
+    rest: '/api/ticktick/tags/color',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: TAG_NAME_PROPERTY,
+        color: COLOR_PROPERTY
+      },
+      required: ['name', 'color']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { tag: TAG_OUTPUT_SCHEMA },
+      required: ['tag']
+    }
+  },
+  {
+    name: 'ticktick_add_tag_to_task',
+    category,
+    mutating: true,
+    description: 'Add a tag to a task; a tag the task already has (in any case) is left alone',
+    handler: 'addTagToTask',
+    rest: '/api/ticktick/tags/add-to-task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        tag_name: { ...TAG_NAME_PROPERTY, description: 'Name of the tag to add' }
+      },
+      required: ['tag_name'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { task: TASK_OUTPUT_SCHEMA, added: { type: 'boolean' } },
+      required: ['task', 'added']
+    }
+  },
+  {
+    name: 'ticktick_remove_tag_from_task',
+    category,
+    mutating: true,
+    description: 'Remove a tag from a task',
+    handler: 'removeTagFromTask',
+    rest: '/api/ticktick/tags/remove-from-task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...TASK_REF_PROPERTIES,
+        tag_name: { ...TAG_NAME_PROPERTY, description: 'Name of the tag to remove' },
+        include_children: { ...INCLUDE_CHILDREN_PROPERTY, default: false }
+      },
+      required: ['tag_name'],
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { task: TASK_OUTPUT_SCHEMA, removed: { type: 'array', items: { type: 'string' } } },
+      required: ['task', 'removed']
+    }
+  },
+  {
+    name: 'ticktick_rename_tag',
+    category,
+    mutating: true,
+    description: 'Rename a tag on every task that carries it (reports progress and a per-task result)',
+    handler: 'renameTag',
+    rest: '/api/ticktick/tags/rename',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { ...TAG_NAME_PROPERTY, description: 'Current tag name' },
+        to: { ...TAG_NAME_PROPERTY, description: 'New tag name' },
+        include_children: INCLUDE_CHILDREN_PROPERTY,
+        sync: SYNC_FIRST_PROPERTY
+      },
+      required: ['from', 'to']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { from: { type: 'string' }, to: { type: 'string' }, ...TAG_REWRITE_OUTPUT_PROPERTIES },
+      required: ['from', 'to', ...TAG_REWRITE_REQUIRED]
+    }
+  },
+  {
+    name: 'ticktick_merge_tags',
+    category,
+    mutating: true,
+    description: 'Merge one or more tags into another on every task that carries them (reports progress and a per-task result)',
+    handler: 'mergeTags',
+    rest: '/api/ticktick/tags/merge',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sources: { type: 'array', items: TAG_NAME_PROPERTY, minItems: 1, maxItems: 20, description: 'Tags to merge away' },
+        into: { ...TAG_NAME_PROPERTY, description: 'Tag that replaces them (created if needed)' },
+        include_children: INCLUDE_CHILDREN_PROPERTY,
+        sync: SYNC_FIRST_PROPERTY
+      },
+      required: ['sources', 'into']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { sources: { type: 'array', items: { type: 'string' } }, into: { type: 'string' }, ...TAG_REWRITE_OUTPUT_PROPERTIES },
+      required: ['sources', 'into', ...TAG_REWRITE_REQUIRED]
+    }
+  },
+  {
+    name: 'ticktick_delete_tag',
+    category,
+    mutating: true,
+    description: 'Remove a tag from every task that carries it (reports progress and a per-task result)',
+    handler: 'deleteTag',
+    rest: '/api/ticktick/tags/delete',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: TAG_NAME_PROPERTY,
+        include_children: INCLUDE_CHILDREN_PROPERTY,
+        sync: SYNC_FIRST_PROPERTY
+      },
+      required: ['name']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { name: { type: 'string' }, ...TAG_REWRITE_OUTPUT_PROPERTIES },
+      required: ['name', ...TAG_REWRITE_REQUIRED]
+    }
+  }
+];
@@ -0,0 +1,241 @@
+// Core Task Management
+import { TASK_OUTPUT_SCHEMA, TASK_QUERY_PROPERTY, TASK_ID_OR_QUERY } from './schemas.js';
+
+const category = 'Core Task Management';
+
+// A date, a date-time, or null / "" to clear the field
+const SCHEDULE_DATE_FORMATS = [{ const: '' }, { format: 'date' }, { format: 'iso-date-time' }];
+
+// Dates, recurrence and reminders accepted by both create and update
+const SCHEDULE_PROPERTIES = {
+  start_date: {
+    type: ['string', 'null'],
+    anyOf: SCHEDULE_DATE_FORMATS,
+    description: 'Start date (YYYY-MM-DD for all-day or a date-time like 2024-12-31T17:00:00). Recurrence repeats from here; defaults to due_date. null or "" removes it'
+  },
+  due_date: {
+    type: ['string', 'null'],
+    anyOf: SCHEDULE_DATE_FORMATS,
+    description: 'Due date in ISO format (YYYY-MM-DD for all-day or a date-time like 2024-12-31T17:00:00). null or "" removes it'
+  },
+  is_all_day: {
+    type: 'boolean',
+    description: 'All-day task. Defaults to true when every given date is YYYY-MM-DD'
+  },
+  time_zone: {
+    type: 'string',
+    description: 'IANA timezone the dates are in, e.g. Europe/Berlin (defaults to TICKTICK_TIMEZONE)'
+  },
+  reminders: {
+    type: ['array', 'null'],
+    items: { type: 'string', minLength: 1 },
+    description: 'Reminders before the start/due time: "15m", "1 hour before", "2d", "at due time" or raw TRIGGER values. An empty array or null removes all reminders'
+  },
+  recurrence: {
+    type: ['string', 'null'],
+    description: 'RRULE (FREQ=WEEKLY;BYDAY=MO,WE) or a friendly form (daily, every 2 weeks on monday, monthly on the last day). "none", "" or null removes it'
+  }
+};
+
+export default [
+  {
+    name: 'ticktick_create_task',
+    category,
+    mutating: true,
+    description: 'Create a new task in TickTick, either from fields or from quick_add text like "Call mom tomorrow 5pm !high #family ^Personal every Monday"',
+    handler: 'createTask',
+    rest: '/api/ticktick/tasks/create',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Task title',
+          minLength: 1
+        },
+        quick_add: {
+          type: 'string',
+          description: 'Natural-language task: title plus a date/time (tomorrow 5pm, next friday, Oct 25), !high/!medium/!low, #tags, ^Project and recurrence (every Monday, daily). Explicit fields override what it parses',
+          minLength: 1
+        },
+        content: {
+          type: 'string',
+          description: 'Task description/content'
+        },
+        project_id: {
+          type: 'string',
+          description: 'Project ID to add task to'
+        },
+        priority: {
+          type: 'number',
+          enum: [0, 1, 3, 5],
+          description: 'Task priority (0=None, 1=Low, 3=Medium, 5=High)',
+          default: 0
+        },
+        ...SCHEDULE_PROPERTIES,
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags for the task'
+        }
+      },
+      anyOf: [{ required: ['title'] }, { required: ['quick_add'] }]
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        task: TASK_OUTPUT_SCHEMA,
+        parsed: {
+          type: 'object',
+          description: 'What quick_add was understood as',
+          properties: {
+            title: { type: 'string' },
+            due_date: { type: ['string', 'null'] },
+            is_all_day: { type: 'boolean' },
+            priority: { type: 'number' },
+            tags: { type: 'array', items: { type: 'string' } },
+            project: { type: ['string', 'null'] },
+            project_id: { type: 'string' },
+            recurrence: { type: ['string', 'null'] },
+            time_zone: { type: 'string' },
+            parsed: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { token: { type: 'string' }, meaning: { type: 'string' } }
+              }
+            }
+          }
+        }
+      },
+      required: ['task']
+    }
+  },
+  {
+    name: 'ticktick_update_task',
+    category,
+    mutating: true,
+    description: 'Update an existing task, including its dates, recurrence and reminders',
+    handler: 'updateTask',
+    rest: '/api/ticktick/tasks/update',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task to update' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Project ID of the task (resolved from cache if omitted)' },
+        title: { type: 'string', description: 'New task title', minLength: 1 },
+        content: { type: 'string', description: 'New task description' },
+        priority: { type: 'number', enum: [0, 1, 3, 5], description: 'New priority level (0=None, 1=Low, 3=Medium, 5=High)' },
+        completed: { type: 'boolean', description: 'Mark as completed/incomplete' },
+        ...SCHEDULE_PROPERTIES
+      },
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { task: TASK_OUTPUT_SCHEMA },
+      required: ['task']
+    }
+  },
+  {
+    name: 'ticktick_delete_task',
+    category,
+    mutating: true,
+    description: 'Delete a task from TickTick',
+    handler: 'deleteTask',
+    rest: '/api/ticktick/tasks/delete',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task to delete' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Project ID of the task (resolved from cache if omitted)' }
+      },
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        deleted: { type: 'boolean' },
+        task_id: { type: 'string' },
+        project_id: { type: 'string' }
+      },
+      required: ['deleted', 'task_id', 'project_id']
+    }
+  },
+  {
+    name: 'ticktick_complete_task',
+    category,
+    mutating: true,
+    description: 'Mark a task as completed',
+    handler: 'completeTask',
+    rest: '/api/ticktick/tasks/complete',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task to complete' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Project ID of the task (resolved from cache if omitted)' }
+      },
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        completed: { type: 'boolean' },
+        task_id: { type: 'string' },
+        project_id: { type: 'string' }
+      },
+      required: ['completed', 'task_id', 'project_id']
+    }
+  },
+  {
+    name: 'ticktick_get_task_details',
+    category,
+    description: 'Get detailed information about a specific task',
+    handler: 'getTaskDetails',
+    rest: '/api/ticktick/tasks/details',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: { type: 'string', description: 'ID of the task' },
+        task_query: TASK_QUERY_PROPERTY,
+        project_id: { type: 'string', description: 'Project ID of the task (resolved from cache if omitted)' }
+      },
+      anyOf: TASK_ID_OR_QUERY
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { task: TASK_OUTPUT_SCHEMA },
+      required: ['task']
+    }
+  },
+  {
+    name: 'ticktick_preview_recurrence',
+    category,
+    description: 'Show the next occurrences of a recurrence rule (RRULE or friendly form) before using it on a task',
+    handler: 'previewRecurrence',
+    rest: '/api/ticktick/tasks/preview-recurrence',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        recurrence: { type: 'string', description: 'RRULE or friendly form, as for ticktick_create_task', minLength: 1 },
+        start_date: { type: 'string', format: 'date', description: 'First possible date, YYYY-MM-DD (defaults to today)' },
+        time_zone: { type: 'string', description: 'IANA timezone "today" is taken in (defaults to TICKTICK_TIMEZONE)' },
+        count: { type: 'number', description: 'Number of occurrences to list', minimum: 1, maximum: 100, default: 10 }
+      },
+      required: ['recurrence']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        repeat_flag: { type: 'string' },
+        description: { type: 'string' },
+        start_date: { type: 'string' },
+        occurrences: { type: 'array', items: { type: 'string', format: 'date' } }
+      },
+      required: ['repeat_flag', 'description', 'start_date', 'occurrences']
+    }
+  }
+];
@@ -0,0 +1,108 @@
+/**
+ * Tool argument validation against the tool registry's JSON Schemas
+ *
+ * Uses ajv (draft-07, with ajv-formats), the same validator family the MCP SDK
+ * uses for output schemas, so anyOf, format and null handling follow the spec
+ * rather than a hand-written subset. A null argument is only accepted where the
+ * schema's type allows "null"; that is how tools mark arguments that clear a field.
+ *
+ * Problems come back as { field, message } with paths like tasks[0].title, and
+ * the failing branches of an anyOf are folded into one message.
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+addFormats(ajv);
+
+const FORMAT_HINTS = {
+  date: 'a date in YYYY-MM-DD format',
+  'date-time': 'an ISO 8601 date-time with an offset (e.g. 2024-12-31T17:00:00Z)',
+  'iso-date-time': 'an ISO 8601 date-time (e.g. 2024-12-31T17:00:00, offset optional)',
+  email: 'an email address'
+};
+
+const compiled = new WeakMap();
+
+function compile(schema) {
+  if (!compiled.has(schema)) compiled.set(schema, ajv.compile(schema));
+  return compiled.get(schema);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+// "/tasks/0/title" -> "tasks[0].title"
+function fieldOf(instancePath, key) {
+  const segments = instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (key !== undefined) segments.push(key);
+  return segments.reduce((field, segment) => {
+    if (!field) return segment;
+    return /^\d+$/.test(segment) ? `${field}[${segment}]` : `${field}.${segment}`;
+  }, '');
+}
+
+const MESSAGES = {
+  required: error => ['is required', error.params.missingProperty],
+  additionalProperties: error => ['is not a recognised argument', error.params.additionalProperty],
+  type: error => [`must be of type ${String(error.params.type).split(',').join(' or ')} (got ${typeOf(error.data)})`],
+  const: error => [`must be ${describe(error.params.allowedValue)}`],
+  enum: error => [`must be one of ${error.params.allowedValues.map(describe).join(', ')} (got ${describe(error.data)})`],
+  minimum: error => [`must be >= ${error.params.limit}`],
+  maximum: error => [`must be <= ${error.params.limit}`],
+  minLength: error => [error.params.limit === 1 ? 'must not be empty' : `must be at least ${error.params.limit} characters`],
+  maxLength: error => [`must be at most ${error.params.limit} characters`],
+  minItems: error => [`must contain at least ${error.params.limit} item(s)`],
+  maxItems: error => [`must contain at most ${error.params.limit} item(s)`],
+  pattern: error => [`must match pattern ${error.params.pattern}`],
+  format: error => [`must be ${FORMAT_HINTS[error.params.format] || `a valid ${error.params.format}`}`]
+};
+
+function toProblem(error) {
+  const [message, key] = MESSAGES[error.keyword]?.(error) || [error.message];
+  return { field: fieldOf(error.instancePath, key) || '(arguments)', message };
+}
+
+// ajv reports every failing anyOf branch next to the anyOf itself; fold them into one problem
+function toProblems(errors) {
+  const anyOfPaths = errors.filter(error => error.keyword === 'anyOf').map(error => error.schemaPath);
+  const insideAnyOf = error => anyOfPaths.some(path => error.schemaPath.startsWith(`${path}/`));
+
+  return errors.filter(error => !insideAnyOf(error)).map(error => {
+    if (error.keyword !== 'anyOf') return toProblem(error);
+
+    const branches = new Map();
+    for (const inner of errors.filter(candidate => candidate.schemaPath.startsWith(`${error.schemaPath}/`))) {
+      const branch = inner.schemaPath.slice(error.schemaPath.length + 1).split('/')[0];
+      const problem = toProblem(inner);
+      if (!branches.has(branch)) branches.set(branch, []);
+      branches.get(branch).push(`${problem.field} ${problem.message}`);
+    }
+    return {
+      field: fieldOf(error.instancePath) || '(arguments)',
+      message: `must match one of: ${[...branches.values()].map(list => list.join(', ')).join(' | ')}`
+    };
+  });
+}
+
+// Returns a list of { field, message } problems, empty when the arguments are valid
+export function validateArguments(schema, args) {
+  if (typeOf(args) !== 'object') {
+    return [{ field: '(arguments)', message: `must be an object (got ${typeOf(args)})` }];
+  }
+  const validate = compile(schema);
+  return validate(args) ? [] : toProblems(validate.errors);
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map(error => `${error.field}: ${error.message}`).join('; ');
+}
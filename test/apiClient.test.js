@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TickTickApiClient,
+  TickTickApiError,
+  TickTickRateLimitError,
+  TickTickTimeoutError,
+  TickTickNetworkError,
+  findApiError
+} from '../src/apiClient.js';
+
+function staticAuth(token = 'token-1') {
+  return { getAccessToken: async () => token, canRefresh: () => false };
+}
+
+// A client whose send() replays scripted responses (or throws scripted errors) and records every call
+function scriptedClient(script, options = {}) {
+  const client = new TickTickApiClient({ auth: staticAuth(), retryBaseMs: 1, rateLimit: 0, ...options });
+  client.calls = [];
+  client.send = async (method, endpoint, data, token) => {
+    client.calls.push({ method, endpoint, data, token });
+    const next = script.shift();
+    if (!next) throw new Error('script ran out');
+    if (next instanceof Error) throw next;
+    const { status = 200, body = '', headers = {} } = next;
+    return { response: new Response(null, { status, headers }), body: typeof body === 'string' ? body : JSON.stringify(body) };
+  };
+  return client;
+}
+
+function abortError(name) {
+  const error = new Error('The operation was aborted');
+  error.name = name;
+  return error;
+}
+
+describe('TickTickApiClient retries', () => {
+  it('retries idempotent calls on 5xx and returns the parsed body', async () => {
+    const client = scriptedClient([{ status: 503 }, { status: 502 }, { body: { id: 't1' } }]);
+    assert.deepEqual(await client.request('GET', '/task/t1'), { id: 't1' });
+    assert.equal(client.calls.length, 3);
+  });
+
+  it('returns null for an empty success body', async () => {
+    const client = scriptedClient([{ status: 204 }]);
+    assert.equal(await client.request('DELETE', '/task/t1'), null);
+  });
+
+  it('does not retry a POST on 5xx and keeps the upstream status and payload', async () => {
+    const client = scriptedClient([{ status: 500, body: { errorMessage: 'boom' } }]);
+    const error = await client.request('POST', '/task', { title: 'x' }).catch(caught => caught);
+    assert.ok(error instanceof TickTickApiError);
+    assert.equal(error.status, 500);
+    assert.deepEqual(error.payload, { errorMessage: 'boom' });
+    assert.equal(error.attempts, 1);
+    assert.match(error.message, /500 .* - boom$/);
+    assert.equal(client.calls.length, 1);
+  });
+
+  it('gives up after maxRetries retries', async () => {
+    const client = scriptedClient([{ status: 503 }, { status: 503 }, { status: 503 }], { maxRetries: 2 });
+    const error = await client.request('GET', '/project').catch(caught => caught);
+    assert.equal(error.status, 503);
+    assert.equal(error.attempts, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    const client = scriptedClient([{ status: 404, body: 'not found' }]);
+    const error = await client.request('GET', '/task/missing').catch(caught => caught);
+    assert.equal(error.status, 404);
+    assert.equal(error.payload, 'not found');
+    assert.equal(client.calls.length, 1);
+  });
+
+  it('wraps timeouts and network failures in typed errors and retries them when idempotent', async () => {
+    const client = scriptedClient([abortError('TimeoutError'), { body: { ok: true } }], { timeoutMs: 10 });
+    assert.deepEqual(await client.request('GET', '/project'), { ok: true });
+
+    const post = scriptedClient([abortError('TimeoutError')], { timeoutMs: 10 });
+    const timeout = await post.request('POST', '/task', {}).catch(caught => caught);
+    assert.ok(timeout instanceof TickTickTimeoutError);
+    assert.match(timeout.message, /timed out after 10ms: POST \/task/);
+
+    const offline = scriptedClient([new TypeError('fetch failed')], { maxRetries: 0 });
+    const network = await offline.request('GET', '/project').catch(caught => caught);
+    assert.ok(network instanceof TickTickNetworkError);
+    assert.equal(network.cause.message, 'fetch failed');
+  });
+});
+
+describe('TickTickApiClient Retry-After', () => {
+  it('waits for Retry-After on 429, even for a POST', async () => {
+    const client = scriptedClient([{ status: 429, headers: { 'Retry-After': '0.05' } }, { body: { id: 't1' } }]);
+    const started = Date.now();
+    assert.deepEqual(await client.request('POST', '/task', { title: 'x' }), { id: 't1' });
+    assert.ok(Date.now() - started >= 45, 'waited for Retry-After');
+    assert.equal(client.calls.length, 2);
+  });
+
+  it('retries a POST on 503 only when Retry-After says so', async () => {
+    const withHeader = scriptedClient([{ status: 503, headers: { 'Retry-After': '0' } }, { body: { id: 't1' } }]);
+    assert.deepEqual(await withHeader.request('POST', '/task', {}), { id: 't1' });
+
+    const without = scriptedClient([{ status: 503 }]);
+    assert.equal((await without.request('POST', '/task', {}).catch(caught => caught)).status, 503);
+  });
+
+  it('fails at once with a rate-limit error when Retry-After is longer than it may wait', async () => {
+    const client = scriptedClient([{ status: 429, headers: { 'Retry-After': '120' } }], { maxRetryAfterMs: 1000 });
+    const error = await client.request('GET', '/project').catch(caught => caught);
+    assert.ok(error instanceof TickTickRateLimitError);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 120000);
+    assert.equal(client.calls.length, 1);
+  });
+});
+
+describe('TickTickApiClient 401 refresh', () => {
+  it('refreshes the token once and replays the request', async () => {
+    let token = 'old';
+    let refreshes = 0;
+    const client = scriptedClient([{ status: 401 }, { body: { id: 'p1' } }]);
+    client.auth = {
+      getAccessToken: async () => token,
+      canRefresh: () => true,
+      refresh: async () => { refreshes++; token = 'new'; }
+    };
+
+    assert.deepEqual(await client.request('POST', '/project', { name: 'x' }), { id: 'p1' });
+    assert.equal(refreshes, 1);
+    assert.deepEqual(client.calls.map(call => call.token), ['old', 'new']);
+  });
+
+  it('does not refresh twice in one request', async () => {
+    let refreshes = 0;
+    const client = scriptedClient([{ status: 401 }, { status: 401 }]);
+    client.auth = { getAccessToken: async () => 't', canRefresh: () => true, refresh: async () => { refreshes++; } };
+
+    const error = await client.request('GET', '/project').catch(caught => caught);
+    assert.equal(error.status, 401);
+    assert.equal(refreshes, 1);
+  });
+
+  it('passes a 401 through when refresh is not available', async () => {
+    const client = scriptedClient([{ status: 401 }]);
+    assert.equal((await client.request('GET', '/project').catch(caught => caught)).status, 401);
+    assert.equal(client.calls.length, 1);
+  });
+});
+
+describe('TickTickApiClient request budget', () => {
+  it('queues requests beyond the budget until the window frees a slot', async () => {
+    const client = scriptedClient([{ body: {} }, { body: {} }, { body: {} }], { rateLimit: 2, rateWindowMs: 60 });
+    const started = Date.now();
+    await Promise.all([client.request('GET', '/a'), client.request('GET', '/b'), client.request('GET', '/c')]);
+    assert.ok(Date.now() - started >= 55, 'the third request waited for the window');
+    assert.equal(client.calls.length, 3);
+  });
+});
+
+describe('findApiError', () => {
+  it('finds the API error under wrapping errors', () => {
+    const apiError = new TickTickApiError('API request failed: 502', { status: 502 });
+    const wrapped = new Error('Failed to get task', { cause: new Error('inner', { cause: apiError }) });
+    assert.equal(findApiError(wrapped), apiError);
+    assert.equal(findApiError(new Error('plain')), null);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CsvParseError, parseCsv, readCsvTable, stringifyCsv, parseCsvTaskRow } from '../src/csv.js';
+
+function parseError(text) {
+  try {
+    parseCsv(text);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('CSV should not parse');
+}
+
+describe('parseCsv', () => {
+  it('handles quoted delimiters and doubled quotes', () => {
+    assert.deepEqual(parseCsv('"x, y","he said ""hi"""'), [{ line: 1, fields: ['x, y', 'he said "hi"'] }]);
+  });
+
+  it('accepts CRLF and LF line endings and a trailing newline', () => {
+    assert.deepEqual(parseCsv('a,b\r\n1,2\n3,4\r\n'), [
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['1', '2'] },
+      { line: 3, fields: ['3', '4'] }
+    ]);
+  });
+
+  it('strips a UTF-8 byte order mark', () => {
+    assert.deepEqual(parseCsv('﻿title\nA')[0].fields, ['title']);
+  });
+
+  it('keeps newlines inside quoted fields and numbers records by their first line', () => {
+    assert.deepEqual(parseCsv('a,b\n"multi\r\nline",z\nnext,row'), [
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['multi\r\nline', 'z'] },
+      { line: 4, fields: ['next', 'row'] }
+    ]);
+  });
+
+  it('skips blank lines without renumbering', () => {
+    assert.deepEqual(parseCsv('a,b\n\n1,2\n'), [{ line: 1, fields: ['a', 'b'] }, { line: 3, fields: ['1', '2'] }]);
+  });
+
+  it('supports another delimiter', () => {
+    assert.deepEqual(parseCsv('a;b\n"1;2";3', { delimiter: ';' })[1].fields, ['1;2', '3']);
+  });
+
+  it('reports an unterminated quote and text after a closing quote with the line', () => {
+    const unterminated = parseError('a\n"open');
+    assert.ok(unterminated instanceof CsvParseError);
+    assert.equal(unterminated.line, 2);
+    assert.equal(unterminated.message, 'Line 2: unterminated quoted field');
+    assert.match(parseError('a\n"x"y').message, /^Line 2: unexpected character after a closing quote/);
+  });
+});
+
+describe('readCsvTable', () => {
+  it('normalizes header names and maps rows to them', () => {
+    assert.deepEqual(readCsvTable('Task ID,Title,Due-Date\n1, A ,2026-03-29\n'), {
+      columns: ['task_id', 'title', 'due_date'],
+      rows: [{ line: 2, values: { task_id: '1', title: 'A', due_date: '2026-03-29' } }]
+    });
+  });
+
+  it('fills short rows and flags long ones', () => {
+    const { rows } = readCsvTable('a,b\n1\n1,2,3\n');
+    assert.deepEqual(rows[0], { line: 2, values: { a: '1', b: '' } });
+    assert.deepEqual(rows[1], { line: 3, values: null, error: 'expected 2 fields, found 3' });
+  });
+
+  it('rejects a missing header and duplicate columns', () => {
+    assert.throws(() => readCsvTable(''), /missing header row/);
+    assert.throws(() => readCsvTable('a,A\n'), /duplicate column "a"/);
+  });
+});
+
+describe('stringifyCsv', () => {
+  it('quotes only when needed and writes CRLF', () => {
+    const text = stringifyCsv(['title', 'tags', 'note'], [
+      { title: 'x,y', tags: ['a', 'b'], note: 'say "hi"' },
+      { title: 'line\nbreak', tags: [], note: null }
+    ]);
+    assert.equal(text, 'title,tags,note\r\n"x,y",a;b,"say ""hi"""\r\n"line\nbreak",,\r\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [{ title: ' padded ', content: 'multi\nline, "quoted"' }];
+    const [, record] = parseCsv(stringifyCsv(['title', 'content'], rows));
+    assert.deepEqual(record.fields, [' padded ', 'multi\nline, "quoted"']);
+  });
+});
+
+describe('parseCsvTaskRow', () => {
+  it('reads due dates in the given timezone', () => {
+    const timed = parseCsvTaskRow({ title: 'T', due_date: '2026-10-20 09:30' }, { timeZone: 'Asia/Tokyo' });
+    assert.equal(timed.due_date, '2026-10-20T00:30:00.000Z');
+    assert.equal(timed.is_all_day, false);
+
+    const allDay = parseCsvTaskRow({ title: 'T', due_date: '2026-03-29' }, { timeZone: 'Asia/Tokyo' });
+    assert.equal(allDay.due_date, '2026-03-28T15:00:00.000Z');
+    assert.equal(allDay.is_all_day, true);
+  });
+
+  it('rejects ambiguous dates', () => {
+    assert.throws(() => parseCsvTaskRow({ title: 'T', due_date: '11/05/2026' }, { timeZone: 'UTC' }), /invalid due_date "11\/05\/2026"/);
+  });
+
+  it('splits tags on semicolons only', () => {
+    assert.deepEqual(parseCsvTaskRow({ title: 'T', tags: 'a; b;;c,d' }).tags, ['a', 'b', 'c,d']);
+  });
+
+  it('reads priority names and numbers', () => {
+    assert.equal(parseCsvTaskRow({ title: 'T', priority: 'High' }).priority, 5);
+    assert.equal(parseCsvTaskRow({ title: 'T', priority: '3' }).priority, 3);
+    assert.throws(() => parseCsvTaskRow({ title: 'T', priority: '2' }), /invalid priority "2"/);
+  });
+
+  it('requires IDs only when asked', () => {
+    assert.throws(() => parseCsvTaskRow({ title: '' }), /missing title/);
+    assert.throws(() => parseCsvTaskRow({ title: 'T' }, { requireIds: true }), /missing task_id, project_id/);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  zonedParts,
+  zonedTimeToUtc,
+  todayInZone,
+  addMonths,
+  startOfWeek,
+  parseLocalDate,
+  parseDueDate,
+  shiftDate,
+  isTaskOverdue,
+  resolveTimeZone
+} from '../src/dates.js';
+
+const BERLIN = 'Europe/Berlin';
+
+function utc(local, timeZone = BERLIN) {
+  return zonedTimeToUtc(local, timeZone).toISOString();
+}
+
+describe('zonedTimeToUtc', () => {
+  it('uses the offset in effect on each side of a DST change', () => {
+    assert.equal(utc({ year: 2026, month: 3, day: 28, hour: 12 }), '2026-03-28T11:00:00.000Z');
+    assert.equal(utc({ year: 2026, month: 3, day: 29, hour: 12 }), '2026-03-29T10:00:00.000Z');
+    assert.equal(utc({ year: 2026, month: 10, day: 25 }), '2026-10-24T22:00:00.000Z');
+    assert.equal(utc({ year: 2026, month: 10, day: 26 }), '2026-10-25T23:00:00.000Z');
+  });
+
+  it('moves a time skipped by spring forward past the gap', () => {
+    assert.equal(utc({ year: 2026, month: 3, day: 29, hour: 3 }), '2026-03-29T01:00:00.000Z');
+    assert.equal(utc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('maps a repeated fall-back time to one of its instants', () => {
+    const parts = zonedParts(zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, BERLIN), BERLIN);
+    assert.deepEqual([parts.day, parts.hour, parts.minute], [25, 2, 30]);
+  });
+});
+
+describe('shiftDate', () => {
+  it('keeps all-day dates at local midnight across DST changes', () => {
+    assert.equal(shiftDate('2026-03-27T23:00:00.000Z', 2, BERLIN), '2026-03-29T22:00:00.000Z');
+    assert.equal(shiftDate('2026-10-24T22:00:00.000Z', 1, BERLIN), '2026-10-25T23:00:00.000Z');
+  });
+
+  it('keeps the wall-clock time of timed dates', () => {
+    assert.equal(shiftDate('2026-03-28T08:00:00.000Z', 1, BERLIN), '2026-03-29T07:00:00.000Z');
+  });
+});
+
+describe('parseDueDate', () => {
+  it('treats a bare date as all-day at midnight in the timezone', () => {
+    assert.deepEqual(parseDueDate('2026-10-25', BERLIN), { dueDate: '2026-10-24T22:00:00.000Z', isAllDay: true });
+    assert.deepEqual(parseDueDate('2026-10-25', 'America/New_York'), { dueDate: '2026-10-25T04:00:00.000Z', isAllDay: true });
+  });
+
+  it('reads date-times without an offset in the timezone', () => {
+    assert.deepEqual(parseDueDate('2026-10-25 09:00', BERLIN), { dueDate: '2026-10-25T08:00:00.000Z', isAllDay: false });
+    assert.equal(parseDueDate('2026-10-24T09:00:00', BERLIN).dueDate, '2026-10-24T07:00:00.000Z');
+  });
+
+  it('honours an explicit offset', () => {
+    assert.equal(parseDueDate('2026-10-25T09:00:00+05:30', BERLIN).dueDate, '2026-10-25T03:30:00.000Z');
+    assert.equal(parseDueDate('2026-10-25t09:00:00.250Z', BERLIN).dueDate, '2026-10-25T09:00:00.250Z');
+  });
+
+  it('rejects ambiguous and impossible dates', () => {
+    for (const value of ['11/05/2026', '2026-02-30', '2026-10-25T24:00', 'tomorrow']) {
+      assert.throws(() => parseDueDate(value, BERLIN), /Invalid date/, value);
+    }
+  });
+});
+
+describe('calendar helpers', () => {
+  it('validates local dates including leap days', () => {
+    assert.equal(parseLocalDate('2026-02-29'), null);
+    assert.deepEqual(parseLocalDate('2028-02-29'), { year: 2028, month: 2, day: 29 });
+  });
+
+  it('clamps month arithmetic to the end of the month', () => {
+    assert.deepEqual(addMonths({ year: 2026, month: 1, day: 31 }, 1), { year: 2026, month: 2, day: 28 });
+  });
+
+  it('starts weeks on Monday by default', () => {
+    assert.deepEqual(startOfWeek({ year: 2026, month: 10, day: 18 }), { year: 2026, month: 10, day: 12 });
+  });
+
+  it('computes today in the timezone, not in UTC', () => {
+    assert.deepEqual(todayInZone('Pacific/Auckland', new Date('2026-10-19T12:00:00Z')), { year: 2026, month: 10, day: 20 });
+    assert.deepEqual(todayInZone('America/Los_Angeles', new Date('2026-10-19T05:00:00Z')), { year: 2026, month: 10, day: 18 });
+  });
+
+  it('rejects unknown timezones', () => {
+    assert.throws(() => resolveTimeZone('Mars/Olympus'), /Unknown timezone "Mars\/Olympus"/);
+    assert.equal(resolveTimeZone('Asia/Tokyo'), 'Asia/Tokyo');
+  });
+});
+
+describe('isTaskOverdue', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  it('counts an all-day task as overdue only from the next local day', () => {
+    const today = { isAllDay: true, dueDate: '2026-10-18T22:00:00.000Z' };
+    const yesterday = { isAllDay: true, dueDate: '2026-10-17T22:00:00.000Z' };
+    assert.equal(isTaskOverdue(today, { timeZone: BERLIN, now }), false);
+    assert.equal(isTaskOverdue(yesterday, { timeZone: BERLIN, now }), true);
+  });
+
+  it('reads an all-day date in the task\'s own timezone', () => {
+    const tokyoToday = { isAllDay: true, timeZone: 'Asia/Tokyo', dueDate: '2026-10-18T15:00:00.000Z' };
+    assert.equal(isTaskOverdue(tokyoToday, { timeZone: BERLIN, now }), false);
+  });
+
+  it('counts a timed task as overdue once its time has passed, unless completed', () => {
+    assert.equal(isTaskOverdue({ dueDate: '2026-10-19T09:59:00.000Z' }, { timeZone: BERLIN, now }), true);
+    assert.equal(isTaskOverdue({ dueDate: '2026-10-19T10:01:00.000Z' }, { timeZone: BERLIN, now }), false);
+    assert.equal(isTaskOverdue({ status: 2, dueDate: '2026-10-01T00:00:00.000Z' }, { timeZone: BERLIN, now }), false);
+  });
+});
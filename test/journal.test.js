@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEmptyJournal, classifyCall, remapIds, isUndoable, OperationJournal } from '../src/journal.js';
+
+function memoryStore(doc = createEmptyJournal()) {
+  return {
+    read: async () => structuredClone(doc),
+    update: async mutator => mutator(doc)
+  };
+}
+
+function entry(calls, extra = {}) {
+  return { id: 'op-1', tool: 'ticktick_update_task', arguments: {}, status: 'applied', calls, ...extra };
+}
+
+describe('classifyCall', () => {
+  it('names each kind of write undo can reverse', () => {
+    const cases = [
+      [{ method: 'POST', endpoint: '/task' }, 'create_task'],
+      [{ method: 'POST', endpoint: '/task/t1' }, 'update_task'],
+      [{ method: 'POST', endpoint: '/project/p1/task/t1/complete' }, 'complete_task'],
+      [{ method: 'DELETE', endpoint: '/project/p1/task/t1' }, 'delete_task'],
+      [{ method: 'POST', endpoint: '/project' }, 'create_project'],
+      [{ method: 'POST', endpoint: '/project/p1' }, 'update_project'],
+      [{ method: 'DELETE', endpoint: '/project/p1' }, 'delete_project'],
+      [{ method: 'GET', endpoint: '/project/p1' }, null],
+      [{ method: 'POST', endpoint: '/habit/h1' }, null]
+    ];
+    for (const [call, kind] of cases) {
+      assert.equal(classifyCall(call), kind, `${call.method} ${call.endpoint}`);
+    }
+  });
+});
+
+describe('isUndoable', () => {
+  it('needs at least one reversible call and an entry that is not undone', () => {
+    assert.equal(isUndoable(entry([])), false);
+    assert.equal(isUndoable(entry([{ method: 'POST', endpoint: '/habit/h1' }])), false);
+    assert.equal(isUndoable(entry([{ method: 'POST', endpoint: '/task/t1' }])), true);
+    assert.equal(isUndoable(entry([{ method: 'POST', endpoint: '/task/t1' }], { status: 'undone' })), false);
+  });
+});
+
+describe('remapIds', () => {
+  const remaps = { t1: 'n1', p1: 'np1' };
+
+  it('swaps IDs in endpoint segments and API ID fields', () => {
+    const remapped = remapIds(entry([{
+      method: 'POST',
+      endpoint: '/project/p1/task/t1/complete',
+      body: { id: 't1', projectId: 'p1', items: [{ id: 'i1' }] },
+      before: { id: 't1', parentId: 't1', projectId: 'p1' },
+      result: null
+    }]), remaps);
+
+    const [call] = remapped.calls;
+    assert.equal(call.endpoint, '/project/np1/task/n1/complete');
+    assert.deepEqual(call.body, { id: 'n1', projectId: 'np1', items: [{ id: 'i1' }] });
+    assert.deepEqual(call.before, { id: 'n1', parentId: 'n1', projectId: 'np1' });
+    assert.equal(call.result, null);
+  });
+
+  it('swaps IDs in argument fields named *_id or *_ids', () => {
+    const remapped = remapIds(entry([], {
+      arguments: { task_id: 't1', to_project_id: 'p1', task_ids: ['t1', 't9'], id: 't1', operations: [{ task_id: 't1' }] }
+    }), remaps);
+    assert.deepEqual(remapped.arguments, {
+      task_id: 'n1',
+      to_project_id: 'np1',
+      task_ids: ['n1', 't9'],
+      id: 'n1',
+      operations: [{ task_id: 'n1' }]
+    });
+  });
+
+  it('leaves titles and other text that contain an ID alone', () => {
+    const remapped = remapIds(entry([{
+      method: 'POST',
+      endpoint: '/task/t1',
+      body: { id: 't1', title: 't1', content: 'see p1', tags: ['t1'] },
+      before: null,
+      result: { id: 't1', title: 't1' }
+    }], { arguments: { title: 't1', content: 'p1' } }), remaps);
+
+    assert.deepEqual(remapped.arguments, { title: 't1', content: 'p1' });
+    assert.deepEqual(remapped.calls[0].body, { id: 'n1', title: 't1', content: 'see p1', tags: ['t1'] });
+    assert.deepEqual(remapped.calls[0].result, { id: 'n1', title: 't1' });
+  });
+});
+
+describe('OperationJournal', () => {
+  function operation(tool, calls) {
+    return { tool, startedAt: '2026-10-19T10:00:00.000Z', calls };
+  }
+
+  it('records entries without dry_run, newest first, trimmed to maxEntries', async () => {
+    const journal = new OperationJournal({ store: memoryStore(), maxEntries: 2 });
+    const first = await journal.record(operation('a', []), { dry_run: false, task_id: 't1' });
+    assert.deepEqual(first.arguments, { task_id: 't1' });
+    await journal.record(operation('b', []), {});
+    const failed = await journal.record(operation('c', [{ method: 'POST', endpoint: '/task/t1', body: {}, extra: 1 }]), {}, new Error('boom'));
+
+    assert.equal(failed.status, 'partial');
+    assert.equal(failed.error, 'boom');
+    assert.deepEqual(Object.keys(failed.calls[0]), ['method', 'endpoint', 'body', 'before', 'result']);
+    assert.deepEqual((await journal.list()).map(item => item.tool), ['c', 'b']);
+    assert.deepEqual((await journal.list({ tool: 'b' })).map(item => item.tool), ['b']);
+  });
+
+  it('offers only undoable entries and hides undone ones when asked', async () => {
+    const journal = new OperationJournal({ store: memoryStore() });
+    const first = await journal.record(operation('a', [{ method: 'POST', endpoint: '/task/t1' }]), {});
+    await journal.record(operation('b', [{ method: 'POST', endpoint: '/habit/h1' }]), {});
+    const third = await journal.record(operation('c', [{ method: 'DELETE', endpoint: '/project/p1/task/t2' }]), {});
+
+    assert.deepEqual((await journal.latestUndoable(5)).map(item => item.id), [third.id, first.id]);
+    await journal.markUndone(third.id, { restored: 1 });
+
+    const undone = await journal.find(third.id);
+    assert.equal(undone.status, 'undone');
+    assert.equal(undone.undo.restored, 1);
+    assert.ok(undone.undo.undone_at);
+    assert.deepEqual((await journal.latestUndoable(5)).map(item => item.id), [first.id]);
+    assert.equal((await journal.list({ includeUndone: false })).length, 2);
+  });
+
+  it('remaps IDs in entries that are not undone', async () => {
+    const journal = new OperationJournal({ store: memoryStore() });
+    const kept = await journal.record(operation('a', [{ method: 'POST', endpoint: '/task/t1', body: { id: 't1' } }]), { task_id: 't1' });
+    const undone = await journal.record(operation('b', [{ method: 'POST', endpoint: '/task/t1', body: { id: 't1' } }]), { task_id: 't1' });
+    await journal.markUndone(undone.id, {});
+
+    await journal.remapIds({ t1: 'n1' });
+    assert.equal((await journal.find(kept.id)).calls[0].endpoint, '/task/n1');
+    assert.equal((await journal.find(kept.id)).arguments.task_id, 'n1');
+    assert.equal((await journal.find(undone.id)).calls[0].endpoint, '/task/t1');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonFileStore } from '../src/storage/jsonFileStore.js';
+
+let root;
+let counter = 0;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'ticktick-store-test-'));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// A store on a fresh file in its own directory
+async function freshStore(options = {}) {
+  const dir = path.join(root, String(++counter));
+  const store = new JsonFileStore(path.join(dir, 'cache.json'), { createDefault: () => ({ tasks: {} }), ...options });
+  await store.open();
+  return { store, dir };
+}
+
+describe('JsonFileStore', () => {
+  it('returns the default document until something is written', async () => {
+    const { store } = await freshStore();
+    assert.deepEqual(await store.read(), { tasks: {} });
+  });
+
+  it('persists updates and returns the mutator result', async () => {
+    const { store } = await freshStore();
+    const result = await store.update(doc => {
+      doc.tasks.t1 = { title: 'A' };
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.deepEqual(JSON.parse(fs.readFileSync(store.filePath, 'utf8')), { tasks: { t1: { title: 'A' } } });
+  });
+
+  it('serializes concurrent updates so none is lost', async () => {
+    const { store } = await freshStore();
+    await Promise.all(Array.from({ length: 25 }, (_, index) => store.update(async doc => {
+      const count = doc.count || 0;
+      await new Promise(resolve => setImmediate(resolve));
+      doc.count = count + 1;
+      doc.tasks[`t${index}`] = true;
+    })));
+    const doc = await store.read();
+    assert.equal(doc.count, 25);
+    assert.equal(Object.keys(doc.tasks).length, 25);
+  });
+
+  it('writes through a temp file and leaves only the target and no lock behind', async () => {
+    const { store, dir } = await freshStore();
+    await store.update(doc => { doc.tasks.t1 = true; });
+    assert.deepEqual(fs.readdirSync(dir), ['cache.json']);
+    assert.equal(fs.statSync(store.filePath).mode & 0o777, 0o600);
+  });
+
+  it('removes the temp file when the rename fails', async () => {
+    const { store, dir } = await freshStore();
+    fs.mkdirSync(store.filePath);
+    fs.writeFileSync(path.join(store.filePath, 'keep'), '');
+    await assert.rejects(store.writeAtomic({ tasks: {} }));
+    assert.deepEqual(fs.readdirSync(dir), ['cache.json']);
+  });
+
+  it('keeps the queue working after a mutator throws, without writing', async () => {
+    const { store } = await freshStore();
+    await store.update(doc => { doc.tasks.t1 = true; });
+    await assert.rejects(store.update(() => { throw new Error('nope'); }), /nope/);
+    await store.update(doc => { doc.tasks.t2 = true; });
+    assert.deepEqual(Object.keys((await store.read()).tasks), ['t1', 't2']);
+    assert.equal(fs.existsSync(store.lockPath), false);
+  });
+
+  it('moves a corrupt file aside instead of discarding it', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { store, dir } = await freshStore();
+    fs.writeFileSync(store.filePath, '{"tasks": {');
+
+    assert.deepEqual(await store.read(), { tasks: {} });
+    const backups = fs.readdirSync(dir).filter(name => name.startsWith('cache.json.corrupt-'));
+    assert.equal(backups.length, 1);
+    assert.equal(fs.readFileSync(path.join(dir, backups[0]), 'utf8'), '{"tasks": {');
+    assert.equal(fs.existsSync(store.filePath), false);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
+
+describe('JsonFileStore lock', () => {
+  it('waits for a lock held by another process', async () => {
+    const { store } = await freshStore();
+    fs.writeFileSync(store.lockPath, '{}');
+    setTimeout(() => fs.rmSync(store.lockPath, { force: true }), 80);
+
+    const started = Date.now();
+    await store.update(doc => { doc.tasks.t1 = true; });
+    assert.ok(Date.now() - started >= 70, 'waited for the lock');
+    assert.equal(fs.existsSync(store.lockPath), false);
+  });
+
+  it('times out while a fresh lock is held', async () => {
+    const { store } = await freshStore({ lockTimeoutMs: 60 });
+    fs.writeFileSync(store.lockPath, '{}');
+    await assert.rejects(store.update(() => {}), /Timed out waiting for cache lock/);
+    assert.equal(fs.existsSync(store.filePath), false);
+  });
+
+  it('takes over a stale lock left by a crashed process', async () => {
+    const { store } = await freshStore({ staleLockMs: 1000, lockTimeoutMs: 100 });
+    fs.writeFileSync(store.lockPath, '{}');
+    const old = new Date(Date.now() - 5000);
+    fs.utimesSync(store.lockPath, old, old);
+
+    await store.update(doc => { doc.tasks.t1 = true; });
+    assert.deepEqual((await store.read()).tasks, { t1: true });
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createOperation,
+  runInOperation,
+  currentOperation,
+  withBufferedCache,
+  guardStore,
+  snapshotEndpoint,
+  findSnapshot,
+  predictAfter,
+  simulateResponse
+} from '../src/operationContext.js';
+
+// An in-memory store that counts the updates that reach it
+function memoryStore(doc = { tasks: {} }) {
+  const store = {
+    doc,
+    updates: 0,
+    writes: 0,
+    read: async () => structuredClone(store.doc),
+    update: async mutator => {
+      store.updates++;
+      return mutator(store.doc);
+    },
+    write: async next => {
+      store.writes++;
+      store.doc = next;
+    }
+  };
+  return store;
+}
+
+describe('operation context', () => {
+  it('is visible to async code inside the operation only', async () => {
+    const operation = createOperation('ticktick_batch');
+    await runInOperation(operation, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(currentOperation(), operation);
+    });
+    assert.equal(currentOperation(), null);
+  });
+});
+
+describe('buffered cache updates', () => {
+  it('lets reads see queued updates before they are flushed', async () => {
+    const store = memoryStore();
+    const guarded = guardStore(store);
+
+    await runInOperation(createOperation('ticktick_batch'), () => withBufferedCache(store, async () => {
+      assert.equal(await guarded.update(doc => { doc.tasks.t1 = { title: 'Created' }; }), undefined);
+      assert.deepEqual((await guarded.read()).tasks, { t1: { title: 'Created' } });
+      assert.deepEqual(store.doc.tasks, {}, 'nothing written yet');
+      assert.equal(store.updates, 0);
+    }));
+
+    assert.deepEqual(store.doc.tasks, { t1: { title: 'Created' } });
+  });
+
+  it('applies all queued updates in one store update, in order', async () => {
+    const store = memoryStore();
+    const guarded = guardStore(store);
+
+    await runInOperation(createOperation('ticktick_batch'), () => withBufferedCache(store, async () => {
+      await guarded.update(doc => { doc.tasks.t1 = { title: 'A' }; });
+      await guarded.update(doc => { doc.tasks.t1.title = 'B'; });
+      await guarded.update(doc => { doc.tasks.t2 = { title: 'C' }; });
+    }));
+
+    assert.equal(store.updates, 1);
+    assert.deepEqual(store.doc.tasks, { t1: { title: 'B' }, t2: { title: 'C' } });
+  });
+
+  it('flushes what was queued even when the batch fails, and skips an empty flush', async () => {
+    const store = memoryStore();
+    const guarded = guardStore(store);
+    const operation = createOperation('ticktick_batch');
+
+    await assert.rejects(runInOperation(operation, () => withBufferedCache(store, async () => {
+      await guarded.update(doc => { doc.tasks.t1 = { title: 'A' }; });
+      throw new Error('step 2 failed');
+    })), /step 2 failed/);
+    assert.equal(store.updates, 1);
+    assert.equal(operation.cacheBuffer, null);
+
+    await runInOperation(createOperation('ticktick_batch'), () => withBufferedCache(store, async () => {}));
+    assert.equal(store.updates, 1);
+  });
+
+  it('passes updates straight through outside a buffering operation', async () => {
+    const store = memoryStore();
+    const guarded = guardStore(store);
+    await guarded.update(doc => { doc.tasks.t1 = true; });
+    await runInOperation(createOperation('ticktick_update_task'), () => guarded.update(doc => { doc.tasks.t2 = true; }));
+    assert.equal(store.updates, 2);
+  });
+
+  it('keeps dry-run updates and writes away from the store', async () => {
+    const store = memoryStore();
+    const guarded = guardStore(store);
+    const operation = createOperation('ticktick_update_task', { dryRun: true });
+
+    await runInOperation(operation, async () => {
+      assert.equal(await guarded.update(doc => { doc.tasks.t1 = true; return 'seen'; }), 'seen');
+      await guarded.write({ tasks: { t2: true } });
+    });
+
+    assert.equal(operation.cacheWrites, 2);
+    assert.equal(store.updates + store.writes, 0);
+    assert.deepEqual(store.doc.tasks, {});
+  });
+});
+
+describe('snapshots', () => {
+  it('maps write endpoints to the GET that snapshots their target', () => {
+    const cases = [
+      [['POST', '/project/p1/task/t1/complete'], '/project/p1/task/t1'],
+      [['DELETE', '/project/p1/task/t1'], '/project/p1/task/t1'],
+      [['POST', '/task/t1', { projectId: 'p1' }], '/project/p1/task/t1'],
+      [['POST', '/task/t1', {}], null],
+      [['POST', '/task', { projectId: 'p1' }], null],
+      [['DELETE', '/project/p1'], '/project/p1/data'],
+      [['POST', '/project/p1'], '/project/p1'],
+      [['POST', '/project'], null]
+    ];
+    for (const [args, expected] of cases) {
+      assert.equal(snapshotEndpoint(...args), expected, args.join(' '));
+    }
+  });
+
+  it('finds a task snapshot read under its old project', () => {
+    const operation = createOperation('ticktick_move_task');
+    operation.reads.set('/project/p1/task/t1', { id: 't1', projectId: 'p1' });
+    assert.deepEqual(findSnapshot(operation, '/project/p2/task/t1'), { id: 't1', projectId: 'p1' });
+    assert.equal(findSnapshot(operation, '/project/p1/task/t2'), undefined);
+  });
+
+  it('predicts the target after a write and simulates its response', () => {
+    const before = { id: 't1', title: 'A', status: 0 };
+    assert.equal(predictAfter('DELETE', '/project/p1/task/t1', before), null);
+    assert.equal(predictAfter('POST', '/project/p1/task/t1/complete', before).status, 2);
+    assert.deepEqual(predictAfter('POST', '/task/t1', before, { title: 'B' }), { id: 't1', title: 'B', status: 0 });
+
+    const operation = createOperation('ticktick_create_task', { dryRun: true });
+    assert.deepEqual(simulateResponse(operation, { method: 'POST', endpoint: '/task', after: { title: 'New' } }), { title: 'New', id: 'dry-run-1' });
+    assert.equal(simulateResponse(operation, { method: 'DELETE', endpoint: '/project/p1/task/t1', after: null }), null);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QueryError,
+  parseQuery,
+  evaluateQuery,
+  createQueryContext,
+  normalizeTask,
+  parseSort,
+  sortRows,
+  groupRows,
+  encodeCursor,
+  decodeCursor,
+  validateFields
+} from '../src/query.js';
+
+const NOW = new Date('2026-10-19T10:00:00Z');
+const context = createQueryContext('Europe/Berlin', NOW);
+
+function row(id, task) {
+  return normalizeTask(id, { project_id: task.projectId || 'p1', title: task.title, task: { projectId: 'p1', status: 0, ...task } }, {
+    projects: { p1: { name: 'Work' }, p2: { name: 'Home' } }
+  });
+}
+
+const rows = [
+  row('a', { title: 'Write report', priority: 5, tags: ['work'], dueDate: '2026-10-18T08:00:00.000Z', content: 'quarterly numbers' }),
+  row('b', { title: 'Email Bob', priority: 1, tags: ['work', 'comms'], dueDate: '2026-10-22T08:00:00.000Z' }),
+  row('c', { title: 'Buy milk', projectId: 'p2', tags: ['errands'], items: [{ id: 'i1', status: 0 }] }),
+  row('d', { title: 'Done thing', status: 2, priority: 3, tags: ['work/meetings'], completedTime: '2026-10-17T09:00:00.000Z' })
+];
+
+function matching(query) {
+  const ast = parseQuery(query);
+  return rows.filter(candidate => evaluateQuery(ast, candidate, context)).map(candidate => candidate.id);
+}
+
+function parseError(query) {
+  try {
+    parseQuery(query);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`"${query}" should not parse`);
+}
+
+describe('parseQuery', () => {
+  it('parses comparisons joined by AND', () => {
+    assert.deepEqual(parseQuery('priority>=3 AND tag:work'), {
+      type: 'and',
+      nodes: [
+        { type: 'compare', field: 'priority', operator: '>=', value: 3 },
+        { type: 'compare', field: 'tag', operator: ':', value: 'work' }
+      ]
+    });
+  });
+
+  it('ANDs terms written side by side and keeps quoted phrases together', () => {
+    assert.deepEqual(parseQuery('"two words" milk'), {
+      type: 'and',
+      nodes: [{ type: 'text', value: 'two words' }, { type: 'text', value: 'milk' }]
+    });
+  });
+
+  it('binds NOT tighter than OR', () => {
+    assert.deepEqual(parseQuery('NOT completed OR (tag:x)'), {
+      type: 'or',
+      nodes: [{ type: 'not', node: { type: 'flag', flag: 'completed' } }, { type: 'compare', field: 'tag', operator: ':', value: 'x' }]
+    });
+  });
+
+  it('accepts priority names', () => {
+    assert.deepEqual(parseQuery('priority:high'), { type: 'compare', field: 'priority', operator: ':', value: 5 });
+  });
+
+  it('reports errors with the character position', () => {
+    for (const [query, position] of [['(tag:x', 1], ['priority>=', 1], ['tag:a AND', 7], ['"open', 1], ['priority>=x', 1], ['due<none', 1]]) {
+      const error = parseError(query);
+      assert.ok(error instanceof QueryError, query);
+      assert.equal(error.position, position, query);
+      assert.match(error.message, new RegExp(`\\(at character ${position}\\)$`), query);
+    }
+  });
+
+  it('rejects a dangling operator and unknown dates', () => {
+    assert.match(parseError('AND x').message, /needs a term before it/);
+    assert.match(parseError('due<=someday').message, /Invalid date/);
+  });
+});
+
+describe('evaluateQuery', () => {
+  it('filters by priority, tag and text', () => {
+    assert.deepEqual(matching('priority>=3 AND tag:work'), ['a']);
+    assert.deepEqual(matching('tag:work/*'), ['d']);
+    assert.deepEqual(matching('quarterly'), ['a']);
+    assert.deepEqual(matching('title="buy milk"'), ['c']);
+  });
+
+  it('filters by project ID or name, case-insensitively', () => {
+    assert.deepEqual(matching('project:home'), ['c']);
+    assert.deepEqual(matching('project:p2'), ['c']);
+  });
+
+  it('compares dates as days in the context timezone', () => {
+    assert.deepEqual(matching('due<today'), ['a']);
+    assert.deepEqual(matching('due<=+7d AND due>=today'), ['b']);
+    assert.deepEqual(matching('due:none'), ['c', 'd']);
+  });
+
+  it('knows flags and has:', () => {
+    assert.deepEqual(matching('overdue'), ['a']);
+    assert.deepEqual(matching('completed'), ['d']);
+    assert.deepEqual(matching('has:checklist'), ['c']);
+    assert.deepEqual(matching('NOT completed AND NOT has:due'), ['c']);
+  });
+
+  it('matches everything for an empty query', () => {
+    assert.deepEqual(matching(''), ['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('sorting and grouping', () => {
+  it('parses sort specs', () => {
+    assert.deepEqual(parseSort('-priority, due'), [{ field: 'priority', descending: true }, { field: 'due', descending: false }]);
+    assert.deepEqual(parseSort(''), []);
+    assert.throws(() => parseSort('color'), QueryError);
+  });
+
+  it('sorts missing values last in either direction and breaks ties by ID', () => {
+    assert.deepEqual(sortRows(rows, parseSort('due')).map(item => item.id), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(sortRows(rows, parseSort('-due')).map(item => item.id), ['b', 'a', 'c', 'd']);
+    assert.deepEqual(sortRows(rows, parseSort('-priority')).map(item => item.id), ['a', 'd', 'b', 'c']);
+  });
+
+  it('groups by due bucket in bucket order', () => {
+    assert.deepEqual(groupRows(rows, 'due', context).map(group => [group.key, group.task_ids]), [
+      ['overdue', ['a']],
+      ['next_7_days', ['b']],
+      ['no_date', ['c', 'd']]
+    ]);
+  });
+
+  it('puts a task with several tags in each tag group', () => {
+    const groups = Object.fromEntries(groupRows(rows, 'tag', context).map(group => [group.key, group.task_ids]));
+    assert.deepEqual(groups.work, ['a', 'b']);
+    assert.deepEqual(groups.comms, ['b']);
+  });
+});
+
+describe('cursors', () => {
+  it('round-trips the offset for the same query and sort', () => {
+    const cursor = encodeCursor(50, 'tag:work', 'due');
+    assert.equal(decodeCursor(cursor, 'tag:work', 'due'), 50);
+  });
+
+  it('rejects a cursor from another query or sort', () => {
+    const cursor = encodeCursor(50, 'tag:work', 'due');
+    assert.throws(() => decodeCursor(cursor, 'tag:home', 'due'), /different query or sort/);
+    assert.throws(() => decodeCursor(cursor, 'tag:work', '-due'), /different query or sort/);
+  });
+
+  it('rejects garbage and negative offsets', () => {
+    assert.throws(() => decodeCursor('garbage', '', ''), QueryError);
+    const negative = Buffer.from(JSON.stringify({ o: -1, f: 'x' })).toString('base64url');
+    assert.throws(() => decodeCursor(negative, '', ''), /Malformed cursor/);
+  });
+});
+
+describe('validateFields', () => {
+  it('accepts known output fields and names the unknown ones', () => {
+    assert.deepEqual(validateFields(['id', 'title']), ['id', 'title']);
+    assert.throws(() => validateFields(['id', 'colour']), /Unknown field\(s\) colour/);
+  });
+});
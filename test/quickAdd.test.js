@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd } from '../src/quickAdd.js';
+
+// Monday 2026-10-19, 12:00 in Berlin
+const now = () => new Date('2026-10-19T10:00:00Z');
+
+function quickAdd(input, timeZone = 'Europe/Berlin') {
+  return parseQuickAdd(input, { timeZone, now });
+}
+
+describe('parseQuickAdd', () => {
+  it('pulls date, time, priority, tags and project out of the title', () => {
+    const result = quickAdd('Call mom tomorrow 5pm !high #family ^Personal');
+    assert.equal(result.title, 'Call mom');
+    assert.equal(result.due_date, '2026-10-20T15:00:00.000Z');
+    assert.equal(result.is_all_day, false);
+    assert.equal(result.priority, 5);
+    assert.deepEqual(result.tags, ['family']);
+    assert.equal(result.project, 'Personal');
+    assert.equal(result.recurrence, null);
+    assert.deepEqual(result.parsed.map(item => item.token), ['^Personal', '#family', '!high', 'tomorrow', '5pm']);
+  });
+
+  it('reads quoted project names and bang priorities', () => {
+    const result = quickAdd('Plan ^"Side Project" #a #b !!');
+    assert.equal(result.title, 'Plan');
+    assert.equal(result.project, 'Side Project');
+    assert.deepEqual(result.tags, ['a', 'b']);
+    assert.equal(result.priority, 3);
+  });
+
+  it('makes a date without a time all-day, at local midnight', () => {
+    const result = quickAdd('Submit 2026-03-29');
+    assert.equal(result.title, 'Submit');
+    assert.equal(result.due_date, '2026-03-28T23:00:00.000Z');
+    assert.equal(result.is_all_day, true);
+  });
+
+  it('resolves relative dates and weekdays from today', () => {
+    assert.equal(quickAdd('Report in 2 days').parsed[0].meaning, 'date 2026-10-21');
+    assert.equal(quickAdd('Review next friday').parsed[0].meaning, 'date 2026-10-23');
+    assert.equal(quickAdd('Dentist Oct 25 2:30pm').due_date, '2026-10-25T13:30:00.000Z');
+  });
+
+  it('puts a time that has already passed today on tomorrow', () => {
+    assert.equal(quickAdd('Meeting 9am').due_date, '2026-10-20T07:00:00.000Z');
+    assert.equal(quickAdd('Check in 30 minutes').due_date, '2026-10-19T10:30:00.000Z');
+  });
+
+  it('resolves times in the given timezone', () => {
+    assert.equal(quickAdd('Meeting tomorrow 9am', 'Asia/Tokyo').due_date, '2026-10-20T00:00:00.000Z');
+  });
+
+  it('turns repeat phrases into RRULEs', () => {
+    assert.equal(quickAdd('Pay rent every month').recurrence, 'RRULE:FREQ=MONTHLY;INTERVAL=1');
+    const standup = quickAdd('Standup every monday, wednesday and friday at 9');
+    assert.equal(standup.title, 'Standup');
+    assert.equal(standup.recurrence, 'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE,FR');
+    assert.equal(standup.due_date, '2026-10-21T07:00:00.000Z');
+  });
+
+  it('leaves words that only look like dates alone', () => {
+    const result = quickAdd('Buy sun cream');
+    assert.equal(result.title, 'Buy sun cream');
+    assert.equal(result.due_date, null);
+    assert.deepEqual(result.parsed, []);
+  });
+
+  it('rejects input with nothing left for a title', () => {
+    assert.throws(() => quickAdd('tomorrow #x'), /has no title left/);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRecurrence,
+  formatRRule,
+  describeRecurrence,
+  nextOccurrences,
+  parseReminder,
+  describeReminder
+} from '../src/recurrence.js';
+
+function rrule(input) {
+  return formatRRule(parseRecurrence(input));
+}
+
+function occurrences(input, start, limit) {
+  return nextOccurrences(parseRecurrence(input), start, limit).map(({ year, month, day }) => `${year}-${month}-${day}`);
+}
+
+describe('parseRecurrence', () => {
+  it('understands friendly phrases', () => {
+    assert.equal(rrule('daily'), 'RRULE:FREQ=DAILY;INTERVAL=1');
+    assert.equal(rrule('every 2 weeks'), 'RRULE:FREQ=WEEKLY;INTERVAL=2');
+    assert.equal(rrule('every weekday'), 'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TU,WE,TH,FR');
+    assert.equal(rrule('every monday and thursday'), 'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+    assert.equal(rrule('every other week on mon, fri'), 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR');
+    assert.equal(rrule('monthly on the last day'), 'RRULE:FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=-1');
+    assert.equal(rrule('every 2 months on day 15'), 'RRULE:FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15');
+  });
+
+  it('reads RRULEs with or without the prefix', () => {
+    assert.deepEqual(parseRecurrence('RRULE:FREQ=WEEKLY;BYDAY=MO,FR'), { interval: 1, freq: 'WEEKLY', byDay: ['MO', 'FR'] });
+    assert.deepEqual(parseRecurrence('freq=monthly;bymonthday=31;count=3'), { interval: 1, freq: 'MONTHLY', byMonthDay: [31], count: 3 });
+    assert.equal(rrule('FREQ=MONTHLY;BYDAY=-1FR'), 'RRULE:FREQ=MONTHLY;INTERVAL=1;BYDAY=-1FR');
+  });
+
+  it('rejects rules it cannot represent', () => {
+    const cases = [
+      ['every blursday', /Unknown weekday "blursday"/],
+      ['every 0 days', /Interval must be a positive integer/],
+      ['FREQ=DAILY;INTERVAL=0', /INTERVAL must be a positive integer/],
+      ['RRULE:FREQ=HOURLY', /needs FREQ of DAILY, WEEKLY, MONTHLY, YEARLY/],
+      ['FREQ=DAILY;FOO=1', /Unsupported RRULE part "FOO"/],
+      ['FREQ=WEEKLY;BYDAY=1MO', /only work with monthly or yearly rules/],
+      ['FREQ=DAILY;COUNT=2;UNTIL=20261231', /COUNT or UNTIL, not both/],
+      ['every week on day 5', /only works with monthly or yearly rules/],
+      ['', /Recurrence is empty/]
+    ];
+    for (const [input, message] of cases) {
+      assert.throws(() => parseRecurrence(input), message, input);
+    }
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('spells out the rule', () => {
+    assert.equal(describeRecurrence(parseRecurrence('every other week on mon, fri')), 'every 2 weeks on monday, friday');
+    assert.equal(describeRecurrence(parseRecurrence('FREQ=MONTHLY;BYDAY=-1FR')), 'every month on last friday');
+    assert.equal(describeRecurrence(parseRecurrence('FREQ=DAILY;UNTIL=20261231')), 'every day, until 2026-12-31');
+  });
+});
+
+describe('nextOccurrences', () => {
+  it('starts on the start date and skips weekends for weekdays', () => {
+    assert.deepEqual(occurrences('every weekday', { year: 2026, month: 10, day: 16 }, 4), ['2026-10-16', '2026-10-19', '2026-10-20', '2026-10-21']);
+  });
+
+  it('skips months without the day instead of moving it', () => {
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYMONTHDAY=31', { year: 2026, month: 1, day: 31 }, 3), ['2026-1-31', '2026-3-31', '2026-5-31']);
+  });
+
+  it('handles the last day and the last weekday of a month', () => {
+    assert.deepEqual(occurrences('monthly on the last day', { year: 2026, month: 1, day: 15 }, 3), ['2026-1-31', '2026-2-28', '2026-3-31']);
+    assert.deepEqual(occurrences('FREQ=MONTHLY;BYDAY=-1FR', { year: 2026, month: 10, day: 1 }, 3), ['2026-10-30', '2026-11-27', '2026-12-25']);
+  });
+
+  it('finds leap days', () => {
+    assert.deepEqual(occurrences('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29', { year: 2026, month: 1, day: 1 }, 2), ['2028-2-29', '2032-2-29']);
+  });
+
+  it('stops at COUNT and UNTIL', () => {
+    assert.deepEqual(occurrences('FREQ=DAILY;COUNT=2', { year: 2026, month: 10, day: 16 }, 5), ['2026-10-16', '2026-10-17']);
+    assert.deepEqual(occurrences('FREQ=DAILY;UNTIL=20261018', { year: 2026, month: 10, day: 16 }, 9), ['2026-10-16', '2026-10-17', '2026-10-18']);
+  });
+});
+
+describe('reminders', () => {
+  it('turns offsets into TRIGGER values', () => {
+    assert.equal(parseReminder('15m'), 'TRIGGER:-PT15M');
+    assert.equal(parseReminder('1 hour before'), 'TRIGGER:-PT1H');
+    assert.equal(parseReminder('2 days'), 'TRIGGER:-P2D');
+    assert.equal(parseReminder('1w'), 'TRIGGER:-P1W');
+    assert.equal(parseReminder('at due time'), 'TRIGGER:PT0S');
+    assert.equal(parseReminder('0'), 'TRIGGER:PT0S');
+  });
+
+  it('normalizes and checks raw triggers', () => {
+    assert.equal(parseReminder('TRIGGER:-pt30m'), 'TRIGGER:-PT30M');
+    assert.equal(parseReminder('TRIGGER:P0DT9H0M0S'), 'TRIGGER:P0DT9H0M0S');
+    assert.throws(() => parseReminder('TRIGGER:-P'), /Invalid reminder trigger/);
+    assert.throws(() => parseReminder('soon'), /Invalid reminder "soon"/);
+  });
+
+  it('describes triggers', () => {
+    assert.equal(describeReminder('TRIGGER:-PT90M'), '90m before');
+    assert.equal(describeReminder('TRIGGER:PT0S'), 'at due time');
+    assert.equal(describeReminder('TRIGGER:P0DT9H0M0S'), '9h after the start of the day');
+  });
+});